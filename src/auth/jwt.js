@@ -28,8 +28,9 @@ const validateJTI = (jti) => {
  * @param {string} username - Username
  * @param {string|string[]} scopes - User scopes (comma-separated string or array)
  * @param {string} role - User role (optional, defaults to 'user')
+ * @param {string[]|null} budgets - Budget sync IDs the tokens may access (null = all configured budgets)
  */
-export const issueTokens = async (userId, username, scopes = 'api', role = 'user') => {
+export const issueTokens = async (userId, username, scopes = 'api', role = 'user', budgets = null) => {
   await pruneExpiredTokens();
 
   // Normalize scopes to comma-separated string
@@ -40,15 +41,17 @@ export const issueTokens = async (userId, username, scopes = 'api', role = 'user
   const now = Date.now();
   const accessExpiresAt = new Date(now + ACCESS_TTL_SECONDS * 1000).toISOString();
   const refreshExpiresAt = new Date(now + REFRESH_TTL_SECONDS * 1000).toISOString();
+  // Only restricted tokens carry the claim; its absence means "all budgets"
+  const budgetClaim = budgets ? { budgets } : {};
 
   const accessToken = jwt.sign(
-    { user_id: userId, username, role, scope: scopeString, scopes: scopeArray, iss: 'actual-wrapper', aud: 'n8n' },
+    { user_id: userId, username, role, scope: scopeString, scopes: scopeArray, ...budgetClaim, iss: 'actual-wrapper', aud: 'n8n' },
     JWT_SECRET,
     { expiresIn: `${ACCESS_TTL_SECONDS}s`, jwtid: jti }
   );
 
   const refreshToken = jwt.sign(
-    { user_id: userId, username, role, iss: 'actual-wrapper', aud: 'n8n' },
+    { user_id: userId, username, role, ...budgetClaim, iss: 'actual-wrapper', aud: 'n8n' },
     JWT_REFRESH_SECRET,
     { expiresIn: `${REFRESH_TTL_SECONDS}s`, jwtid: `${jti}-refresh` }
   );
@@ -62,7 +65,7 @@ export const issueTokens = async (userId, username, scopes = 'api', role = 'user
   await insertToken(jti, 'access', accessExpiresAt);
   await insertToken(`${jti}-refresh`, 'refresh', refreshExpiresAt);
 
-  logAuthEvent('TOKEN_ISSUED', userId, { scope: scopeString, role }, true);
+  logAuthEvent('TOKEN_ISSUED', userId, { scope: scopeString, role, budgets: budgets || 'all' }, true);
 
   return {
     access_token: accessToken,
@@ -10,6 +10,7 @@ import crypto from 'crypto';
 import { executeQuery, getRow, getAllRows, pruneExpiredCodes } from '../../db/authDb.js';
 import logger from '../../logging/logger.js';
 import { AuthenticationError } from '../../errors/index.js';
+import { parseBudgetList } from '../permissions.js';
 
 /**
  * Hash a client secret using bcrypt.
@@ -107,6 +108,7 @@ export const listClients = async () => {
     SELECT 
       client_id,
       allowed_scopes,
+      allowed_budgets,
       redirect_uris,
       created_at
     FROM clients
@@ -125,6 +127,7 @@ export const getClient = async (clientId) => {
     SELECT 
       client_id,
       allowed_scopes,
+      allowed_budgets,
       redirect_uris,
       created_at
     FROM clients
@@ -142,10 +145,11 @@ export const getClient = async (clientId) => {
  * @param {string} options.clientId - Client identifier (required)
  * @param {string} [options.clientSecret] - Client secret (auto-generated if not provided)
  * @param {string} [options.allowedScopes] - Allowed scopes (default: 'api')
+ * @param {string|string[]} [options.allowedBudgets] - Budget sync IDs the client may access (default: all)
  * @param {string|string[]} [options.redirectUris] - Redirect URIs (comma-separated string or array)
  * @returns {Object} Created client with plain secret (only returned once)
  */
-export const createClient = async ({ clientId, clientSecret, allowedScopes = 'api', redirectUris = '' }) => {
+export const createClient = async ({ clientId, clientSecret, allowedScopes = 'api', allowedBudgets = null, redirectUris = '' }) => {
   if (!clientId) {
     throw new Error('clientId is required');
   }
@@ -169,14 +173,17 @@ export const createClient = async ({ clientId, clientSecret, allowedScopes = 'ap
     ? redirectUris.join(',') 
     : redirectUris;
 
+  // Normalize budget restriction (NULL = all budgets)
+  const allowedBudgetsStr = parseBudgetList(allowedBudgets)?.join(',') || null;
+
   // Hash the secret before storage
   const hashedSecret = await hashClientSecret(plainSecret);
 
   // Insert client
   await executeQuery(`
-    INSERT INTO clients (client_id, client_secret, client_secret_hashed, allowed_scopes, redirect_uris)
-    VALUES (?, ?, TRUE, ?, ?)
-  `, [clientId, hashedSecret, allowedScopes, redirectUrisStr]);
+    INSERT INTO clients (client_id, client_secret, client_secret_hashed, allowed_scopes, allowed_budgets, redirect_uris)
+    VALUES (?, ?, TRUE, ?, ?, ?)
+  `, [clientId, hashedSecret, allowedScopes, allowedBudgetsStr, redirectUrisStr]);
 
   logger.info(`Created OAuth client: ${clientId}`);
 
@@ -185,6 +192,7 @@ export const createClient = async ({ clientId, clientSecret, allowedScopes = 'ap
     client_id: clientId,
     client_secret: plainSecret, // Only returned on creation
     allowed_scopes: allowedScopes,
+    allowed_budgets: allowedBudgetsStr,
     redirect_uris: redirectUrisStr,
     created_at: new Date().toISOString(),
   };
@@ -197,10 +205,11 @@ export const createClient = async ({ clientId, clientSecret, allowedScopes = 'ap
  * @param {Object} updates - Fields to update
  * @param {string} [updates.clientSecret] - New client secret (will be hashed)
  * @param {string} [updates.allowedScopes] - New allowed scopes
+ * @param {string|string[]} [updates.allowedBudgets] - New budget restriction (empty = all budgets)
  * @param {string|string[]} [updates.redirectUris] - New redirect URIs
  * @returns {Object} Updated client info (without secret)
  */
-export const updateClient = async (clientId, { clientSecret, allowedScopes, redirectUris }) => {
+export const updateClient = async (clientId, { clientSecret, allowedScopes, allowedBudgets, redirectUris }) => {
   // Check if client exists
   const existing = await getRow('SELECT client_id FROM clients WHERE client_id = ?', [clientId]);
   if (!existing) {
@@ -224,6 +233,11 @@ export const updateClient = async (clientId, { clientSecret, allowedScopes, redi
     values.push(allowedScopes);
   }
 
+  if (allowedBudgets !== undefined) {
+    updates.push('allowed_budgets = ?');
+    values.push(parseBudgetList(allowedBudgets)?.join(',') || null);
+  }
+
   if (redirectUris !== undefined) {
     const redirectUrisStr = Array.isArray(redirectUris) 
       ? redirectUris.join(',') 
@@ -102,3 +102,45 @@ export const requireAdminRole = () => {
   };
 };
 
+
+/**
+ * Normalize a budget restriction list.
+ * Accepts a comma-separated string or an array; empty/missing means unrestricted (null).
+ *
+ * @param {string|string[]|null|undefined} value - Stored or claimed budget list
+ * @returns {string[]|null} Sync IDs, or null when unrestricted
+ */
+export const parseBudgetList = (value) => {
+  if (value === null || value === undefined) return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const ids = list.map(id => String(id).trim()).filter(Boolean);
+  return ids.length > 0 ? ids : null;
+};
+
+/**
+ * Combine two budget restrictions (null = unrestricted).
+ *
+ * @param {string[]|null} a - First restriction
+ * @param {string[]|null} b - Second restriction
+ * @returns {string[]|null} Sync IDs allowed by both
+ */
+export const intersectBudgets = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return a.filter(id => b.includes(id));
+};
+
+/**
+ * Check if user may access a budget.
+ * Tokens without a `budgets` claim may access every configured budget;
+ * an empty claim (no overlap between user and client restrictions) allows none.
+ *
+ * @param {object} user - User object from JWT (req.user)
+ * @param {string} syncId - Budget sync ID
+ * @returns {boolean} True if access is allowed
+ */
+export const hasBudgetAccess = (user, syncId) => {
+  if (!user) return false;
+  if (user.budgets === undefined || user.budgets === null) return true;
+  return Array.isArray(user.budgets) && user.budgets.includes(syncId);
+};
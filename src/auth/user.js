@@ -5,6 +5,7 @@
 import bcrypt from 'bcrypt';
 import { executeQuery, getRow, pruneExpiredTokens } from '../db/authDb.js';
 import logger, { logAuthEvent } from '../logging/logger.js';
+import { parseBudgetList } from './permissions.js';
 
 /**
  * Validate password complexity.
@@ -104,7 +105,7 @@ export const ensureAdminUserHash = async () => {
 
 /**
  * Authenticate a local user with username/password.
- * Returns userId, username, role, and scopes.
+ * Returns userId, username, role, scopes, and budgets (null = all budgets).
  */
 export const authenticateUser = async (username, password) => {
   await pruneExpiredTokens();
@@ -122,6 +123,7 @@ export const authenticateUser = async (username, password) => {
   // Parse scopes from comma-separated string or default to 'api'
   const scopes = user.scopes ? user.scopes.split(',').map(s => s.trim()).filter(Boolean) : ['api'];
   const role = user.role || 'user';
+  const budgets = parseBudgetList(user.allowed_budgets);
 
   logAuthEvent('LOGIN_SUCCESS', user.id, { username, role }, true);
 
@@ -130,5 +132,6 @@ export const authenticateUser = async (username, password) => {
     username: user.username,
     role,
     scopes,
+    budgets,
   };
 };
\ No newline at end of file
@@ -43,7 +43,21 @@ const envSchema = z.object({
   ACTUAL_SERVER_URL: z.string().url('ACTUAL_SERVER_URL must be a valid URL'),
   ACTUAL_PASSWORD: z.string().min(1, 'ACTUAL_PASSWORD is required'),
   ACTUAL_SYNC_ID: z.string().min(1, 'ACTUAL_SYNC_ID is required'),
+  // Additional budgets that may be addressed per request (comma-separated sync IDs)
+  ACTUAL_SYNC_IDS: z.string().default(''),
   DATA_DIR: z.string().default('/app/.actual-cache'),
+  // Work queue for Actual API operations (per budget). Capped at 1: operations
+  // share the SDK's one open budget and batchBudgetUpdates is global to it
+  ACTUAL_QUEUE_CONCURRENCY: z.coerce.number().int().positive()
+    .max(1, 'ACTUAL_QUEUE_CONCURRENCY must be 1: Actual API operations share one SDK instance')
+    .default(1),
+  ACTUAL_QUEUE_MAX_DEPTH: z.coerce.number().int().positive().default(100),
+  ACTUAL_QUEUE_TIMEOUT_MS: z.coerce.number().int().positive().default(30000),
+  ACTUAL_OPERATION_TIMEOUT_MS: z.coerce.number().int().positive().default(60000),
+  // Sync scheduling: reads within the staleness window use the local cache (0 = sync before every read)
+  ACTUAL_SYNC_STALENESS_MS: z.coerce.number().int().nonnegative().default(60000),
+  // Background sync loop interval (0 = disabled)
+  ACTUAL_SYNC_INTERVAL_MS: z.coerce.number().int().nonnegative().default(30000),
 
   // ============================================================================
   // CORS Configuration
@@ -245,6 +259,15 @@ export const getAllowedOrigins = () => {
   return env.ALLOWED_ORIGINS.split(',').map(o => o.trim()).filter(Boolean);
 };
 
+/**
+ * Parse the budgets this instance may serve.
+ * ACTUAL_SYNC_ID is always first (the default budget), followed by ACTUAL_SYNC_IDS.
+ */
+export const getBudgetSyncIds = () => {
+  const extra = env.ACTUAL_SYNC_IDS.split(',').map(id => id.trim()).filter(Boolean);
+  return [...new Set([env.ACTUAL_SYNC_ID, ...extra])];
+};
+
 /**
  * Parse request size limit to bytes.
  */
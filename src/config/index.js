@@ -7,7 +7,7 @@
  */
 
 import logger from '../logging/logger.js';
-import env, { getAllowedOrigins, getMaxRequestSize, isPostgresConfigured } from './env.js';
+import env, { getAllowedOrigins, getMaxRequestSize, getBudgetSyncIds, isPostgresConfigured } from './env.js';
 
 // Export validated environment variables
 export const DATA_DIR = env.DATA_DIR;
@@ -26,6 +26,14 @@ export const TRUST_PROXY = env.TRUST_PROXY;
 export const LOG_LEVEL = env.LOG_LEVEL;
 export const MAX_REQUEST_SIZE = getMaxRequestSize();
 export const ALLOWED_ORIGINS = getAllowedOrigins();
+export const DEFAULT_SYNC_ID = env.ACTUAL_SYNC_ID;
+export const BUDGET_SYNC_IDS = getBudgetSyncIds();
+export const ACTUAL_QUEUE_CONCURRENCY = env.ACTUAL_QUEUE_CONCURRENCY;
+export const ACTUAL_QUEUE_MAX_DEPTH = env.ACTUAL_QUEUE_MAX_DEPTH;
+export const ACTUAL_QUEUE_TIMEOUT_MS = env.ACTUAL_QUEUE_TIMEOUT_MS;
+export const ACTUAL_OPERATION_TIMEOUT_MS = env.ACTUAL_OPERATION_TIMEOUT_MS;
+export const ACTUAL_SYNC_STALENESS_MS = env.ACTUAL_SYNC_STALENESS_MS;
+export const ACTUAL_SYNC_INTERVAL_MS = env.ACTUAL_SYNC_INTERVAL_MS;
 
 /**
  * Parses JWT_ACCESS_TTL into seconds.
@@ -70,6 +70,7 @@ const initializeSqliteSchema = (database) => {
       password_hash TEXT NOT NULL,
       role TEXT DEFAULT 'user',
       scopes TEXT DEFAULT 'api',
+      allowed_budgets TEXT,
       is_active BOOLEAN DEFAULT TRUE,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -88,6 +89,7 @@ const initializeSqliteSchema = (database) => {
       client_secret TEXT NOT NULL,
       client_secret_hashed BOOLEAN DEFAULT FALSE,
       allowed_scopes TEXT DEFAULT 'api',
+      allowed_budgets TEXT,
       redirect_uris TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
@@ -101,6 +103,54 @@ const initializeSqliteSchema = (database) => {
       expires_at DATETIME NOT NULL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
+
+    CREATE TABLE IF NOT EXISTS import_profiles (
+      id TEXT PRIMARY KEY,
+      sync_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      account_id TEXT NOT NULL,
+      settings TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS budget_templates (
+      id TEXT PRIMARY KEY,
+      sync_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      amounts TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id TEXT PRIMARY KEY,
+      sync_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      params TEXT NOT NULL,
+      enabled BOOLEAN DEFAULT TRUE,
+      muted BOOLEAN DEFAULT FALSE,
+      muted_until TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS alerts (
+      id TEXT PRIMARY KEY,
+      rule_id TEXT NOT NULL,
+      sync_id TEXT NOT NULL,
+      alert_key TEXT NOT NULL,
+      message TEXT NOT NULL,
+      data TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      triggered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      acknowledged_at DATETIME,
+      resolved_at DATETIME
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS alerts_open_key ON alerts (rule_id, alert_key)
+      WHERE status IN ('active', 'acknowledged');
   `);
 
   // SQLite migrations
@@ -170,6 +220,19 @@ const initializeSqliteSchema = (database) => {
       `);
       logger.info('Migration complete: client_secret_hashed column added');
     }
+
+    // Migration 3: Add allowed_budgets (comma-separated sync IDs, NULL = all) to users and clients
+    if (!usersTableInfo.some(col => col.name === 'allowed_budgets')) {
+      logger.info('Migrating users table: adding allowed_budgets column');
+      database.exec('ALTER TABLE users ADD COLUMN allowed_budgets TEXT;');
+      logger.info('Migration complete: allowed_budgets column added to users table');
+    }
+
+    if (!clientsTableInfo.some(col => col.name === 'allowed_budgets')) {
+      logger.info('Migrating clients table: adding allowed_budgets column');
+      database.exec('ALTER TABLE clients ADD COLUMN allowed_budgets TEXT;');
+      logger.info('Migration complete: allowed_budgets column added to clients table');
+    }
   } catch (migrationError) {
     logger.warn('Migration check failed (this is usually safe to ignore):', {
       error: migrationError.message,
@@ -218,6 +281,54 @@ const initializePostgresSchema = async (pool) => {
         expires_at TIMESTAMP NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+
+      CREATE TABLE IF NOT EXISTS import_profiles (
+        id VARCHAR(255) PRIMARY KEY,
+        sync_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        account_id VARCHAR(255) NOT NULL,
+        settings TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS budget_templates (
+        id VARCHAR(255) PRIMARY KEY,
+        sync_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        amounts TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id VARCHAR(255) PRIMARY KEY,
+        sync_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        params TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT TRUE,
+        muted BOOLEAN DEFAULT FALSE,
+        muted_until VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS alerts (
+        id VARCHAR(255) PRIMARY KEY,
+        rule_id VARCHAR(255) NOT NULL,
+        sync_id VARCHAR(255) NOT NULL,
+        alert_key VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        data TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        acknowledged_at TIMESTAMP,
+        resolved_at TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS alerts_open_key ON alerts (rule_id, alert_key)
+        WHERE status IN ('active', 'acknowledged');
     `);
 
     // PostgreSQL migrations: Add missing columns
@@ -294,6 +405,25 @@ const initializePostgresSchema = async (pool) => {
         `);
         logger.info('Migration complete: client_secret_hashed column added');
       }
+
+      // Migration 3: Add allowed_budgets (comma-separated sync IDs, NULL = all) to users and clients
+      const budgetsColumnCheck = await client.query(`
+        SELECT table_name 
+        FROM information_schema.columns 
+        WHERE table_name IN ('users', 'clients') AND column_name = 'allowed_budgets'
+      `);
+
+      if (!budgetsColumnCheck.rows.some(col => col.table_name === 'users')) {
+        logger.info('Migrating users table: adding allowed_budgets column');
+        await client.query('ALTER TABLE users ADD COLUMN allowed_budgets TEXT;');
+        logger.info('Migration complete: allowed_budgets column added to users table');
+      }
+
+      if (!budgetsColumnCheck.rows.some(col => col.table_name === 'clients')) {
+        logger.info('Migrating clients table: adding allowed_budgets column');
+        await client.query('ALTER TABLE clients ADD COLUMN allowed_budgets TEXT;');
+        logger.info('Migration complete: allowed_budgets column added to clients table');
+      }
     } catch (migrationError) {
       logger.warn('Migration check failed (this is usually safe to ignore):', {
         error: migrationError.message,
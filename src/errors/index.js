@@ -95,6 +95,17 @@ export class RateLimitError extends HttpError {
   }
 }
 
+/**
+ * Service unavailable error (503 Service Unavailable).
+ * Used when a dependency is temporarily overloaded or unreachable.
+ */
+export class ServiceUnavailableError extends HttpError {
+  constructor(message = 'Service temporarily unavailable', retryAfter = null, details = null) {
+    super(message, 503, 'SERVICE_UNAVAILABLE', details);
+    this.retryAfter = retryAfter;
+  }
+}
+
 /**
  * Internal server error (500 Internal Server Error).
  * Used for unexpected server errors.
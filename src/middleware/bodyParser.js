@@ -5,10 +5,14 @@
  * - Standard routes: 50kb (default)
  * - Bulk operations: 1mb (transactions, imports)
  * - Query endpoint: 10kb (queries are small)
+ * - Bank file uploads: 5mb multipart (one file)
+ * - Budget backup uploads: 50mb multipart (one zip)
  */
 
 import express from 'express';
+import multer from 'multer';
 import { MAX_REQUEST_SIZE } from '../config/index.js';
+import { ValidationError } from '../errors/index.js';
 
 /**
  * Standard body parser for most routes.
@@ -36,3 +40,35 @@ export const queryBodyParser = express.json({ limit: '10kb' });
 export const defaultBodyParser = express.json({ limit: MAX_REQUEST_SIZE });
 export const defaultUrlParser = express.urlencoded({ limit: MAX_REQUEST_SIZE, extended: true });
 
+/**
+ * Single file upload (multipart/form-data).
+ * One file in the "file" field, kept in memory. Other form fields end up in req.body.
+ */
+const singleFileUpload = (maxFileSize) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: 1, fields: 20 },
+  }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return next(new ValidationError(err.message, err.field || 'file', { code: err.code }));
+      }
+      if (!err && !req.file) {
+        return next(new ValidationError('A file is required (multipart field "file")', 'file'));
+      }
+      next(err);
+    });
+  };
+};
+
+/**
+ * Bank file upload: 5mb limit.
+ */
+export const bankFileUpload = singleFileUpload(5 * 1024 * 1024);
+
+/**
+ * Budget backup upload (zip from the budget export): 50mb limit.
+ */
+export const budgetBackupUpload = singleFileUpload(50 * 1024 * 1024);
@@ -0,0 +1,55 @@
+/**
+ * Budget selection middleware.
+ *
+ * Resolves which Actual budget a request targets and checks the caller may use it:
+ * - `/v2/budgets/:syncId/...` path prefix (takes precedence)
+ * - `X-Budget-Id` header on the regular `/v2/...` routes
+ * - ACTUAL_SYNC_ID when neither is given
+ *
+ * Must run after authenticateJWT so the token's `budgets` claim is available.
+ */
+
+import { BUDGET_SYNC_IDS, DEFAULT_SYNC_ID } from '../config/index.js';
+import { hasBudgetAccess } from '../auth/permissions.js';
+import { runInBudget } from '../services/budgetContext.js';
+import { BudgetSyncIdSchema } from './validation-schemas.js';
+import { throwForbidden, throwNotFound } from './responseHelpers.js';
+import { logAuthEvent } from '../logging/logger.js';
+
+/**
+ * Guard for the `/v2/budgets/:syncId` router.
+ * Anything that isn't a sync ID (e.g. /v2/budgets/2025-01/hold) leaves the router
+ * untouched so the regular budget month routes can handle it.
+ */
+export const requireSyncIdParam = (req, res, next) => {
+  if (!BudgetSyncIdSchema.safeParse(req.params.syncId).success) {
+    return next('router');
+  }
+  return next();
+};
+
+/**
+ * Select the budget for the rest of the request.
+ * Sets req.budgetId and runs downstream handlers inside the budget context.
+ * Responses carry an `X-Last-Sync` header with the time the budget last synced
+ * with the Actual server (reads may be served from the local cache).
+ */
+export const selectBudget = (req, res, next) => {
+  const syncId = req.params.syncId || req.get('x-budget-id') || DEFAULT_SYNC_ID;
+
+  if (!BUDGET_SYNC_IDS.includes(syncId)) {
+    throwNotFound('Budget', { syncId });
+  }
+
+  if (!hasBudgetAccess(req.user, syncId)) {
+    logAuthEvent('BUDGET_ACCESS_DENIED', req.user?.user_id, { syncId, ip: req.ip }, false);
+    throwForbidden('Access to this budget is not allowed', { syncId });
+  }
+
+  req.budgetId = syncId;
+  return runInBudget(syncId, () => next(), {
+    onLastSync: (lastSyncAt) => {
+      if (!res.headersSent) res.set('X-Last-Sync', lastSyncAt);
+    },
+  });
+};
@@ -71,8 +71,8 @@ export const errorHandler = (err, req, res, _next) => {
     ...((!isProd || status < 500) && httpErr.details && { details: httpErr.details }),
   };
 
-  // Add retry-after header for rate limit errors
-  if (status === 429 && httpErr.retryAfter) {
+  // Add retry-after header for rate limit and overload errors
+  if ((status === 429 || status === 503) && httpErr.retryAfter) {
     res.setHeader('Retry-After', httpErr.retryAfter);
   }
 
@@ -14,6 +14,9 @@
  * throwBadRequest('Invalid input');
  */
 
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import logger from '../logging/logger.js';
 import {
   ValidationError,
   AuthenticationError,
@@ -62,6 +65,36 @@ export const sendCreated = (res, data = null) => {
   return res.status(201).json(response);
 };
 
+/**
+ * Stream a file download from an async generator of text chunks.
+ * The first chunk is read before anything is sent, so errors raised while
+ * starting still get a normal error response; later errors abort the download.
+ *
+ * @param {object} res - Express response object
+ * @param {AsyncGenerator<string>} chunks - Download contents
+ * @param {object} file
+ * @param {string} file.contentType - Content-Type header
+ * @param {string} file.filename - Suggested file name
+ * @returns {Promise<void>}
+ */
+export const sendDownload = async (res, chunks, { contentType, filename }) => {
+  const first = await chunks.next();
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  const body = async function* () {
+    if (!first.done) yield first.value;
+    yield* chunks;
+  };
+  try {
+    await pipeline(Readable.from(body()), res);
+  } catch (error) {
+    // Headers are out already: the response is cut off instead of turned into an error response
+    logger.warn('Download aborted', { filename, error: error.message });
+  }
+};
+
 /**
  * Common HTTP error throwers for convenience.
  * These throw errors that are caught by the error handler middleware.
@@ -10,6 +10,9 @@ export const IDSchema = z.object({
   id: z.string().min(1).max(255),
 });
 
+// Actual budget sync ID (the budget's groupId, shown under Settings > Advanced)
+export const BudgetSyncIdSchema = z.string().uuid();
+
 // Account schemas
 export const CreateAccountSchema = z.object({
   account: z.object({
@@ -41,6 +44,23 @@ export const AccountBalanceQuerySchema = z.object({
 });
 
 // Transaction schemas
+// Split line (child transaction); id only when editing an existing line
+export const SplitLineSchema = z.object({
+  id: z.string().min(1).max(255).optional(),
+  amount: z.number().int(),
+  category: z.string().nullable().optional(),
+  payee: z.string().max(255).optional(),
+  notes: z.string().max(1000).optional(),
+});
+
+const NewSplitLineSchema = SplitLineSchema.omit({ id: true });
+
+const sumAmounts = (lines) => lines.reduce((total, line) => total + line.amount, 0);
+
+// Split lines must add up to the parent amount
+const splitsBalance = (transaction) => !transaction.subtransactions || sumAmounts(transaction.subtransactions) === transaction.amount;
+const splitsBalanceMessage = { message: 'Split amounts must add up to the transaction amount', path: ['subtransactions'] };
+
 export const CreateTransactionSchema = z.object({
   transaction: z.object({
     account: z.string().min(1),
@@ -49,7 +69,8 @@ export const CreateTransactionSchema = z.object({
     payee: z.string().max(255).optional(),
     notes: z.string().max(1000).optional(),
     category: z.string().optional(),
-  }),
+    subtransactions: z.array(NewSplitLineSchema).min(1).optional(),
+  }).refine(splitsBalance, splitsBalanceMessage),
 });
 
 export const UpdateTransactionSchema = z.object({
@@ -234,6 +255,62 @@ export const BudgetHoldSchema = z.object({
   amount: z.number(),
 });
 
+// Move budgeted money between categories (amount is what leaves fromCategoryId, positive integer cents)
+export const BudgetTransferSchema = z.object({
+  fromCategoryId: z.string().uuid(),
+  toCategoryId: z.string().uuid(),
+  amount: z.number().int().positive(),
+  allowNegative: z.boolean().optional().default(false),
+}).refine((data) => data.fromCategoryId !== data.toCategoryId, {
+  message: 'Cannot move money to the same category',
+  path: ['toCategoryId'],
+});
+
+// Category key -> budgeted amount (integer cents)
+const categoryAmounts = (keySchema) => z.record(keySchema, z.number().int())
+  .refine((amounts) => Object.keys(amounts).length > 0, { message: 'At least one category amount is required' })
+  .refine((amounts) => Object.keys(amounts).length <= 1000, { message: 'At most 1000 category amounts' });
+
+const BudgetAmountsSchema = categoryAmounts(z.string().uuid());
+
+// PUT /budgets/:month: keys are category ids or names
+export const SetBudgetAmountsSchema = z.object({
+  amounts: categoryAmounts(z.string().min(1)),
+});
+
+// Month-level budget operations; dryRun previews the resulting amounts without writing.
+// The body is optional where nothing is required (Express leaves req.body undefined without one)
+const BudgetMonthOperationBody = z.object({
+  dryRun: z.boolean().optional().default(false),
+});
+
+export const BudgetMonthOperationSchema = BudgetMonthOperationBody.prefault({});
+
+export const BudgetAverageSchema = BudgetMonthOperationBody.extend({
+  months: z.union([z.literal(3), z.literal(6), z.literal(12)]).optional().default(3),
+}).prefault({});
+
+export const BudgetApplyTemplateSchema = BudgetMonthOperationBody.extend({
+  templateId: z.string().uuid(),
+});
+
+// Budget templates: named sets of category amounts, stored server-side
+export const CreateBudgetTemplateSchema = z.object({
+  template: z.object({
+    name: z.string().min(1).max(255),
+    amounts: BudgetAmountsSchema,
+  }),
+});
+
+export const UpdateBudgetTemplateSchema = z.object({
+  fields: z.object({
+    name: z.string().min(1).max(255).optional(),
+    amounts: BudgetAmountsSchema.optional(),
+  }).refine((obj) => Object.keys(obj).length > 0, {
+    message: 'At least one field must be updated',
+  }),
+});
+
 // Transaction schemas
 export const AccountIdParamsSchema = z.object({
   accountId: z.string().uuid(),
@@ -248,6 +325,28 @@ export const AccountTransactionSchema = z.object({
   notes: z.string().max(1000).optional(),
   category: z.string().optional(),
   cleared: z.boolean().optional(),
+  subtransactions: z.array(NewSplitLineSchema).min(1).optional(),
+}).refine(splitsBalance, splitsBalanceMessage);
+
+// Replace the lines of a split (creates the split for a normal transaction).
+// amount changes the parent amount; the lines are checked against the current amount otherwise.
+export const SetSplitsSchema = z.object({
+  amount: z.number().int().optional(),
+  subtransactions: z.array(SplitLineSchema).min(1).max(100),
+}).refine(
+  (data) => {
+    const ids = data.subtransactions.map(line => line.id).filter(Boolean);
+    return new Set(ids).size === ids.length;
+  },
+  { message: 'Split line ids must be unique', path: ['subtransactions'] }
+).refine(
+  (data) => data.amount === undefined || sumAmounts(data.subtransactions) === data.amount,
+  splitsBalanceMessage
+);
+
+// Turn a split back into a normal transaction (query string: category for the whole amount)
+export const UnsplitTransactionQuerySchema = z.object({
+  category: z.string().min(1).max(255).optional(),
 });
 
 export const TransactionsAddSchema = z.object({
@@ -260,16 +359,362 @@ export const TransactionsImportSchema = z.object({
   transactions: z.array(AccountTransactionSchema),
 });
 
+// dryRun previews the import instead of writing (not part of the batch operation)
+export const TransactionsImportRequestSchema = TransactionsImportSchema.extend({
+  dryRun: z.boolean().optional().default(false),
+});
+
+// Query strings only carry strings: 'true' / 'false' for flags
+const QueryBooleanSchema = z.enum(['true', 'false']).transform(v => v === 'true');
+const DateParamSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD');
+
+// Filters, sort and pagination for transaction lists (amounts in integer cents)
+const TransactionListFiltersSchema = z.object({
+  start: DateParamSchema.optional(),
+  end: DateParamSchema.optional(),
+  payee: z.string().min(1).max(255).optional(),
+  category: z.string().min(1).max(255).optional(),
+  min_amount: z.coerce.number().int().optional(),
+  max_amount: z.coerce.number().int().optional(),
+  cleared: QueryBooleanSchema.optional(),
+  reconciled: QueryBooleanSchema.optional(),
+  notes: z.string().min(1).max(255).optional(),
+  sort: z.enum(['date', 'amount']).optional().default('date'),
+  order: z.enum(['asc', 'desc']).optional().default('desc'),
+  limit: z.coerce.number().int().min(1).max(1000).optional(),
+  cursor: z.string().min(1).max(1024).optional(),
+});
+
+const withTransactionListChecks = (schema) => schema.refine(
+  (data) => data.min_amount === undefined || data.max_amount === undefined || data.min_amount <= data.max_amount,
+  { message: 'min_amount must not exceed max_amount', path: ['min_amount'] }
+).refine(
+  (data) => !data.start || !data.end || data.start <= data.end,
+  { message: 'start must not be after end', path: ['start'] }
+);
+
+export const TransactionsListQuerySchema = withTransactionListChecks(TransactionListFiltersSchema);
+
+// Search across accounts (off-budget and closed accounts are opt-in unless an account is given)
+export const TransactionsSearchQuerySchema = withTransactionListChecks(TransactionListFiltersSchema.extend({
+  account: z.string().min(1).max(255).optional(),
+  include_offbudget: QueryBooleanSchema.optional(),
+  include_closed: QueryBooleanSchema.optional(),
+}));
+
+// Transaction export (streamed download). currency is the OFX CURDEF, which budgets don't record.
+const TransactionExportQueryBaseSchema = z.object({
+  format: z.enum(['csv', 'ofx', 'jsonl']).optional().default('csv'),
+  start: DateParamSchema.optional(),
+  end: DateParamSchema.optional(),
+  currency: z.string().regex(/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code').optional().default('USD'),
+});
+
+export const AccountTransactionsExportQuerySchema = withTransactionListChecks(TransactionExportQueryBaseSchema);
+
+export const TransactionsExportQuerySchema = withTransactionListChecks(TransactionExportQueryBaseSchema.extend({
+  account: z.string().min(1).max(255).optional(),
+  include_offbudget: QueryBooleanSchema.optional(),
+  include_closed: QueryBooleanSchema.optional(),
+}));
+
+// Bank file import (multipart form fields, so flags and numbers arrive as strings
+// and the CSV mapping as a JSON string)
+const JsonFieldSchema = (schema) => z.preprocess((value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}, schema);
+
+// Header name, or zero-based index for files without a header row
+const CsvColumnSchema = z.union([z.string().min(1).max(255), z.number().int().nonnegative()]);
+
+export const CsvMappingSchema = z.object({
+  date: CsvColumnSchema,
+  amount: CsvColumnSchema.optional(),
+  inflow: CsvColumnSchema.optional(),
+  outflow: CsvColumnSchema.optional(),
+  payee: CsvColumnSchema.optional(),
+  notes: CsvColumnSchema.optional(),
+  importedId: CsvColumnSchema.optional(),
+}).refine(
+  (mapping) => (mapping.amount !== undefined) !== (mapping.inflow !== undefined || mapping.outflow !== undefined),
+  { message: 'Map either amount or inflow/outflow', path: ['amount'] }
+);
+
+const IMPORT_DATE_FORMATS = [
+  'YYYY-MM-DD', 'YYYYMMDD', 'YYYY/MM/DD',
+  'MM/DD/YYYY', 'MM/DD/YY', 'MM-DD-YYYY',
+  'DD/MM/YYYY', 'DD/MM/YY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'DD.MM.YY',
+];
+
+const ImportFormatSchema = z.enum(['ofx', 'qfx', 'qif', 'camt', 'csv']);
+const ImportDateFormatSchema = z.enum(IMPORT_DATE_FORMATS);
+const CsvDelimiterSchema = z.enum([',', ';', '\t', '|']);
+const DecimalSeparatorSchema = z.enum(['.', ',']);
+
+// Form fields of the file import; settings left out come from the profile (profileId), if any
+export const BankFileImportSchema = z.object({
+  profileId: z.string().uuid().optional(),
+  dryRun: QueryBooleanSchema.optional().default(false),
+  format: ImportFormatSchema.optional(),
+  dateFormat: ImportDateFormatSchema.optional(),
+  importNotes: QueryBooleanSchema.optional(),
+  mapping: JsonFieldSchema(CsvMappingSchema).optional(),
+  hasHeaderRow: QueryBooleanSchema.optional(),
+  delimiter: CsvDelimiterSchema.optional(),
+  skipStartLines: z.coerce.number().int().min(0).max(100).optional(),
+  skipEndLines: z.coerce.number().int().min(0).max(100).optional(),
+  decimalSeparator: DecimalSeparatorSchema.optional(),
+});
+
+// Import profiles: the same settings as JSON, saved per account
+const ImportProfileSettingsSchema = z.object({
+  format: ImportFormatSchema.optional(),
+  dateFormat: ImportDateFormatSchema.optional(),
+  importNotes: z.boolean().optional(),
+  mapping: CsvMappingSchema.optional(),
+  hasHeaderRow: z.boolean().optional(),
+  delimiter: CsvDelimiterSchema.optional(),
+  skipStartLines: z.number().int().min(0).max(100).optional(),
+  skipEndLines: z.number().int().min(0).max(100).optional(),
+  decimalSeparator: DecimalSeparatorSchema.optional(),
+});
+
+export const CreateImportProfileSchema = z.object({
+  profile: z.object({
+    name: z.string().min(1).max(255),
+    accountId: z.string().uuid(),
+    settings: ImportProfileSettingsSchema,
+  }),
+});
+
+export const UpdateImportProfileSchema = z.object({
+  fields: z.object({
+    name: z.string().min(1).max(255).optional(),
+    accountId: z.string().uuid().optional(),
+    settings: ImportProfileSettingsSchema.optional(),
+  }).refine((obj) => Object.keys(obj).length > 0, {
+    message: 'At least one field must be updated',
+  }),
+});
+
+export const ImportProfilesQuerySchema = z.object({
+  accountId: z.string().uuid().optional(),
+});
+
+// Bulk transaction changes: select by ids or by filter (one of them), optionally as a dry run
+const BulkTransactionFilterSchema = z.object({
+  account: z.string().min(1).max(255).optional(),
+  payee: z.string().min(1).max(255).optional(),
+  category: z.string().min(1).max(255).optional(),
+  start: DateParamSchema.optional(),
+  end: DateParamSchema.optional(),
+}).refine((obj) => Object.keys(obj).length > 0, {
+  message: 'Filter needs at least one condition',
+}).refine(
+  (data) => !data.start || !data.end || data.start <= data.end,
+  { message: 'start must not be after end', path: ['start'] }
+);
+
+const BulkTransactionSelectionSchema = z.object({
+  ids: z.array(z.string().min(1).max(255)).min(1).max(1000).optional(),
+  filter: BulkTransactionFilterSchema.optional(),
+  dryRun: z.boolean().optional().default(false),
+});
+
+const withSingleSelection = (schema) => schema.refine(
+  (data) => (data.ids === undefined) !== (data.filter === undefined),
+  { message: 'Provide either ids or filter', path: ['ids'] }
+);
+
+export const BulkUpdateTransactionsSchema = withSingleSelection(BulkTransactionSelectionSchema.extend({
+  fields: z.object({
+    payee: z.string().max(255).optional(),
+    category: z.string().nullable().optional(),
+    notes: z.string().max(1000).optional(),
+    date: DateParamSchema.optional(),
+    cleared: z.boolean().optional(),
+  }).refine((obj) => Object.keys(obj).length > 0, {
+    message: 'At least one field must be updated',
+  }),
+}));
+
+export const BulkDeleteTransactionsSchema = withSingleSelection(BulkTransactionSelectionSchema);
+
+// Transfer schemas (amount is what leaves fromAccountId, positive integer cents)
+const sameAccountMessage = { message: 'Cannot transfer to the same account', path: ['toAccountId'] };
+
+export const CreateTransferSchema = z.object({
+  fromAccountId: z.string().min(1).max(255),
+  toAccountId: z.string().min(1).max(255),
+  amount: z.number().int().positive(),
+  date: DateParamSchema,
+  notes: z.string().max(1000).optional(),
+  cleared: z.boolean().optional(),
+}).refine((data) => data.fromAccountId !== data.toAccountId, sameAccountMessage);
+
+export const UpdateTransferSchema = z.object({
+  fields: z.object({
+    fromAccountId: z.string().min(1).max(255).optional(),
+    toAccountId: z.string().min(1).max(255).optional(),
+    amount: z.number().int().positive().optional(),
+    date: DateParamSchema.optional(),
+    notes: z.string().max(1000).optional(),
+  }).refine((obj) => Object.keys(obj).length > 0, {
+    message: 'At least one field must be updated',
+  }).refine((obj) => !obj.fromAccountId || obj.fromAccountId !== obj.toAccountId, sameAccountMessage),
+});
+
+// Reconciliation (balance is the statement balance in integer cents)
+export const ReconcileAccountSchema = z.object({
+  balance: z.number().int(),
+  date: DateParamSchema,
+  createAdjustment: z.boolean().optional().default(false),
+  markReconciled: z.boolean().optional().default(true),
+});
+
+// Balance history (end defaults to today)
+export const BalanceHistoryQuerySchema = z.object({
+  start: DateParamSchema,
+  end: DateParamSchema.optional(),
+  interval: z.enum(['day', 'week', 'month']).optional().default('month'),
+}).refine((data) => !data.end || data.start <= data.end, { message: 'start must not be after end', path: ['start'] });
+
+// Reports (months are YYYY-MM, id lists comma-separated)
+const MonthParamSchema = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be YYYY-MM');
+const QueryIdListSchema = z.string()
+  .transform(value => value.split(',').map(id => id.trim()).filter(Boolean))
+  .pipe(z.array(z.string().max(255)).min(1).max(100));
+
+const ReportRangeQuerySchema = z.object({
+  start: MonthParamSchema.optional(),
+  end: MonthParamSchema.optional(),
+  accounts: QueryIdListSchema.optional(),
+});
+
+const withMonthRangeCheck = (schema) => schema.refine(
+  (data) => !data.start || !data.end || data.start <= data.end,
+  { message: 'start must not be after end', path: ['start'] }
+);
+
+export const NetWorthReportQuerySchema = withMonthRangeCheck(ReportRangeQuerySchema);
+
+export const CashFlowReportQuerySchema = withMonthRangeCheck(ReportRangeQuerySchema.extend({
+  category_groups: QueryIdListSchema.optional(),
+}));
+
+export const SpendingReportQuerySchema = z.object({
+  month: MonthParamSchema.optional(),
+  group_by: z.enum(['category', 'category_group', 'payee']).optional().default('category'),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(10),
+  accounts: QueryIdListSchema.optional(),
+});
+
+// Category goals, stored as Actual goal templates in the category notes (amounts in integer cents)
+// Written as #template-<priority>; without it, plain #template
+const GoalPrioritySchema = z.number().int().nonnegative().optional();
+
+const CategoryGoalSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('monthly'),
+    amount: z.number().int().positive(),
+    priority: GoalPrioritySchema,
+  }),
+  z.object({
+    type: z.literal('by-date'),
+    amount: z.number().int().positive(),
+    month: MonthParamSchema,
+    priority: GoalPrioritySchema,
+  }),
+  z.object({
+    type: z.literal('percentage'),
+    percent: z.number().positive().max(100),
+    // "all income" or an income category name
+    of: z.string().min(1).max(255).regex(/^[^\r\n]+$/, 'Must be a single line').optional().default('all income'),
+    previous: z.boolean().optional().default(false),
+    priority: GoalPrioritySchema,
+  }),
+]);
+
+export const SetCategoryGoalsSchema = z.object({
+  goals: z.array(CategoryGoalSchema).max(20),
+});
+
+// Alert rules (/v2/alerts/rules): condition settings per rule type, amounts in integer cents
+const AlertIdListSchema = z.array(z.string().uuid()).min(1).max(100);
+
+export const AlertRuleParamsSchemas = {
+  'category-overspent': z.object({
+    categoryIds: AlertIdListSchema.optional(),
+  }),
+  'account-below': z.object({
+    accountId: z.string().uuid(),
+    threshold: z.number().int(),
+  }),
+  'large-transaction': z.object({
+    threshold: z.number().int().positive(),
+    accountIds: AlertIdListSchema.optional(),
+  }),
+  'uncategorized-count': z.object({
+    threshold: z.number().int().nonnegative(),
+  }),
+};
+
+export const CreateAlertRuleSchema = z.object({
+  rule: z.discriminatedUnion('type', Object.entries(AlertRuleParamsSchemas).map(([type, params]) => z.object({
+    name: z.string().min(1).max(255),
+    type: z.literal(type),
+    // category-overspent needs no settings
+    params: type === 'category-overspent' ? params.optional().default({}) : params,
+    enabled: z.boolean().optional().default(true),
+  }))),
+});
+
+// params is checked against the rule's type by the service
+export const UpdateAlertRuleSchema = z.object({
+  fields: z.object({
+    name: z.string().min(1).max(255).optional(),
+    params: z.record(z.string(), z.any()).optional(),
+    enabled: z.boolean().optional(),
+    muted: z.boolean().optional(),
+    mutedUntil: z.string().datetime().nullable().optional(),
+  }).refine((obj) => Object.keys(obj).length > 0, {
+    message: 'At least one field must be updated',
+  }),
+});
+
+export const AlertsQuerySchema = z.object({
+  status: z.enum(['active', 'acknowledged', 'resolved', 'all']).optional().default('active'),
+  ruleId: z.string().uuid().optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional().default(100),
+});
+
+// Body is optional: without until the rule stays muted until unmuted
+export const MuteAlertSchema = z.object({
+  until: z.string().datetime().optional(),
+}).prefault({});
+
 // Rules schemas
 export const PayeeIdParamsSchema = z.object({
   payeeId: z.string().uuid(),
 });
 
 // Admin OAuth client schemas
+// Budget restriction: comma-separated string or array of sync IDs (empty = all budgets)
+const AllowedBudgetsSchema = z.union([
+  z.string(),
+  z.array(BudgetSyncIdSchema),
+]);
+
 export const CreateClientSchema = z.object({
   client_id: z.string().min(1).max(255),
   client_secret: z.string().min(32).optional(),
   allowed_scopes: z.string().default('api'),
+  allowed_budgets: AllowedBudgetsSchema.optional(),
   redirect_uris: z.union([
     z.string(),
     z.array(z.string().url()),
@@ -279,6 +724,7 @@ export const CreateClientSchema = z.object({
 export const UpdateClientSchema = z.object({
   client_secret: z.string().min(32).optional(),
   allowed_scopes: z.string().optional(),
+  allowed_budgets: AllowedBudgetsSchema.optional(),
   redirect_uris: z.union([
     z.string(),
     z.array(z.string().url()),
@@ -287,10 +733,65 @@ export const UpdateClientSchema = z.object({
   message: 'At least one field must be updated',
 });
 
+// Batch schemas (POST /v2/batch)
+// Params per operation; ids of resources live in params (e.g. { id, fields } for updates)
+export const BatchOperationParamsSchemas = {
+  'account.create': CreateAccountSchema,
+  'account.update': IDSchema.extend(UpdateAccountSchema.shape),
+  'account.close': IDSchema.extend(CloseAccountSchema.shape),
+  'account.reopen': IDSchema,
+  'account.delete': IDSchema,
+  'transaction.add': AccountIdParamsSchema.extend(TransactionsAddSchema.shape),
+  'transaction.import': AccountIdParamsSchema.extend(TransactionsImportSchema.shape),
+  'transaction.update': IDSchema.extend(UpdateTransactionSchema.shape),
+  'transaction.delete': IDSchema,
+  'category.create': CreateCategorySchema,
+  'category.update': IDSchema.extend(UpdateCategorySchema.shape),
+  'category.delete': IDSchema,
+  'categoryGroup.create': CreateCategoryGroupSchema,
+  'categoryGroup.update': IDSchema.extend(UpdateCategoryGroupSchema.shape),
+  'categoryGroup.delete': IDSchema,
+  'payee.create': CreatePayeeSchema,
+  'payee.update': IDSchema.extend(UpdatePayeeSchema.shape),
+  'payee.delete': IDSchema,
+  'payee.merge': MergePayeesSchema,
+  'budget.setAmount': BudgetCategoryParamsSchema.extend(SetBudgetSchema.shape),
+  'budget.setCarryover': BudgetCategoryParamsSchema.extend(BudgetCarryoverSchema.shape),
+  'rule.create': CreateRuleSchema,
+  'rule.update': IDSchema.extend(UpdateRuleSchema.shape),
+  'rule.delete': IDSchema,
+  'schedule.create': CreateScheduleSchema,
+  'schedule.update': IDSchema.extend(UpdateScheduleSchema.shape),
+  'schedule.delete': IDSchema,
+};
+
+// Params are validated per operation once references to earlier results are resolved
+const BatchOperationSchema = z.object({
+  id: z.string().min(1).max(64).regex(/^[a-zA-Z0-9_-]+$/, 'Operation id can only contain letters, numbers, underscores, and hyphens').optional(),
+  op: z.enum(Object.keys(BatchOperationParamsSchemas)),
+  params: z.record(z.string(), z.any()).optional().default({}),
+});
+
+export const BatchSchema = z.object({
+  operations: z.array(BatchOperationSchema).min(1).max(100),
+  continueOnError: z.boolean().optional().default(false),
+}).refine(
+  (data) => {
+    const ids = data.operations.map(op => op.id).filter(Boolean);
+    return new Set(ids).size === ids.length;
+  },
+  'Operation ids must be unique'
+);
+
 export const ClientIdParamsSchema = z.object({
   clientId: z.string().min(1).max(255),
 });
 
+// Budget restore (multipart form field next to the backup zip)
+export const BudgetRestoreSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+});
+
 // Validation middleware factory
 export const validateBody = (schema) => (req, res, next) => {
   const result = schema.safeParse(req.body);
@@ -6,11 +6,14 @@
  * - Create, update, delete accounts
  * - Close/reopen accounts (with optional transfer)
  * - Get account balance (with optional date cutoff)
+ * - Reconcile against a statement balance
+ * - Balance history per account, and net worth history over all accounts
  *
  * All routes require JWT authentication.
  */
 import express from 'express';
 import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
 import {
   accountsList,
   accountCreate,
@@ -18,22 +21,36 @@ import {
   accountDelete,
   accountClose,
   accountReopen,
-  accountBalance
+  accountBalance,
+  accountReconcile
 } from '../services/actualApi.js';
+import { balanceHistory, netWorthHistory } from '../services/reports.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
-import { validateBody, validateParams } from '../middleware/validation-schemas.js';
-import { IDSchema, CreateAccountSchema, UpdateAccountSchema, CloseAccountSchema } from '../middleware/validation-schemas.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validation-schemas.js';
+import { IDSchema, CreateAccountSchema, UpdateAccountSchema, CloseAccountSchema, ReconcileAccountSchema, BalanceHistoryQuerySchema } from '../middleware/validation-schemas.js';
 import { standardWriteLimiter, deleteLimiter } from '../middleware/rateLimiters.js';
 import { sendSuccess, sendCreated } from '../middleware/responseHelpers.js';
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
 router.use(authenticateJWT);
+router.use(selectBudget);
 
 router.get('/', asyncHandler(async (req, res) => {
   const accounts = await accountsList();
   sendSuccess(res, { accounts });
 }));
 
+// Net worth over all accounts (before /:id routes)
+router.get(
+  '/balance-history',
+  validateQuery(BalanceHistoryQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { start, end, interval } = req.validatedQuery;
+    const balances = await netWorthHistory({ start, end, interval });
+    sendSuccess(res, { interval, balances });
+  })
+);
+
 router.post(
   '/',
   standardWriteLimiter,
@@ -99,4 +116,27 @@ router.get(
   })
 );
 
+router.get(
+  '/:id/balance-history',
+  validateParams(IDSchema),
+  validateQuery(BalanceHistoryQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { start, end, interval } = req.validatedQuery;
+    const balances = await balanceHistory(req.validatedParams.id, { start, end, interval });
+    sendSuccess(res, { accountId: req.validatedParams.id, interval, balances });
+  })
+);
+
+router.post(
+  '/:id/reconcile',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateBody(ReconcileAccountSchema),
+  asyncHandler(async (req, res) => {
+    const { balance, date, ...options } = req.validatedBody;
+    const result = await accountReconcile(req.validatedParams.id, { balance, date, ...options });
+    sendSuccess(res, { accountId: req.validatedParams.id, date, statementBalance: balance, ...result });
+  })
+);
+
 export default router;
\ No newline at end of file
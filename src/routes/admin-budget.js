@@ -0,0 +1,56 @@
+/**
+ * Admin API routes for budget backup and restore.
+ *
+ * GET /v2/admin/budget/export downloads the budget (X-Budget-Id header, or
+ * ACTUAL_SYNC_ID) as a zip; POST /v2/admin/budget/import restores such a zip as
+ * a new budget with its own sync id. Both require admin authentication.
+ */
+
+import express from 'express';
+import { authenticateAdminAPI } from '../auth/adminApi.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
+import { budgetExport } from '../services/actualApi.js';
+import { restoreBudgetBackup } from '../services/budgetBackup.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { sendCreated } from '../middleware/responseHelpers.js';
+import { validateBody, BudgetRestoreSchema } from '../middleware/validation-schemas.js';
+import { adminLimiter, standardWriteLimiter } from '../middleware/rateLimiters.js';
+import { budgetBackupUpload } from '../middleware/bodyParser.js';
+import logger from '../logging/logger.js';
+
+const router = express.Router();
+
+// All admin routes require authentication (JWT or session) and rate limiting
+router.use(asyncHandler(authenticateAdminAPI));
+router.use(adminLimiter);
+
+/**
+ * GET /v2/admin/budget/export
+ *
+ * Download the budget as a zip (db.sqlite + metadata.json, as the Actual app exports it).
+ */
+router.get('/export', selectBudget, asyncHandler(async (req, res) => {
+  const data = await budgetExport();
+  const filename = `budget-${req.budgetId}-${new Date().toISOString().slice(0, 10)}.zip`;
+  logger.info('[Admin] Budget exported', { userId: req.user?.user_id, syncId: req.budgetId, bytes: data.length });
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.send(data);
+}));
+
+/**
+ * POST /v2/admin/budget/import
+ *
+ * Restore a budget zip (multipart field "file") as a new budget on the Actual server.
+ * The new sync id must be added to ACTUAL_SYNC_IDS before the API serves it.
+ */
+router.post('/import', standardWriteLimiter, budgetBackupUpload, validateBody(BudgetRestoreSchema), asyncHandler(async (req, res) => {
+  const { name } = req.validatedBody;
+  const budget = await restoreBudgetBackup(req.file.buffer, { name });
+  logger.info('[Admin] Budget restored', { userId: req.user?.user_id, syncId: budget.syncId });
+  sendCreated(res, { budget });
+}));
+
+export default router;
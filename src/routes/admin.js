@@ -58,7 +58,7 @@ router.get('/oauth-clients/:clientId', validateParams(ClientIdParamsSchema), asy
  * Returns the client with the plain secret (only time it's available).
  */
 router.post('/oauth-clients', standardWriteLimiter, validateBody(CreateClientSchema), asyncHandler(async (req, res) => {
-  const { client_id, client_secret, allowed_scopes, redirect_uris } = req.validatedBody;
+  const { client_id, client_secret, allowed_scopes, allowed_budgets, redirect_uris } = req.validatedBody;
   
   logger.debug('[Admin] Creating OAuth client', { 
     userId: req.user?.user_id, 
@@ -73,6 +73,7 @@ router.post('/oauth-clients', standardWriteLimiter, validateBody(CreateClientSch
       clientId: client_id,
       clientSecret: client_secret,
       allowedScopes: allowed_scopes,
+      allowedBudgets: allowed_budgets,
       redirectUris: redirect_uris,
     });
     
@@ -115,16 +116,21 @@ router.put('/oauth-clients/:clientId',
   validateBody(UpdateClientSchema),
   asyncHandler(async (req, res) => {
     const { clientId } = req.validatedParams;
-    const updates = req.validatedBody;
+    const { client_secret, allowed_scopes, allowed_budgets, redirect_uris } = req.validatedBody;
     
     logger.debug('[Admin] Updating OAuth client', { 
       userId: req.user?.user_id, 
       clientId,
-      updateFields: Object.keys(updates.fields || {})
+      updateFields: Object.keys(req.validatedBody)
     });
     
     try {
-      const client = await updateClient(clientId, updates);
+      const client = await updateClient(clientId, {
+        clientSecret: client_secret,
+        allowedScopes: allowed_scopes,
+        allowedBudgets: allowed_budgets,
+        redirectUris: redirect_uris,
+      });
       logger.info('[Admin] OAuth client updated', { 
         userId: req.user?.user_id, 
         clientId 
@@ -0,0 +1,139 @@
+/**
+ * Alert routes.
+ *
+ * Alert rules are checked after each sync with the Actual server; the alerts
+ * they raise are listed here and can be acknowledged, or silenced by muting
+ * their rule:
+ * - Alerts: list, evaluate now, acknowledge, mute
+ * - Rules: CRUD
+ *
+ * All routes require JWT authentication.
+ */
+import express from 'express';
+import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
+import {
+  listAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  listAlerts,
+  evaluateAlerts,
+  acknowledgeAlert,
+  muteAlert,
+} from '../services/alerts.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validation-schemas.js';
+import {
+  IDSchema,
+  AlertsQuerySchema,
+  CreateAlertRuleSchema,
+  UpdateAlertRuleSchema,
+  MuteAlertSchema,
+} from '../middleware/validation-schemas.js';
+import { standardWriteLimiter } from '../middleware/rateLimiters.js';
+import { throwNotFound } from '../middleware/responseHelpers.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
+router.use(authenticateJWT);
+router.use(selectBudget);
+
+router.get(
+  '/',
+  validateQuery(AlertsQuerySchema),
+  asyncHandler(async (req, res) => {
+    const alerts = await listAlerts(req.validatedQuery);
+    res.json({ success: true, alerts });
+  })
+);
+
+router.post(
+  '/evaluate',
+  standardWriteLimiter,
+  asyncHandler(async (req, res) => {
+    const raised = await evaluateAlerts();
+    res.json({ success: true, raised });
+  })
+);
+
+// ================ RULES ================
+
+router.get(
+  '/rules',
+  asyncHandler(async (req, res) => {
+    const rules = await listAlertRules();
+    res.json({ success: true, rules });
+  })
+);
+
+router.get(
+  '/rules/:id',
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const rule = await getAlertRule(req.validatedParams.id);
+    if (!rule) {
+      throwNotFound('Alert rule', { id: req.validatedParams.id });
+    }
+    res.json({ success: true, rule });
+  })
+);
+
+router.post(
+  '/rules',
+  standardWriteLimiter,
+  validateBody(CreateAlertRuleSchema),
+  asyncHandler(async (req, res) => {
+    const rule = await createAlertRule(req.validatedBody.rule);
+    res.status(201).json({ success: true, rule });
+  })
+);
+
+router.put(
+  '/rules/:id',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateBody(UpdateAlertRuleSchema),
+  asyncHandler(async (req, res) => {
+    const rule = await updateAlertRule(req.validatedParams.id, req.validatedBody.fields);
+    res.json({ success: true, rule });
+  })
+);
+
+router.delete(
+  '/rules/:id',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const deleted = await deleteAlertRule(req.validatedParams.id);
+    if (!deleted) {
+      throwNotFound('Alert rule', { id: req.validatedParams.id });
+    }
+    res.json({ success: true });
+  })
+);
+
+// ================ ALERT ACTIONS ================
+
+router.post(
+  '/:id/acknowledge',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const alert = await acknowledgeAlert(req.validatedParams.id);
+    res.json({ success: true, alert });
+  })
+);
+
+router.post(
+  '/:id/mute',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateBody(MuteAlertSchema),
+  asyncHandler(async (req, res) => {
+    const { alert, rule } = await muteAlert(req.validatedParams.id, req.validatedBody);
+    res.json({ success: true, alert, rule });
+  })
+);
+
+export default router;
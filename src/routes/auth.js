@@ -18,6 +18,7 @@ import { LoginSchema, LogoutSchema } from '../middleware/validation-schemas.js';
 import logger, { logAuthEvent } from '../logging/logger.js';
 import { loginLimiterWithLogging } from '../middleware/rateLimiters.js';
 import { throwUnauthorized, throwBadRequest } from '../middleware/responseHelpers.js';
+import { parseBudgetList, intersectBudgets } from '../auth/permissions.js';
 
 const router = express.Router();
 
@@ -43,17 +44,19 @@ router.post('/login', loginLimiterWithLogging, validateBody(LoginSchema), async
       }
 
       // Get user's current role and scopes from database
-      const user = await getRow('SELECT role, scopes FROM users WHERE id = ?', [decoded.user_id]);
+      const user = await getRow('SELECT role, scopes, allowed_budgets FROM users WHERE id = ?', [decoded.user_id]);
       const role = user?.role || decoded.role || 'user';
       const scopes = user?.scopes || decoded.scope || 'api';
       const scopeArray = Array.isArray(scopes) ? scopes : scopes.split(',').map(s => s.trim()).filter(Boolean);
       const scopeString = Array.isArray(scopes) ? scopes.join(',') : scopes;
+      // Never widen budget access beyond what the refresh token was issued for
+      const budgets = intersectBudgets(parseBudgetList(user?.allowed_budgets), decoded.budgets ?? null);
 
       // Generate new access token with new JTI
       const newJti = crypto.randomUUID();
       const accessExpiresAt = new Date(Date.now() + ACCESS_TTL_SECONDS * 1000).toISOString();
       const accessToken = jwt.sign(
-        { user_id: decoded.user_id, username: decoded.username, role, scope: scopeString, scopes: scopeArray, iss: 'actual-wrapper', aud: 'n8n' },
+        { user_id: decoded.user_id, username: decoded.username, role, scope: scopeString, scopes: scopeArray, ...(budgets ? { budgets } : {}), iss: 'actual-wrapper', aud: 'n8n' },
         JWT_SECRET,
         { expiresIn: `${ACCESS_TTL_SECONDS}s`, jwtid: newJti }
       );
@@ -82,8 +85,8 @@ router.post('/login', loginLimiterWithLogging, validateBody(LoginSchema), async
     throwBadRequest('Username and password required');
   }
 
-  const { userId, username: uname, role, scopes } = await authenticateUser(username, password);
-  const tokens = await issueTokens(userId, uname, scopes, role);
+  const { userId, username: uname, role, scopes, budgets } = await authenticateUser(username, password);
+  const tokens = await issueTokens(userId, uname, scopes, role, budgets);
   res.json(tokens);
 });
 
@@ -0,0 +1,37 @@
+/**
+ * Batch endpoint.
+ *
+ * Runs an ordered list of write operations in one Actual batch (one sync before,
+ * one after). Later operations can reference results of earlier ones, e.g. a
+ * transaction using the id of a payee created in the same request.
+ * See services/batch.js for operation names and reference syntax.
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
+import { runBatch } from '../services/batch.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validateBody } from '../middleware/validation-schemas.js';
+import { BatchSchema } from '../middleware/validation-schemas.js';
+import { bulkOperationLimiter } from '../middleware/rateLimiters.js';
+import { bulkBodyParser } from '../middleware/bodyParser.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
+router.use(authenticateJWT);
+router.use(bulkBodyParser);
+router.use(selectBudget);
+
+router.post(
+  '/',
+  bulkOperationLimiter,
+  validateBody(BatchSchema),
+  asyncHandler(async (req, res) => {
+    const { operations, continueOnError } = req.validatedBody;
+    const results = await runBatch(operations, { continueOnError });
+    const failedCount = results.filter(r => r.status === 'error').length;
+    res.json({ success: failedCount === 0, failedCount, results });
+  })
+);
+
+export default router;
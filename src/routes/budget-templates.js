@@ -0,0 +1,81 @@
+// src/routes/budget-templates.js - CRUD for saved budget templates
+import express from 'express';
+import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
+import {
+  listBudgetTemplates,
+  getBudgetTemplate,
+  createBudgetTemplate,
+  updateBudgetTemplate,
+  deleteBudgetTemplate,
+} from '../services/budgetTemplates.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validateBody, validateParams } from '../middleware/validation-schemas.js';
+import {
+  IDSchema,
+  CreateBudgetTemplateSchema,
+  UpdateBudgetTemplateSchema,
+} from '../middleware/validation-schemas.js';
+import { standardWriteLimiter } from '../middleware/rateLimiters.js';
+import { throwNotFound } from '../middleware/responseHelpers.js';
+
+// Templates are stored in the auth database per budget: only the selected budget's are visible
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
+router.use(authenticateJWT);
+router.use(selectBudget);
+
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const templates = await listBudgetTemplates();
+    res.json({ success: true, templates });
+  })
+);
+
+router.get(
+  '/:id',
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const template = await getBudgetTemplate(req.validatedParams.id);
+    if (!template) {
+      throwNotFound('Budget template', { id: req.validatedParams.id });
+    }
+    res.json({ success: true, template });
+  })
+);
+
+router.post(
+  '/',
+  standardWriteLimiter,
+  validateBody(CreateBudgetTemplateSchema),
+  asyncHandler(async (req, res) => {
+    const template = await createBudgetTemplate(req.validatedBody.template);
+    res.status(201).json({ success: true, template });
+  })
+);
+
+router.put(
+  '/:id',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateBody(UpdateBudgetTemplateSchema),
+  asyncHandler(async (req, res) => {
+    const template = await updateBudgetTemplate(req.validatedParams.id, req.validatedBody.fields);
+    res.json({ success: true, template });
+  })
+);
+
+router.delete(
+  '/:id',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const deleted = await deleteBudgetTemplate(req.validatedParams.id);
+    if (!deleted) {
+      throwNotFound('Budget template', { id: req.validatedParams.id });
+    }
+    res.json({ success: true });
+  })
+);
+
+export default router;
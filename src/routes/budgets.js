@@ -1,14 +1,19 @@
 // src/routes/budgets.js - Budget-specific endpoints
 import express from 'express';
 import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
 import {
   budgetMonthsList,
   budgetMonthGet,
   budgetSetAmount,
   budgetSetCarryover,
   budgetHoldNextMonth,
-  budgetResetHold
+  budgetResetHold,
+  budgetCategoryTransfer
 } from '../services/actualApi.js';
+import { budgetMonthSummary } from '../services/budgetSummary.js';
+import { runBudgetOperation, budgetMonthSetAmounts } from '../services/budgetOperations.js';
+import { budgetMonthGoals } from '../services/categoryGoals.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import { validateBody, validateParams } from '../middleware/validation-schemas.js';
 import {
@@ -17,11 +22,17 @@ import {
   BudgetCategoryParamsSchema,
   BudgetCarryoverSchema,
   BudgetHoldSchema,
+  BudgetMonthOperationSchema,
+  BudgetAverageSchema,
+  BudgetApplyTemplateSchema,
+  SetBudgetAmountsSchema,
+  BudgetTransferSchema,
 } from '../middleware/validation-schemas.js';
 import { budgetLimiter } from '../middleware/rateLimiters.js';
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
 router.use(authenticateJWT);
+router.use(selectBudget);
 
 router.get('/months', asyncHandler(async (req, res) => {
   const months = await budgetMonthsList();
@@ -37,6 +48,36 @@ router.get(
   })
 );
 
+// Many categories at once, with a single sync (instead of one POST per category)
+router.put(
+  '/:month',
+  budgetLimiter,
+  validateParams(BudgetMonthParamsSchema),
+  validateBody(SetBudgetAmountsSchema),
+  asyncHandler(async (req, res) => {
+    const budget = await budgetMonthSetAmounts(req.validatedParams.month, req.validatedBody.amounts);
+    res.json({ success: true, budget });
+  })
+);
+
+router.get(
+  '/:month/summary',
+  validateParams(BudgetMonthParamsSchema),
+  asyncHandler(async (req, res) => {
+    const summary = await budgetMonthSummary(req.validatedParams.month);
+    res.json({ success: true, summary });
+  })
+);
+
+router.get(
+  '/:month/goals',
+  validateParams(BudgetMonthParamsSchema),
+  asyncHandler(async (req, res) => {
+    const goals = await budgetMonthGoals(req.validatedParams.month);
+    res.json({ success: true, goals });
+  })
+);
+
 router.post(
   '/:month/categories/:categoryId/budget',
   budgetLimiter,
@@ -83,4 +124,31 @@ router.post(
   })
 );
 
+router.post(
+  '/:month/transfer',
+  budgetLimiter,
+  validateParams(BudgetMonthParamsSchema),
+  validateBody(BudgetTransferSchema),
+  asyncHandler(async (req, res) => {
+    const transfer = await budgetCategoryTransfer(req.validatedParams.month, req.validatedBody);
+    res.json({ success: true, transfer });
+  })
+);
+
+// Month-level operations: each plans the new amounts and writes the changed ones in one batch
+const monthOperation = (operation, schema) => [
+  budgetLimiter,
+  validateParams(BudgetMonthParamsSchema),
+  validateBody(schema),
+  asyncHandler(async (req, res) => {
+    const result = await runBudgetOperation(req.validatedParams.month, operation, req.validatedBody);
+    res.json({ success: true, result });
+  }),
+];
+
+router.post('/:month/copy-previous', ...monthOperation('copy-previous', BudgetMonthOperationSchema));
+router.post('/:month/set-average', ...monthOperation('set-average', BudgetAverageSchema));
+router.post('/:month/set-zero', ...monthOperation('set-zero', BudgetMonthOperationSchema));
+router.post('/:month/apply-template', ...monthOperation('apply-template', BudgetApplyTemplateSchema));
+
 export default router;
\ No newline at end of file
@@ -1,14 +1,22 @@
 // src/routes/categories.js - CRUD for categories (pattern repeated for other resources)
 import express from 'express';
 import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
 import { categoriesList, categoryCreate, categoryUpdate, categoryDelete } from '../services/actualApi.js';
+import { getCategoryGoals, setCategoryGoals } from '../services/categoryGoals.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import { validateBody, validateParams } from '../middleware/validation-schemas.js';
-import { IDSchema, CreateCategorySchema, UpdateCategorySchema } from '../middleware/validation-schemas.js';
+import {
+  IDSchema,
+  CreateCategorySchema,
+  UpdateCategorySchema,
+  SetCategoryGoalsSchema,
+} from '../middleware/validation-schemas.js';
 import { standardWriteLimiter } from '../middleware/rateLimiters.js';
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
 router.use(authenticateJWT);
+router.use(selectBudget);
 
 router.get('/', asyncHandler(async (req, res) => {
   const categories = await categoriesList();
@@ -48,4 +56,25 @@ router.delete(
   })
 );
 
+// Goals are Actual goal templates in the category notes
+router.get(
+  '/:id/goals',
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const goals = await getCategoryGoals(req.validatedParams.id);
+    res.json({ success: true, ...goals });
+  })
+);
+
+router.put(
+  '/:id/goals',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateBody(SetCategoryGoalsSchema),
+  asyncHandler(async (req, res) => {
+    const goals = await setCategoryGoals(req.validatedParams.id, req.validatedBody.goals);
+    res.json({ success: true, ...goals });
+  })
+);
+
 export default router;
\ No newline at end of file
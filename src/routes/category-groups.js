@@ -1,6 +1,7 @@
 // src/routes/category-groups.js - CRUD for category groups
 import express from 'express';
 import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
 import {
   categoryGroupsList,
   categoryGroupCreate,
@@ -12,8 +13,9 @@ import { validateBody, validateParams } from '../middleware/validation-schemas.j
 import { IDSchema, CreateCategoryGroupSchema, UpdateCategoryGroupSchema } from '../middleware/validation-schemas.js';
 import { categoryGroupLimiter } from '../middleware/rateLimiters.js';
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
 router.use(authenticateJWT);
+router.use(selectBudget);
 
 router.get('/', asyncHandler(async (req, res) => {
   const groups = await categoryGroupsList();
@@ -4,7 +4,7 @@
  * Provides comprehensive health status including:
  * - Application status
  * - Database connectivity
- * - Actual API connectivity
+ * - Actual API connectivity and last sync with the Actual server
  * - System resources (development only)
  * - Uptime information (development only)
  *
@@ -13,7 +13,8 @@
 
 import express from 'express';
 import { getRow } from '../db/authDb.js';
-import { getActualApi } from '../services/actualApi.js';
+import { actualHealthCheck, getLastSyncAt, getSyncStatus } from '../services/actualApi.js';
+import { getQueueStats } from '../services/workQueue.js';
 import { NODE_ENV } from '../config/index.js';
 import logger from '../logging/logger.js';
 
@@ -44,9 +45,8 @@ const checkDatabase = async () => {
  */
 const checkActualApi = async () => {
   try {
-    const api = await getActualApi();
     // Try to get accounts as a connectivity test
-    await api.getAccounts();
+    await actualHealthCheck();
     return { status: 'ok', message: 'Actual API connection healthy' };
   } catch (error) {
     logger.error('Actual API health check failed', { error: error.message });
@@ -120,8 +120,10 @@ router.get('/', async (req, res) => {
       actualApi: {
         status: actualApiCheck.status,
         message: actualApiCheck.message,
-        // Only include error details in development
-        ...(isProduction ? {} : { error: actualApiCheck.error }),
+        // Last sync of the default budget; reads may be served from the local cache
+        lastSync: getLastSyncAt()?.toISOString() || null,
+        // Only include error details, queue and per-budget sync state in development
+        ...(isProduction ? {} : { error: actualApiCheck.error, queue: getQueueStats(), sync: getSyncStatus() }),
       },
       // System info is already filtered by getSystemInfo()
       ...(isProduction ? {} : { system: systemInfo }),
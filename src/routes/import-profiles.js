@@ -0,0 +1,83 @@
+// src/routes/import-profiles.js - CRUD for saved bank file import profiles
+import express from 'express';
+import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
+import {
+  listImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+} from '../services/importProfiles.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validation-schemas.js';
+import {
+  IDSchema,
+  CreateImportProfileSchema,
+  UpdateImportProfileSchema,
+  ImportProfilesQuerySchema,
+} from '../middleware/validation-schemas.js';
+import { standardWriteLimiter } from '../middleware/rateLimiters.js';
+import { throwNotFound } from '../middleware/responseHelpers.js';
+
+// Profiles are stored in the auth database per budget: only the selected budget's are visible
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
+router.use(authenticateJWT);
+router.use(selectBudget);
+
+router.get(
+  '/',
+  validateQuery(ImportProfilesQuerySchema),
+  asyncHandler(async (req, res) => {
+    const profiles = await listImportProfiles(req.validatedQuery.accountId);
+    res.json({ success: true, profiles });
+  })
+);
+
+router.get(
+  '/:id',
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const profile = await getImportProfile(req.validatedParams.id);
+    if (!profile) {
+      throwNotFound('Import profile', { id: req.validatedParams.id });
+    }
+    res.json({ success: true, profile });
+  })
+);
+
+router.post(
+  '/',
+  standardWriteLimiter,
+  validateBody(CreateImportProfileSchema),
+  asyncHandler(async (req, res) => {
+    const profile = await createImportProfile(req.validatedBody.profile);
+    res.status(201).json({ success: true, profile });
+  })
+);
+
+router.put(
+  '/:id',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateBody(UpdateImportProfileSchema),
+  asyncHandler(async (req, res) => {
+    const profile = await updateImportProfile(req.validatedParams.id, req.validatedBody.fields);
+    res.json({ success: true, profile });
+  })
+);
+
+router.delete(
+  '/:id',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const deleted = await deleteImportProfile(req.validatedParams.id);
+    if (!deleted) {
+      throwNotFound('Import profile', { id: req.validatedParams.id });
+    }
+    res.json({ success: true });
+  })
+);
+
+export default router;
@@ -11,6 +11,7 @@
 
 import express from 'express';
 import { getMetrics, resetMetrics, register } from '../middleware/metrics.js';
+import { getQueueStats } from '../services/workQueue.js';
 import { authenticateJWT } from '../auth/jwt.js';
 import { sendSuccess } from '../middleware/responseHelpers.js';
 import { NODE_ENV } from '../config/index.js';
@@ -30,6 +31,7 @@ if (isProduction) {
  * - Request counts (total, by method, by route)
  * - Response times (average, distribution)
  * - Error rates (by status code)
+ * - Actual API work queue (waiting/running operations per budget)
  * - System metrics
  */
 router.get('/', (req, res) => {
@@ -37,7 +39,7 @@ router.get('/', (req, res) => {
   
   res.json({
     success: true,
-    metrics,
+    metrics: { ...metrics, actualQueue: getQueueStats() },
     timestamp: new Date().toISOString(),
   });
 });
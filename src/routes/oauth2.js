@@ -24,6 +24,7 @@ import { JWT_REFRESH_SECRET } from '../config/index.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import { throwBadRequest, throwInternalError, throwUnauthorized } from '../middleware/responseHelpers.js';
 import logger, { logAuthEvent } from '../logging/logger.js';
+import { parseBudgetList, intersectBudgets } from '../auth/permissions.js';
 
 const router = express.Router();
 
@@ -189,7 +190,7 @@ router.post('/token', express.json(), express.urlencoded({ extended: true }), as
   const { clientId, clientSecret } = credentials;
 
   // Validate client credentials
-  await validateClient(clientId, clientSecret);
+  const client = await validateClient(clientId, clientSecret);
 
   // Handle refresh_token grant type
   if (grant_type === 'refresh_token') {
@@ -209,7 +210,7 @@ router.post('/token', express.json(), express.urlencoded({ extended: true }), as
       }
 
       // Get user's current role and scopes from database
-      const user = await getRow('SELECT username, role, scopes FROM users WHERE id = ?', [decoded.user_id]);
+      const user = await getRow('SELECT username, role, scopes, allowed_budgets FROM users WHERE id = ?', [decoded.user_id]);
       if (!user) {
         logger.error('[OAuth2] User not found for refresh token', { userId: decoded.user_id, clientId });
         throwInternalError('User not found');
@@ -217,9 +218,14 @@ router.post('/token', express.json(), express.urlencoded({ extended: true }), as
 
       const role = user.role || decoded.role || 'user';
       const scopes = user.scopes || decoded.scope || 'api';
+      // Re-apply current user and client restrictions, never widening the original grant
+      const budgets = intersectBudgets(
+        intersectBudgets(parseBudgetList(user.allowed_budgets), parseBudgetList(client.allowed_budgets)),
+        decoded.budgets ?? null
+      );
 
       // Issue new tokens (both access and refresh for token rotation)
-      const tokens = await issueTokens(decoded.user_id, user.username, scopes, role);
+      const tokens = await issueTokens(decoded.user_id, user.username, scopes, role, budgets);
       
       // Revoke the old refresh token for proper token rotation security
       await revokeToken(decoded.jti);
@@ -265,14 +271,17 @@ router.post('/token', express.json(), express.urlencoded({ extended: true }), as
     logger.debug('[OAuth2] Authorization code validated', { clientId, userId, scope });
 
     // Get user details for token issuance
-    const user = await getRow('SELECT username FROM users WHERE id = ?', [userId]);
+    const user = await getRow('SELECT username, allowed_budgets FROM users WHERE id = ?', [userId]);
     if (!user) {
       logger.error('[OAuth2] User not found after code validation', { userId, clientId });
       throwInternalError('User not found');
     }
 
+    // Tokens may only reach budgets allowed for both the user and the client
+    const budgets = intersectBudgets(parseBudgetList(user.allowed_budgets), parseBudgetList(client.allowed_budgets));
+
     // Issue JWT tokens
-    const tokens = await issueTokens(userId, user.username, scope);
+    const tokens = await issueTokens(userId, user.username, scope, 'user', budgets);
     
     logger.info('[OAuth2] Tokens issued via authorization code', { 
       clientId, 
@@ -1,6 +1,7 @@
 // src/routes/payees.js - CRUD for payees + merge
 import express from 'express';
 import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
 import {
   payeesList,
   payeeCreate,
@@ -13,8 +14,9 @@ import { validateBody, validateParams } from '../middleware/validation-schemas.j
 import { IDSchema, CreatePayeeSchema, UpdatePayeeSchema, MergePayeesSchema } from '../middleware/validation-schemas.js';
 import { standardWriteLimiter } from '../middleware/rateLimiters.js';
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
 router.use(authenticateJWT);
+router.use(selectBudget);
 
 router.get('/', asyncHandler(async (req, res) => {
   const payees = await payeesList();
@@ -13,6 +13,7 @@
 
 import express from 'express';
 import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
 import { runActualQuery } from '../services/actualApi.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import { validateBody } from '../middleware/validation-schemas.js';
@@ -23,9 +24,10 @@ import { sendSuccess } from '../middleware/responseHelpers.js';
 import { queryBodyParser } from '../middleware/bodyParser.js';
 import logger from '../logging/logger.js';
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
 router.use(authenticateJWT);
 router.use(queryBodyParser); // Smaller limit for queries
+router.use(selectBudget);
 
 router.post(
   '/',
@@ -0,0 +1,53 @@
+/**
+ * Report routes.
+ *
+ * Read-only summaries computed from budget data:
+ * - Net worth: assets and liabilities at the end of each month
+ * - Cash flow: income and expenses per month
+ * - Spending: a month's spending per category, category group or payee, compared
+ *
+ * All routes require JWT authentication.
+ */
+import express from 'express';
+import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
+import { netWorthReport, cashFlowReport, spendingReport } from '../services/reports.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validateQuery, NetWorthReportQuerySchema, CashFlowReportQuerySchema, SpendingReportQuerySchema } from '../middleware/validation-schemas.js';
+import { sendSuccess } from '../middleware/responseHelpers.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
+router.use(authenticateJWT);
+router.use(selectBudget);
+
+router.get(
+  '/net-worth',
+  validateQuery(NetWorthReportQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { start, end, accounts } = req.validatedQuery;
+    const report = await netWorthReport({ start, end, accountIds: accounts });
+    sendSuccess(res, report);
+  })
+);
+
+router.get(
+  '/cash-flow',
+  validateQuery(CashFlowReportQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { start, end, accounts, category_groups: categoryGroups } = req.validatedQuery;
+    const report = await cashFlowReport({ start, end, accountIds: accounts, categoryGroupIds: categoryGroups });
+    sendSuccess(res, report);
+  })
+);
+
+router.get(
+  '/spending',
+  validateQuery(SpendingReportQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { month, group_by: groupBy, limit, accounts } = req.validatedQuery;
+    const report = await spendingReport({ month, groupBy, limit, accountIds: accounts });
+    sendSuccess(res, report);
+  })
+);
+
+export default router;
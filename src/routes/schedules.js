@@ -1,6 +1,7 @@
 // src/routes/schedules.js - CRUD for schedules
 import express from 'express';
 import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
 import {
   schedulesList,
   scheduleCreate,
@@ -12,8 +13,9 @@ import { validateBody, validateParams } from '../middleware/validation-schemas.j
 import { IDSchema, CreateScheduleSchema, UpdateScheduleSchema } from '../middleware/validation-schemas.js';
 import { standardWriteLimiter } from '../middleware/rateLimiters.js';
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
 router.use(authenticateJWT);
+router.use(selectBudget);
 
 router.get('/', asyncHandler(async (req, res) => {
   const schedules = await schedulesList();
@@ -1,14 +1,122 @@
-// src/routes/transactions-global.js - Global update/delete by transaction ID
+// src/routes/transactions-global.js - Search across accounts + global get/update/delete by transaction ID + split lines + bulk changes
 import express from 'express';
 import { authenticateJWT } from '../auth/jwt.js';
-import { transactionUpdate, transactionDelete } from '../services/actualApi.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
+import {
+  transactionsSearch,
+  transactionGet,
+  transactionUpdate,
+  transactionSetSplits,
+  transactionUnsplit,
+  transactionDelete,
+  transactionsBulkUpdate,
+  transactionsBulkDelete,
+} from '../services/actualApi.js';
+import { exportTransactions, EXPORT_FORMATS } from '../services/transactionExport.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
-import { validateBody, validateParams } from '../middleware/validation-schemas.js';
-import { IDSchema, UpdateTransactionSchema } from '../middleware/validation-schemas.js';
-import { highFrequencyLimiter, standardWriteLimiter } from '../middleware/rateLimiters.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validation-schemas.js';
+import {
+  IDSchema,
+  UpdateTransactionSchema,
+  TransactionsSearchQuerySchema,
+  TransactionsExportQuerySchema,
+  SetSplitsSchema,
+  UnsplitTransactionQuerySchema,
+  BulkUpdateTransactionsSchema,
+  BulkDeleteTransactionsSchema,
+} from '../middleware/validation-schemas.js';
+import { highFrequencyLimiter, standardWriteLimiter, bulkOperationLimiter } from '../middleware/rateLimiters.js';
+import { bulkBodyParser } from '../middleware/bodyParser.js';
+import { throwNotFound, sendDownload } from '../middleware/responseHelpers.js';
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
 router.use(authenticateJWT);
+router.use(selectBudget);
+
+router.get(
+  '/',
+  validateQuery(TransactionsSearchQuerySchema),
+  asyncHandler(async (req, res) => {
+    const {
+      account, start, end, payee, category, min_amount, max_amount, cleared, reconciled, notes,
+      include_offbudget, include_closed, sort, order, limit, cursor,
+    } = req.validatedQuery;
+    const { transactions, nextCursor } = await transactionsSearch(
+      {
+        accountId: account, start, end, payee, category, minAmount: min_amount, maxAmount: max_amount,
+        cleared, reconciled, notes, includeOffBudget: include_offbudget, includeClosed: include_closed,
+      },
+      { sort, order, limit, cursor }
+    );
+    res.json({ success: true, transactions, next_cursor: nextCursor });
+  })
+);
+
+// Streamed download; split transactions are exported as their lines
+router.get(
+  '/export',
+  bulkOperationLimiter,
+  validateQuery(TransactionsExportQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { format, account, start, end, include_offbudget, include_closed, currency } = req.validatedQuery;
+    const filters = { accountId: account, start, end, includeOffBudget: include_offbudget, includeClosed: include_closed };
+    // Safe: format is one of the EXPORT_FORMATS keys (validated)
+    // eslint-disable-next-line security/detect-object-injection
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    await sendDownload(res, exportTransactions(format, filters, { currency }), {
+      contentType,
+      filename: `transactions.${extension}`,
+    });
+  })
+);
+
+// Bulk changes: ids or filter ({ account, payee, category, start, end }) select the transactions
+const toBulkSelection = ({ ids, filter }) => {
+  if (ids) return { ids };
+  const { account, ...filters } = filter;
+  return { filters: { ...filters, accountId: account } };
+};
+
+const bulkResponse = (results, dryRun) => {
+  const failedCount = results.filter(r => r.status === 'error').length;
+  return { success: failedCount === 0, dryRun, failedCount, results };
+};
+
+router.patch(
+  '/',
+  bulkOperationLimiter,
+  bulkBodyParser,
+  validateBody(BulkUpdateTransactionsSchema),
+  asyncHandler(async (req, res) => {
+    const { fields, dryRun } = req.validatedBody;
+    const results = await transactionsBulkUpdate(toBulkSelection(req.validatedBody), fields, { dryRun });
+    res.json(bulkResponse(results, dryRun));
+  })
+);
+
+router.post(
+  '/bulk-delete',
+  bulkOperationLimiter,
+  bulkBodyParser,
+  validateBody(BulkDeleteTransactionsSchema),
+  asyncHandler(async (req, res) => {
+    const { dryRun } = req.validatedBody;
+    const results = await transactionsBulkDelete(toBulkSelection(req.validatedBody), { dryRun });
+    res.json(bulkResponse(results, dryRun));
+  })
+);
+
+router.get(
+  '/:id',
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    const transaction = await transactionGet(req.validatedParams.id);
+    if (!transaction) {
+      throwNotFound('Transaction', { id: req.validatedParams.id });
+    }
+    res.json({ success: true, transaction });
+  })
+);
 
 router.put(
   '/:id',
@@ -32,4 +140,29 @@ router.delete(
   })
 );
 
-export default router;
\ No newline at end of file
+// Split lines: PUT sets them all (add/edit/remove, or split a normal transaction),
+// DELETE turns the split back into a normal transaction
+router.put(
+  '/:id/splits',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateBody(SetSplitsSchema),
+  asyncHandler(async (req, res) => {
+    const { subtransactions, amount } = req.validatedBody;
+    const subtransactionIds = await transactionSetSplits(req.validatedParams.id, subtransactions, amount);
+    res.json({ success: true, subtransactionIds });
+  })
+);
+
+router.delete(
+  '/:id/splits',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateQuery(UnsplitTransactionQuerySchema),
+  asyncHandler(async (req, res) => {
+    await transactionUnsplit(req.validatedParams.id, req.validatedQuery.category);
+    res.json({ success: true });
+  })
+);
+
+export default router;
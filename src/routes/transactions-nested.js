@@ -1,15 +1,22 @@
 // src/routes/transactions-nested.js - Nested under /accounts/:accountId/transactions
 import express from 'express';
-import { transactionsList, transactionsAdd, transactionsImport } from '../services/actualApi.js';
+import { transactionsList, transactionsAdd, transactionsImport, transactionsImportPreview } from '../services/actualApi.js';
+import { importBankFile } from '../services/bankFileImport.js';
+import { exportTransactions, EXPORT_FORMATS } from '../services/transactionExport.js';
+import { resolveImportSettings } from '../services/importProfiles.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
-import { validateBody, validateParams } from '../middleware/validation-schemas.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validation-schemas.js';
 import {
   AccountIdParamsSchema,
   TransactionsAddSchema,
-  TransactionsImportSchema,
+  TransactionsImportRequestSchema,
+  TransactionsListQuerySchema,
+  AccountTransactionsExportQuerySchema,
+  BankFileImportSchema,
 } from '../middleware/validation-schemas.js';
 import { bulkOperationLimiter } from '../middleware/rateLimiters.js';
-import { bulkBodyParser } from '../middleware/bodyParser.js';
+import { bulkBodyParser, bankFileUpload } from '../middleware/bodyParser.js';
+import { sendDownload } from '../middleware/responseHelpers.js';
 
 const router = express.Router({ mergeParams: true }); // Important: mergeParams to access :accountId
 
@@ -19,12 +26,38 @@ router.use(bulkBodyParser);
 router.get(
   '/',
   validateParams(AccountIdParamsSchema),
+  validateQuery(TransactionsListQuerySchema),
   asyncHandler(async (req, res) => {
     const accountId = req.validatedParams.accountId;
-    const start = req.query.start || undefined; // YYYY-MM-DD per Actual API reference
-    const end = req.query.end || undefined;   // YYYY-MM-DD per Actual API reference
-    const transactions = await transactionsList(accountId, start, end);
-    res.json({ success: true, accountId, transactions });
+    const {
+      start, end, payee, category, min_amount, max_amount, cleared, reconciled, notes,
+      sort, order, limit, cursor,
+    } = req.validatedQuery;
+    const { transactions, nextCursor } = await transactionsList(
+      accountId,
+      { start, end, payee, category, minAmount: min_amount, maxAmount: max_amount, cleared, reconciled, notes },
+      { sort, order, limit, cursor }
+    );
+    res.json({ success: true, accountId, transactions, next_cursor: nextCursor });
+  })
+);
+
+// Streamed download of the account's transactions (see GET /v2/transactions/export)
+router.get(
+  '/export',
+  bulkOperationLimiter,
+  validateParams(AccountIdParamsSchema),
+  validateQuery(AccountTransactionsExportQuerySchema),
+  asyncHandler(async (req, res) => {
+    const accountId = req.validatedParams.accountId;
+    const { format, start, end, currency } = req.validatedQuery;
+    // Safe: format is one of the EXPORT_FORMATS keys (validated)
+    // eslint-disable-next-line security/detect-object-injection
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    await sendDownload(res, exportTransactions(format, { accountId, start, end }, { currency }), {
+      contentType,
+      filename: `transactions-${accountId}.${extension}`,
+    });
   })
 );
 
@@ -45,13 +78,45 @@ router.post(
   '/import',
   bulkOperationLimiter,
   validateParams(AccountIdParamsSchema),
-  validateBody(TransactionsImportSchema),
+  validateBody(TransactionsImportRequestSchema),
   asyncHandler(async (req, res) => {
     const accountId = req.validatedParams.accountId;
-    const { transactions } = req.validatedBody;
+    const { transactions, dryRun } = req.validatedBody;
+    if (dryRun) {
+      const preview = await transactionsImportPreview(accountId, transactions);
+      return res.json({ success: true, accountId, dryRun, preview });
+    }
     const result = await transactionsImport(accountId, transactions);
     res.status(201).json({ success: true, accountId, result });
   })
 );
 
-export default router;
\ No newline at end of file
+// Raw bank export (multipart: "file" plus the BankFileImportSchema fields, or a saved profileId)
+router.post(
+  '/import/file',
+  bulkOperationLimiter,
+  validateParams(AccountIdParamsSchema),
+  bankFileUpload,
+  validateBody(BankFileImportSchema),
+  asyncHandler(async (req, res) => {
+    const accountId = req.validatedParams.accountId;
+    const { profileId, dryRun, ...given } = req.validatedBody;
+    const settings = profileId ? await resolveImportSettings(profileId, accountId, given) : given;
+    const {
+      format, dateFormat, importNotes, mapping, hasHeaderRow, delimiter, skipStartLines, skipEndLines, decimalSeparator,
+    } = settings;
+    const { format: detectedFormat, parsedCount, parseErrors, result } = await importBankFile(accountId, req.file.buffer, {
+      filename: req.file.originalname,
+      format,
+      dateFormat,
+      importNotes,
+      csv: { mapping, hasHeaderRow, delimiter, skipStartLines, skipEndLines, decimalSeparator },
+    }, { dryRun });
+    if (dryRun) {
+      return res.json({ success: true, accountId, dryRun, format: detectedFormat, parsedCount, parseErrors, preview: result });
+    }
+    res.status(201).json({ success: true, accountId, format: detectedFormat, parsedCount, parseErrors, result });
+  })
+);
+
+export default router;
@@ -0,0 +1,48 @@
+// src/routes/transfers.js - Transfers between accounts (linked transaction pairs)
+import express from 'express';
+import { authenticateJWT } from '../auth/jwt.js';
+import { selectBudget } from '../middleware/budgetSelector.js';
+import { transferCreate, transferUpdate, transferDelete } from '../services/actualApi.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validateBody, validateParams } from '../middleware/validation-schemas.js';
+import { IDSchema, CreateTransferSchema, UpdateTransferSchema } from '../middleware/validation-schemas.js';
+import { standardWriteLimiter } from '../middleware/rateLimiters.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :syncId
+router.use(authenticateJWT);
+router.use(selectBudget);
+
+router.post(
+  '/',
+  standardWriteLimiter,
+  validateBody(CreateTransferSchema),
+  asyncHandler(async (req, res) => {
+    const ids = await transferCreate(req.validatedBody);
+    res.status(201).json({ success: true, ...ids });
+  })
+);
+
+// :id is either transaction of the pair
+router.put(
+  '/:id',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  validateBody(UpdateTransferSchema),
+  asyncHandler(async (req, res) => {
+    const { fields } = req.validatedBody;
+    const ids = await transferUpdate(req.validatedParams.id, fields);
+    res.json({ success: true, ...ids });
+  })
+);
+
+router.delete(
+  '/:id',
+  standardWriteLimiter,
+  validateParams(IDSchema),
+  asyncHandler(async (req, res) => {
+    await transferDelete(req.validatedParams.id);
+    res.json({ success: true });
+  })
+);
+
+export default router;
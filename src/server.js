@@ -12,6 +12,7 @@ import crypto from 'crypto';
 import authRoutes from './routes/auth.js';
 import oauthRoutes from './routes/oauth2.js';
 import adminRoutes from './routes/admin.js';
+import adminBudgetRoutes from './routes/admin-budget.js';
 import accountsRoutes from './routes/accounts.js';
 import transactionsGlobalRoutes from './routes/transactions-global.js';
 import transactionsNestedRoutes from './routes/transactions-nested.js';
@@ -22,9 +23,17 @@ import budgetsRoutes from './routes/budgets.js';
 import rulesRoutes from './routes/rules.js';
 import schedulesRoutes from './routes/schedules.js';
 import queryRoutes from './routes/query.js';
+import batchRoutes from './routes/batch.js';
+import transfersRoutes from './routes/transfers.js';
+import reportsRoutes from './routes/reports.js';
+import importProfilesRoutes from './routes/import-profiles.js';
+import budgetTemplatesRoutes from './routes/budget-templates.js';
+import alertsRoutes from './routes/alerts.js';
 import healthRoutes from './routes/health.js';
 import loginRoutes from './routes/login.js';
 import { initActualApi, shutdownActualApi } from './services/actualApi.js';
+import { startSyncScheduler, stopSyncScheduler } from './services/syncScheduler.js';
+import { startAlerts, stopAlerts } from './services/alerts.js';
 import { ensureAdminUserHash } from './auth/user.js';
 import { closeDb } from './db/authDb.js';
 import { closeRedis } from './config/redis.js';
@@ -35,6 +44,7 @@ import { authenticateForDocs } from './auth/docsAuth.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { requestIdMiddleware } from './middleware/requestId.js';
 import { metricsMiddleware } from './middleware/metrics.js';
+import { requireSyncIdParam } from './middleware/budgetSelector.js';
 import metricsRoutes from './routes/metrics.js';
 import logger from './logging/logger.js';
 
@@ -89,8 +99,9 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Budget-Id'],
+  exposedHeaders: ['X-Last-Sync'],
   maxAge: 86400, // 24 hours
 }));
 
@@ -151,8 +162,32 @@ app.use('/static', express.static('./src/public/static'));
 app.use('/v2/auth', authRoutes);
 app.use('/v2/health', healthRoutes);
 app.use('/v2/metrics', metricsRoutes); // Metrics endpoints (protected in production)
+
+// Budget-scoped routes: /v2/budgets/:syncId/<resource> targets a specific budget.
+// The unscoped routes below use the X-Budget-Id header, or ACTUAL_SYNC_ID by default.
+const budgetScopedRoutes = express.Router({ mergeParams: true });
+budgetScopedRoutes.use(requireSyncIdParam);
+budgetScopedRoutes.use('/accounts', accountsRoutes);
+budgetScopedRoutes.use('/transactions', transactionsGlobalRoutes);
+budgetScopedRoutes.use('/transfers', transfersRoutes);
+budgetScopedRoutes.use('/categories', categoriesRoutes);
+budgetScopedRoutes.use('/category-groups', categoryGroupsRoutes);
+budgetScopedRoutes.use('/payees', payeesRoutes);
+budgetScopedRoutes.use('/rules', rulesRoutes);
+budgetScopedRoutes.use('/schedules', schedulesRoutes);
+budgetScopedRoutes.use('/query', queryRoutes);
+budgetScopedRoutes.use('/batch', batchRoutes);
+budgetScopedRoutes.use('/reports', reportsRoutes);
+budgetScopedRoutes.use('/alerts', alertsRoutes);
+budgetScopedRoutes.use('/import-profiles', importProfilesRoutes);
+budgetScopedRoutes.use('/budget-templates', budgetTemplatesRoutes);
+budgetScopedRoutes.use(budgetsRoutes); // /months, /:month, ...
+app.use('/v2/budgets/:syncId', budgetScopedRoutes);
+
 app.use('/v2/accounts', accountsRoutes);
-app.use('/v2/transactions', transactionsGlobalRoutes); // Global update/delete by ID
+app.use('/v2/transactions', transactionsGlobalRoutes); // Search across accounts, update/delete by ID or in bulk
+
+app.use('/v2/transfers', transfersRoutes); // Linked transaction pairs between accounts
 
 // Nested per-account transactions (mounted under accounts)
 accountsRoutes.use('/:accountId/transactions', transactionsNestedRoutes);
@@ -164,6 +199,12 @@ app.use('/v2/budgets', budgetsRoutes);
 app.use('/v2/rules', rulesRoutes);
 app.use('/v2/schedules', schedulesRoutes);
 app.use('/v2/query', queryRoutes);
+app.use('/v2/batch', batchRoutes);
+app.use('/v2/reports', reportsRoutes); // Net worth and cash flow summaries
+app.use('/v2/alerts', alertsRoutes); // Alerts raised by alert rules after each sync
+app.use('/v2/import-profiles', importProfilesRoutes); // Saved bank file import settings, per budget
+app.use('/v2/budget-templates', budgetTemplatesRoutes); // Saved budget amounts for apply-template, per budget
+app.use('/v2/admin/budget', adminBudgetRoutes); // Budget backup and restore (admin only)
 
 // Non-versioned routes (no /v2 prefix)
 app.use(loginRoutes); // Root /login GET/POST
@@ -189,6 +230,8 @@ app.use(errorHandler);
     logger.info('OAuth2 clients can be managed via /admin/oauth-clients endpoints');
     
     await initActualApi();
+    startSyncScheduler();
+    startAlerts();
     
     logger.info('Startup complete', {
       port: PORT,
@@ -205,6 +248,8 @@ const shutdown = async (signal) => {
   logger.info(`${signal} received – shutting down gracefully...`);
   
   try {
+    stopSyncScheduler();
+    stopAlerts();
     await shutdownActualApi();
     closeDb();
     await closeRedis();
@@ -237,15 +282,23 @@ app.listen(PORT, () => {
     auth: 'POST /v2/auth/login, POST /v2/auth/logout',
     oauth2: 'GET /oauth/authorize, POST /oauth/token',
     admin: 'GET /admin/oauth-clients (requires admin JWT)',
+    adminBudget: 'GET /v2/admin/budget/export, POST /v2/admin/budget/import (requires admin JWT)',
     docs: 'GET /docs',
     accounts: '/v2/accounts/*',
     transactions: '/v2/transactions/* and /v2/accounts/:accountId/transactions/*',
+    transfers: '/v2/transfers/*',
     categories: '/v2/categories/*',
     categoryGroups: '/v2/category-groups/*',
     payees: '/v2/payees/*',
     budgets: '/v2/budgets/*',
+    budgetScoped: '/v2/budgets/:syncId/* (or X-Budget-Id header)',
     rules: '/v2/rules/*',
     schedules: '/v2/schedules/*',
     query: 'POST /v2/query',
+    batch: 'POST /v2/batch',
+    reports: 'GET /v2/reports/*',
+    alerts: '/v2/alerts/*',
+    importProfiles: '/v2/import-profiles/*',
+    budgetTemplates: '/v2/budget-templates/*',
   });
 });
\ No newline at end of file
@@ -1,14 +1,119 @@
 /**
  * Actual Budget API client initialization and lifecycle management.
+ *
+ * The Actual SDK keeps a single budget open at a time. Several budgets can be
+ * served by switching the open budget before each operation; all operations go
+ * through the per-budget work queue (workQueue.js) so a switch never happens
+ * underneath a running one.
+ *
+ * Reads only sync with the Actual server when the budget's last sync is older
+ * than ACTUAL_SYNC_STALENESS_MS; otherwise they are served from the local cache,
+ * which the background sync loop (syncScheduler.js) keeps fresh. Writes always sync.
  */
 
-import { DATA_DIR } from '../config/index.js';
+import { randomUUID } from 'crypto';
+import { DATA_DIR, DEFAULT_SYNC_ID, ACTUAL_SYNC_STALENESS_MS, ACTUAL_SYNC_INTERVAL_MS } from '../config/index.js';
+import { getRequestedSyncId, reportLastSync } from './budgetContext.js';
+import { enqueue } from './workQueue.js';
+import { buildTransactionFilter, cursorFilter, decodeCursor, encodeCursor } from './transactionQuery.js';
+import { ConflictError, NotFoundError, ValidationError } from '../errors/index.js';
 import logger from '../logging/logger.js';
 
 let api = null;
 
+// Budgets downloaded this session: syncId -> local budget id (cache directory name)
+const loadedBudgets = new Map();
+let activeSyncId = null;
+// Last successful sync with the Actual server: syncId -> Date
+const lastSyncTimes = new Map();
+
+const markSynced = (syncId) => {
+  lastSyncTimes.set(syncId, new Date());
+};
+
+// Called with the syncId after each operation that synced with the server (see onBudgetSynced)
+const syncListeners = new Set();
+
+/**
+ * Get called after every operation that synced a budget with the Actual server.
+ * Listeners run after the operation has left the queue and aren't awaited;
+ * errors are logged.
+ *
+ * @param {(syncId: string) => (void|Promise<void>)} listener
+ * @returns {Function} Removes the listener
+ */
+export const onBudgetSynced = (listener) => {
+  syncListeners.add(listener);
+  return () => syncListeners.delete(listener);
+};
+
+const notifySynced = (syncId) => {
+  for (const listener of syncListeners) {
+    Promise.resolve()
+      .then(() => listener(syncId))
+      .catch(error => logger.warn('[Actual] Sync listener failed', { syncId, error: error.message }));
+  }
+};
+
+/**
+ * Whether the local copy of a budget is older than the staleness window.
+ */
+const isStale = (syncId) => {
+  const lastSyncAt = lastSyncTimes.get(syncId);
+  return !lastSyncAt || Date.now() - lastSyncAt.getTime() >= ACTUAL_SYNC_STALENESS_MS;
+};
+
+/**
+ * Download a budget (or load it from the local cache) and remember its local id.
+ */
+const downloadBudget = async (instance, syncId) => {
+  logger.info('Downloading budget...', { syncId });
+  await instance.downloadBudget(syncId);
+
+  const budgets = await instance.getBudgets();
+  const local = budgets.find(b => b.groupId === syncId && b.id);
+  if (local) {
+    loadedBudgets.set(syncId, local.id);
+  }
+  activeSyncId = syncId;
+  markSynced(syncId);
+};
+
+/**
+ * Open a budget in the SDK, from the local cache when it was downloaded before.
+ */
+const switchBudget = async (instance, syncId) => {
+  const localId = loadedBudgets.get(syncId);
+  if (localId) {
+    logger.debug('[Actual] Switching budget', { from: activeSyncId, to: syncId });
+    await instance.loadBudget(localId);
+    activeSyncId = syncId;
+    return;
+  }
+
+  await downloadBudget(instance, syncId);
+};
+
+// In-flight switch, shared by operations that start together on the same budget
+let pendingSwitch = null;
+
+/**
+ * Make sure the requested budget is the one open in the SDK.
+ */
+const ensureBudgetLoaded = async (instance, syncId) => {
+  if (activeSyncId === syncId) return;
+  if (pendingSwitch?.syncId === syncId) return pendingSwitch.promise;
+
+  const promise = switchBudget(instance, syncId).finally(() => {
+    pendingSwitch = null;
+  });
+  pendingSwitch = { syncId, promise };
+  return promise;
+};
+
 /**
  * Initialize the Actual API client (idempotent).
+ * Downloads the default budget (ACTUAL_SYNC_ID); other budgets are downloaded on first use.
  */
 export const initActualApi = async () => {
   if (api) return api;
@@ -24,8 +129,7 @@ export const initActualApi = async () => {
       password: process.env.ACTUAL_PASSWORD,
     });
 
-    logger.info('Downloading budget...', { syncId: process.env.ACTUAL_SYNC_ID });
-    await api.downloadBudget(process.env.ACTUAL_SYNC_ID);
+    await downloadBudget(api, DEFAULT_SYNC_ID);
     logger.info('Actual API initialized and budget downloaded.');
   } catch (error) {
     logger.error('Failed to initialize Actual API', { 
@@ -33,6 +137,9 @@ export const initActualApi = async () => {
       stack: error.stack 
     });
     api = null; // Reset on failure so retry can happen
+    loadedBudgets.clear();
+    lastSyncTimes.clear();
+    activeSyncId = null;
     throw error;
   }
 
@@ -47,6 +154,39 @@ export const getActualApi = async () => {
   return api;
 };
 
+/**
+ * Sync IDs of budgets downloaded this session and the one currently open.
+ */
+export const getLoadedBudgets = () => ({
+  active: activeSyncId,
+  loaded: [...loadedBudgets.keys()],
+});
+
+/**
+ * When a budget last synced with the Actual server.
+ *
+ * @param {string} [syncId] - Budget sync ID (defaults to ACTUAL_SYNC_ID)
+ * @returns {Date|null} Time of the last successful sync, null if never synced
+ */
+export const getLastSyncAt = (syncId = DEFAULT_SYNC_ID) => lastSyncTimes.get(syncId) || null;
+
+/**
+ * Sync scheduling settings and last sync time per downloaded budget.
+ */
+export const getSyncStatus = () => {
+  const budgets = {};
+  for (const [syncId, lastSyncAt] of lastSyncTimes) {
+    // Safe: syncId comes from the configured budget list
+    // eslint-disable-next-line security/detect-object-injection
+    budgets[syncId] = { lastSyncAt: lastSyncAt.toISOString(), stale: isStale(syncId) };
+  }
+  return {
+    stalenessMs: ACTUAL_SYNC_STALENESS_MS,
+    intervalMs: ACTUAL_SYNC_INTERVAL_MS,
+    budgets,
+  };
+};
+
 /**
  * Graceful shutdown.
  */
@@ -55,64 +195,108 @@ export const shutdownActualApi = async () => {
     await api.shutdown();
     logger.info('Actual API shutdown complete.');
     api = null;
+    loadedBudgets.clear();
+    lastSyncTimes.clear();
+    activeSyncId = null;
   }
 };
 
-const runWithApi = async (label, fn, { syncBefore = true, syncAfter = false } = {}) => {
+/**
+ * Run an operation against the requested budget through the work queue.
+ *
+ * @param {string} label - Operation name (for logs)
+ * @param {Function} fn - Receives the API instance
+ * @param {object} [options]
+ * @param {boolean|'stale'} [options.syncBefore='stale'] - Sync first: always (true), never (false),
+ *   or only when the local copy is older than ACTUAL_SYNC_STALENESS_MS ('stale', used for reads)
+ * @param {boolean} [options.syncAfter=false] - Push changes to the server afterwards (writes)
+ */
+const runWithApi = async (label, fn, { syncBefore = 'stale', syncAfter = false } = {}) => {
+  const syncId = getRequestedSyncId();
   const instance = await getActualApi();
-  const started = Date.now();
+  let synced = false;
+
+  const output = await enqueue(syncId, label, async () => {
+    const started = Date.now();
 
-  // Sync before operation if requested
-  if (syncBefore) {
     try {
-      await instance.sync();
+      await ensureBudgetLoaded(instance, syncId);
     } catch (error) {
-      logger.error('[Actual] Sync failed before operation', { 
-        label, 
-        error: error.message,
-        stack: error.stack 
-      });
-      
-      // If sync fails with getPrefs null error, the budget might not be loaded
-      // Try to re-download the budget and retry once
-      if (error.message?.includes('getPrefs') || error.message?.includes('Cannot destructure')) {
-        logger.warn('[Actual] Budget may not be loaded, attempting to re-download...');
-        try {
-          await instance.downloadBudget(process.env.ACTUAL_SYNC_ID);
-          await instance.sync(); // Retry sync after re-download
-          logger.info('[Actual] Budget re-downloaded and synced successfully');
-        } catch (retryError) {
-          logger.error('[Actual] Retry failed after re-download', { 
-            error: retryError.message 
-          });
-          throw new Error(`Budget synchronization failed. The budget may not be properly initialized. Please verify ACTUAL_SYNC_ID (${process.env.ACTUAL_SYNC_ID}) is correct and the Actual Budget server is accessible. Original error: ${error.message}`);
+      logger.error('[Actual] Failed to load budget', { label, syncId, error: error.message });
+      throw new Error(`Failed to load budget ${syncId}: ${error.message}`);
+    }
+
+    // Sync before operation if requested (reads skip it while the local copy is fresh)
+    const shouldSync = syncBefore === 'stale' ? isStale(syncId) : syncBefore;
+    if (!shouldSync && syncBefore === 'stale') {
+      logger.debug('[Actual] Serving from local cache', { label, syncId, lastSyncAt: lastSyncTimes.get(syncId) });
+    }
+    if (shouldSync) {
+      try {
+        await instance.sync();
+        markSynced(syncId);
+        synced = true;
+      } catch (error) {
+        logger.error('[Actual] Sync failed before operation', { 
+          label, 
+          syncId,
+          error: error.message,
+          stack: error.stack 
+        });
+        
+        // If sync fails with getPrefs null error, the budget might not be loaded
+        // Try to re-download the budget and retry once
+        if (error.message?.includes('getPrefs') || error.message?.includes('Cannot destructure')) {
+          logger.warn('[Actual] Budget may not be loaded, attempting to re-download...', { syncId });
+          try {
+            await downloadBudget(instance, syncId);
+            await instance.sync(); // Retry sync after re-download
+            markSynced(syncId);
+            synced = true;
+            logger.info('[Actual] Budget re-downloaded and synced successfully', { syncId });
+          } catch (retryError) {
+            logger.error('[Actual] Retry failed after re-download', { 
+              syncId,
+              error: retryError.message 
+            });
+            throw new Error(`Budget synchronization failed. The budget may not be properly initialized. Please verify the sync ID (${syncId}) is correct and the Actual Budget server is accessible. Original error: ${error.message}`);
+          }
+        } else {
+          throw new Error(`Failed to sync with Actual Budget server: ${error.message}. Ensure the budget is properly initialized and the sync ID (${syncId}) is correct.`);
         }
-      } else {
-        throw new Error(`Failed to sync with Actual Budget server: ${error.message}. Ensure the budget is properly initialized and ACTUAL_SYNC_ID is correct.`);
       }
     }
-  }
 
-  const result = await fn(instance);
+    const result = await fn(instance);
 
-  // Sync after operation if requested
-  if (syncAfter) {
-    try {
-      await instance.sync();
-    } catch (error) {
-      logger.error('[Actual] Sync failed after operation', { 
-        label, 
-        error: error.message,
-        stack: error.stack 
-      });
-      // Don't fail the operation if post-sync fails, but log it
-      // The operation itself succeeded, so we don't want to lose that
+    // Sync after operation if requested
+    if (syncAfter) {
+      try {
+        await instance.sync();
+        markSynced(syncId);
+        synced = true;
+      } catch (error) {
+        logger.error('[Actual] Sync failed after operation', { 
+          label, 
+          syncId,
+          error: error.message,
+          stack: error.stack 
+        });
+        // Don't fail the operation if post-sync fails, but log it
+        // The operation itself succeeded, so we don't want to lose that
+      }
     }
-  }
 
-  const duration = Date.now() - started;
-  logger.info('[Actual] operation completed', { label, durationMs: duration });
-  return result;
+    const duration = Date.now() - started;
+    logger.info('[Actual] operation completed', { label, syncId, durationMs: duration });
+    return result;
+  });
+
+  // Reported after leaving the queue so it reaches the calling request's context
+  const lastSyncAt = lastSyncTimes.get(syncId);
+  if (lastSyncAt) reportLastSync(lastSyncAt);
+  if (synced) notifySynced(syncId);
+  return output;
 };
 
 // ================ ACCOUNTS ================
@@ -223,8 +407,205 @@ export const accountDelete = async (id) => {
   );
 };
 
+/**
+ * Reconcile an account against a bank statement, the way the Actual UI does:
+ * compare the statement balance with the cleared balance, optionally book the
+ * difference as an adjustment, and once they agree mark the cleared transactions
+ * reconciled (locking them) and record the reconciliation time on the account.
+ *
+ * @param {string} id - Account id
+ * @param {object} statement
+ * @param {number} statement.balance - Statement balance (integer cents)
+ * @param {string} statement.date - Statement date (YYYY-MM-DD); later transactions are left out
+ * @param {boolean} [statement.createAdjustment=false] - Book a difference as a cleared adjustment transaction
+ * @param {boolean} [statement.markReconciled=true] - Mark cleared transactions reconciled when balanced
+ * @returns {Promise<object>} { clearedBalance, difference, adjustment, reconciled, reconciledCount }
+ * @throws {NotFoundError} When the account doesn't exist
+ */
+export const accountReconcile = async (id, { balance, date, createAdjustment = false, markReconciled = true }) => {
+  return runWithApi(
+    'accountReconcile',
+    async (apiInstance) => {
+      const accounts = await apiInstance.getAccounts();
+      if (!accounts.some(account => account.id === id)) {
+        throw new NotFoundError('Account', { id });
+      }
+
+      // Split parents and their lines both carry the reconciled flag; only the lines count towards the balance
+      const { data } = await apiInstance.aqlQuery(
+        apiInstance.q('transactions')
+          .filter({ account: id, cleared: true, date: { $lte: date } })
+          .select(['id', 'amount', 'is_parent', 'reconciled'])
+          .options({ splits: 'all' })
+      );
+      const clearedBalance = data.filter(t => !t.is_parent).reduce((total, t) => total + t.amount, 0);
+      let difference = balance - clearedBalance;
+      const unreconciled = data.filter(t => !t.reconciled).map(t => t.id);
+      logger.debug('[Actual] Reconciling account', { accountId: id, date, balance, clearedBalance, difference });
+
+      let adjustment = null;
+      if (difference !== 0 && createAdjustment) {
+        adjustment = { id: randomUUID(), date, amount: difference, notes: 'Reconciliation balance adjustment' };
+        await apiInstance.addTransactions(id, [{ ...adjustment, cleared: true }]);
+        unreconciled.push(adjustment.id);
+        difference = 0;
+      }
+
+      const reconciled = difference === 0 && markReconciled;
+      if (reconciled) {
+        await apiInstance.batchBudgetUpdates(async () => {
+          for (const transactionId of unreconciled) {
+            await apiInstance.updateTransaction(transactionId, { reconciled: true });
+          }
+        });
+        await apiInstance.updateAccount(id, { last_reconciled: String(Date.now()) });
+      }
+
+      logger.info('[Actual] accountReconcile completed', {
+        accountId: id,
+        difference,
+        adjusted: !!adjustment,
+        reconciledCount: reconciled ? unreconciled.length : 0
+      });
+      return {
+        clearedBalance,
+        difference,
+        adjustment,
+        reconciled,
+        reconciledCount: reconciled ? unreconciled.length : 0
+      };
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
+// ================ REPORT DATA ================
+// Aggregate queries behind the reports in reports.js (which does the date math).
+
+/**
+ * Balance movements for balance reports: each account's balance before `start`
+ * and its net change per day from `start` to `end`, from two aggregate queries
+ * instead of a balance lookup per day.
+ *
+ * @param {object} range
+ * @param {string} range.start - First day (YYYY-MM-DD)
+ * @param {string} range.end - Last day (YYYY-MM-DD)
+ * @param {string[]} [range.accountIds] - Only these accounts (default: all accounts, closed ones included)
+ * @returns {Promise<{accounts: object[], opening: Map<string, number>, changes: Array<{account: string, date: string, amount: number}>}>}
+ *   Opening balances by account id; changes sorted by date
+ * @throws {NotFoundError} When one of accountIds doesn't exist
+ */
+export const accountBalanceChanges = async ({ start, end, accountIds }) => {
+  return runWithApi('accountBalanceChanges', async (apiInstance) => {
+    const allAccounts = await apiInstance.getAccounts();
+    const accounts = accountIds ? allAccounts.filter(account => accountIds.includes(account.id)) : allAccounts;
+    const known = new Set(accounts.map(account => account.id));
+    const missing = (accountIds || []).find(id => !known.has(id));
+    if (missing) {
+      throw new NotFoundError('Account', { id: missing });
+    }
+    const accountFilter = accountIds ? { account: { $oneof: accountIds } } : {};
+
+    logger.debug('[Actual] Getting balance changes', { accountIds: accountIds || 'all', start, end });
+    const { data: before } = await apiInstance.aqlQuery(
+      apiInstance.q('transactions')
+        .filter({ ...accountFilter, date: { $lt: start } })
+        .groupBy('account')
+        .select(['account', { amount: { $sum: '$amount' } }])
+    );
+    const { data: changes } = await apiInstance.aqlQuery(
+      apiInstance.q('transactions')
+        .filter({ ...accountFilter, date: { $gte: start, $lte: end } })
+        .groupBy(['account', 'date'])
+        .select(['account', 'date', { amount: { $sum: '$amount' } }])
+        .orderBy('date')
+    );
+
+    const opening = new Map(before.filter(row => known.has(row.account)).map(row => [row.account, row.amount]));
+    const inRange = changes.filter(row => known.has(row.account));
+    logger.info('[Actual] accountBalanceChanges result', { accountCount: accounts.length, dayCount: inRange.length });
+    return { accounts, opening, changes: inRange };
+  });
+};
+
+/**
+ * Money in and out per day, the way Actual's cash flow report counts it: by
+ * default on-budget accounts only, and transfers between on-budget accounts
+ * left out (they only move money around).
+ *
+ * @param {object} range
+ * @param {string} range.start - First day (YYYY-MM-DD)
+ * @param {string} range.end - Last day (YYYY-MM-DD)
+ * @param {string[]} [range.accountIds] - Only these accounts (off-budget ones included)
+ * @param {string[]} [range.categoryGroupIds] - Only transactions (split lines) in these category groups
+ * @returns {Promise<{income: Array<{date: string, amount: number}>, expenses: Array<{date: string, amount: number}>}>}
+ *   Positive and negative amounts summed per day, sorted by date
+ */
+export const transactionCashFlow = async ({ start, end, accountIds, categoryGroupIds }) => {
+  return runWithApi('transactionCashFlow', async (apiInstance) => {
+    const conditions = [
+      { date: { $gte: start, $lte: end } },
+      accountIds ? { account: { $oneof: accountIds } } : { 'account.offbudget': false },
+      { $or: [{ 'payee.transfer_acct': null }, { 'payee.transfer_acct.offbudget': true }] },
+      ...(categoryGroupIds ? [{ 'category.group': { $oneof: categoryGroupIds } }] : []),
+    ];
+    const dailyTotals = async (amount) => {
+      const { data } = await apiInstance.aqlQuery(
+        apiInstance.q('transactions')
+          .filter({ $and: [...conditions, { amount }] })
+          .groupBy('date')
+          .select(['date', { amount: { $sum: '$amount' } }])
+          .orderBy('date')
+      );
+      return data;
+    };
+
+    logger.debug('[Actual] Getting cash flow', { start, end, accountIds: accountIds || 'on-budget', categoryGroupIds: categoryGroupIds || 'all' });
+    const income = await dailyTotals({ $gt: 0 });
+    const expenses = await dailyTotals({ $lt: 0 });
+    logger.info('[Actual] transactionCashFlow result', { incomeDays: income.length, expenseDays: expenses.length });
+    return { income, expenses };
+  });
+};
+
 // ================ TRANSACTIONS ================
-export const transactionsList = async (accountId, startDate = undefined, endDate = undefined) => {
+/**
+ * Run a transaction list query (one page when limit is set).
+ */
+const queryTransactions = async (apiInstance, filter, { sort, order, limit, after, splits = 'grouped' }) => {
+  if (after) filter.$and.push(cursorFilter(after, sort, order));
+
+  let query = apiInstance.q('transactions')
+    .filter(filter)
+    .select('*')
+    .options({ splits })
+    .orderBy([{ [sort]: order }, { id: order }]);
+  // One extra row tells whether there is a next page
+  if (limit) query = query.limit(limit + 1);
+
+  const { data } = await apiInstance.aqlQuery(query);
+  const hasMore = !!limit && data.length > limit;
+  const transactions = hasMore ? data.slice(0, limit) : data;
+  const nextCursor = hasMore ? encodeCursor(transactions[transactions.length - 1], sort, order) : null;
+  return { transactions, nextCursor };
+};
+
+/**
+ * List an account's transactions (split parents with their subtransactions).
+ *
+ * @param {string} accountId - Account id
+ * @param {object} [filters] - See buildTransactionFilter (accountId is set from the argument)
+ * @param {object} [page]
+ * @param {string} [page.sort='date'] - Sort field (date or amount)
+ * @param {string} [page.order='desc'] - asc or desc
+ * @param {number} [page.limit] - Page size; all matching transactions when omitted
+ * @param {string} [page.cursor] - next_cursor from the previous page
+ * @returns {Promise<{transactions: Array<object>, nextCursor: string|null}>}
+ */
+export const transactionsList = async (accountId, filters = {}, { sort = 'date', order = 'desc', limit, cursor } = {}) => {
+  // Fail fast on a bad cursor, before queueing
+  const after = cursor ? decodeCursor(cursor, sort, order) : null;
+
   return runWithApi('transactionsList', async (apiInstance) => {
     // Verify account exists first
     const accounts = await apiInstance.getAccounts();
@@ -238,28 +619,168 @@ export const transactionsList = async (accountId, startDate = undefined, endDate
       throw new Error(`Account with id ${accountId} not found`);
     }
     
-    // Actual API requires both startDate and endDate as strings
-    // If not provided, use a very wide date range to get all transactions
-    const start = startDate || '1970-01-01';
-    const end = endDate || '2099-12-31';
-    
     logger.debug('[Actual] Getting transactions', { 
       accountId,
       accountName: account.name,
-      startDate: start,
-      endDate: end,
-      dateRangeProvided: !!(startDate && endDate)
+      filters,
+      sort,
+      order,
+      limit: limit || 'none',
+      hasCursor: !!after
     });
     
-    const transactions = await apiInstance.getTransactions(accountId, start, end);
+    const filter = buildTransactionFilter({ ...filters, accountId });
+    const result = await queryTransactions(apiInstance, filter, { sort, order, limit, after });
     
     logger.info('[Actual] transactionsList result', { 
       accountId,
       accountName: account.name,
-      transactionCount: transactions.length
+      transactionCount: result.transactions.length,
+      hasMore: !!result.nextCursor
     });
     
-    return transactions;
+    return result;
+  });
+};
+
+/**
+ * Search transactions across accounts.
+ *
+ * @param {object} [filters] - See buildTransactionFilter; accountId optional.
+ *   Off-budget and closed accounts are skipped unless includeOffBudget / includeClosed are true
+ *   or a single account is requested.
+ * @param {object} [page] - Same as transactionsList
+ * @returns {Promise<{transactions: Array<object>, nextCursor: string|null}>}
+ */
+export const transactionsSearch = async (filters = {}, { sort = 'date', order = 'desc', limit, cursor } = {}) => {
+  // Fail fast on a bad cursor, before queueing
+  const after = cursor ? decodeCursor(cursor, sort, order) : null;
+
+  return runWithApi('transactionsSearch', async (apiInstance) => {
+    logger.debug('[Actual] Searching transactions', { filters, sort, order, limit: limit || 'none', hasCursor: !!after });
+
+    // An explicitly requested account is searched whatever its type or state
+    const singleAccount = !!filters.accountId;
+    const filter = buildTransactionFilter({
+      ...filters,
+      includeOffBudget: filters.includeOffBudget ?? singleAccount,
+      includeClosed: filters.includeClosed ?? singleAccount,
+    });
+    const result = await queryTransactions(apiInstance, filter, { sort, order, limit, after });
+
+    logger.info('[Actual] transactionsSearch result', {
+      transactionCount: result.transactions.length,
+      hasMore: !!result.nextCursor
+    });
+    return result;
+  });
+};
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Transactions for export, one page at a time: account by account (by name),
+ * oldest first, with account, payee and category names. Split transactions come
+ * as their lines. Each page is its own queued read, so a long export neither
+ * holds up other requests nor keeps the whole history in memory.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.accountId] - Only this account (whatever its type or state)
+ * @param {string} [filters.start] - First date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.end] - Last date (YYYY-MM-DD, inclusive)
+ * @param {boolean} [filters.includeOffBudget=false] - Include off-budget accounts
+ * @param {boolean} [filters.includeClosed=false] - Include closed accounts
+ * @param {object} [options]
+ * @param {number} [options.pageSize=500]
+ * @yields {{account: object, transactions: Array<object>}} Every account yields at least one (possibly empty) page
+ * @throws {NotFoundError} When accountId doesn't exist
+ */
+export const transactionsExport = async function* (
+  { accountId, start, end, includeOffBudget = false, includeClosed = false } = {},
+  { pageSize = EXPORT_PAGE_SIZE } = {}
+) {
+  const { accounts, withNames } = await runWithApi('transactionsExport', async (apiInstance) => {
+    const [allAccounts, payees, categories] = await Promise.all([
+      apiInstance.getAccounts(),
+      apiInstance.getPayees(),
+      apiInstance.getCategories(),
+    ]);
+    if (accountId && !allAccounts.some(account => account.id === accountId)) {
+      throw new NotFoundError('Account', { accountId });
+    }
+    const names = (list) => new Map(list.map(item => [item.id, item.name]));
+    const [accountNames, payeeNames, categoryNames] = [names(allAccounts), names(payees), names(categories)];
+    return {
+      accounts: allAccounts
+        .filter(account => (accountId
+          ? account.id === accountId
+          : (includeOffBudget || !account.offbudget) && (includeClosed || !account.closed)))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      withNames: (transaction) => ({
+        ...transaction,
+        account_name: accountNames.get(transaction.account) ?? null,
+        payee_name: payeeNames.get(transaction.payee) ?? null,
+        category_name: categoryNames.get(transaction.category) ?? null,
+      }),
+    };
+  });
+  logger.info('[Actual] transactionsExport started', { accountCount: accounts.length, start, end });
+
+  for (const account of accounts) {
+    let after = null;
+    do {
+      const page = await runWithApi('transactionsExport', (apiInstance) => queryTransactions(
+        apiInstance,
+        buildTransactionFilter({ accountId: account.id, start, end }),
+        { sort: 'date', order: 'asc', limit: pageSize, after, splits: 'inline' }
+      ));
+      yield { account, transactions: page.transactions.map(withNames) };
+      after = page.nextCursor ? decodeCursor(page.nextCursor, 'date', 'asc') : null;
+    } while (after);
+  }
+};
+
+/**
+ * Get one transaction with account, payee and category names resolved.
+ * Split transactions come with their lines in `subtransactions`; looking up a
+ * split line returns its parent.
+ *
+ * @param {string} id - Transaction id
+ * @returns {Promise<object|null>} Transaction, or null when it doesn't exist
+ */
+export const transactionGet = async (id) => {
+  return runWithApi('transactionGet', async (apiInstance) => {
+    logger.debug('[Actual] Getting transaction', { transactionId: id });
+    const { data } = await apiInstance.aqlQuery(
+      apiInstance.q('transactions').filter({ id }).select('*').options({ splits: 'grouped' })
+    );
+    const transaction = data[0];
+    if (!transaction) {
+      logger.info('[Actual] transactionGet: not found', { transactionId: id });
+      return null;
+    }
+
+    const [accounts, payees, categories] = await Promise.all([
+      apiInstance.getAccounts(),
+      apiInstance.getPayees(),
+      apiInstance.getCategories(),
+    ]);
+    const nameOf = (list, itemId) => (itemId && list.find(item => item.id === itemId)?.name) || null;
+    const withNames = (line) => ({
+      ...line,
+      account_name: nameOf(accounts, line.account),
+      payee_name: nameOf(payees, line.payee),
+      category_name: nameOf(categories, line.category),
+    });
+
+    logger.info('[Actual] transactionGet result', {
+      transactionId: transaction.id,
+      splitCount: transaction.subtransactions?.length || 0
+    });
+    return {
+      ...withNames(transaction),
+      ...(transaction.subtransactions ? { subtransactions: transaction.subtransactions.map(withNames) } : {}),
+    };
   });
 };
 
@@ -307,6 +828,25 @@ export const transactionsImport = async (accountId, transactions) => {
   );
 };
 
+/**
+ * Parse a bank file with Actual's own importers (the ones behind "Import" in the app).
+ * Parsing doesn't touch the open budget, so it runs outside the work queue.
+ *
+ * @param {string} filepath - File to parse; the extension picks the parser (.ofx/.qfx, .qif, .xml for CAMT.053, .csv)
+ * @param {object} [options] - Parser options (hasHeaderRow, delimiter, skipStartLines, skipEndLines, importNotes, ...)
+ * @returns {Promise<{transactions: Array<object>, errors: Array<object>}>} Raw rows for CSV, import-shaped otherwise
+ */
+export const transactionsParseFile = async (filepath, options = {}) => {
+  const instance = await getActualApi();
+  logger.debug('[Actual] Parsing bank file', { filepath, options });
+  const result = await instance.internal.send('transactions-parse-file', { filepath, options });
+  logger.info('[Actual] transactionsParseFile result', {
+    transactionCount: result.transactions?.length || 0,
+    errors: result.errors?.length || 0
+  });
+  return { transactions: result.transactions || [], errors: result.errors || [] };
+};
+
 export const transactionUpdate = async (id, fields) => {
   return runWithApi(
     'transactionUpdate',
@@ -323,6 +863,125 @@ export const transactionUpdate = async (id, fields) => {
   );
 };
 
+/**
+ * Load a transaction (grouped with its split lines) for editing.
+ *
+ * @throws {NotFoundError} When the transaction doesn't exist
+ * @throws {ValidationError} When the id is a split line rather than a transaction
+ */
+const loadTransactionForEdit = async (apiInstance, id) => {
+  const { data } = await apiInstance.aqlQuery(
+    apiInstance.q('transactions').filter({ id }).select('*').options({ splits: 'grouped' })
+  );
+  const transaction = data[0];
+  if (!transaction) {
+    throw new NotFoundError('Transaction', { id });
+  }
+  if (transaction.id !== id) {
+    throw new ValidationError('Transaction is a split line; use the parent transaction id', 'id', { parentId: transaction.id });
+  }
+  return transaction;
+};
+
+/**
+ * Set the lines of a split transaction: lines with an id are edited, lines
+ * without one are added, and existing lines missing from the list are removed.
+ * A normal transaction becomes a split. Lines must add up to the parent amount.
+ *
+ * @param {string} id - Parent transaction id
+ * @param {Array<object>} lines - Split lines ({ id?, amount, category?, payee?, notes? })
+ * @param {number} [amount] - New parent amount (keeps the current amount when omitted)
+ * @returns {Promise<Array<string>>} Ids of the split lines, in order
+ */
+export const transactionSetSplits = async (id, lines, amount = undefined) => {
+  return runWithApi(
+    'transactionSetSplits',
+    async (apiInstance) => {
+      const { subtransactions: current = [], ...parent } = await loadTransactionForEdit(apiInstance, id);
+      const parentAmount = amount ?? parent.amount;
+
+      const total = lines.reduce((sum, line) => sum + line.amount, 0);
+      if (total !== parentAmount) {
+        throw new ValidationError('Split amounts must add up to the transaction amount', 'subtransactions', {
+          transactionAmount: parentAmount,
+          splitTotal: total,
+        });
+      }
+      const unknown = lines.filter(line => line.id && !current.some(child => child.id === line.id));
+      if (unknown.length > 0) {
+        throw new ValidationError('Unknown split line ids', 'subtransactions', { ids: unknown.map(line => line.id) });
+      }
+
+      // Full child rows: a normal transaction has no split handling on Actual's side,
+      // so new lines must carry everything a child needs
+      // Fields left out keep the line's current value (new lines take the parent's)
+      const children = lines.map((line) => {
+        const existing = current.find(child => child.id === line.id) || { category: parent.category, payee: parent.payee };
+        return {
+          ...existing,
+          ...line,
+          id: line.id || randomUUID(),
+          parent_id: id,
+          is_child: true,
+          account: parent.account,
+          date: parent.date,
+          cleared: parent.cleared,
+        };
+      });
+
+      logger.debug('[Actual] Setting split lines', {
+        transactionId: id,
+        wasSplit: !!parent.is_parent,
+        lineCount: children.length,
+        amount: parentAmount
+      });
+      await apiInstance.updateTransaction(id, {
+        ...parent,
+        amount: parentAmount,
+        category: null,
+        is_parent: true,
+        subtransactions: children,
+      });
+      logger.info('[Actual] transactionSetSplits completed', {
+        transactionId: id,
+        added: children.length - lines.filter(line => line.id).length,
+        removed: current.filter(child => !lines.some(line => line.id === child.id)).length,
+      });
+      return children.map(child => child.id);
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
+/**
+ * Turn a split back into a normal transaction by removing its lines.
+ *
+ * @param {string} id - Parent transaction id
+ * @param {string|null} [category] - Category for the transaction (none when omitted)
+ */
+export const transactionUnsplit = async (id, category = undefined) => {
+  return runWithApi(
+    'transactionUnsplit',
+    async (apiInstance) => {
+      const transaction = await loadTransactionForEdit(apiInstance, id);
+      if (!transaction.is_parent) {
+        throw new ValidationError('Transaction is not split', 'id');
+      }
+
+      logger.debug('[Actual] Removing split lines', { transactionId: id, lineCount: transaction.subtransactions?.length || 0 });
+      // Actual turns the parent back into a normal transaction when its last line is deleted
+      for (const child of transaction.subtransactions || []) {
+        await apiInstance.deleteTransaction(child.id);
+      }
+      if (category !== undefined) {
+        await apiInstance.updateTransaction(id, { category });
+      }
+      logger.info('[Actual] transactionUnsplit completed', { transactionId: id });
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
 export const transactionDelete = async (id) => {
   return runWithApi(
     'transactionDelete',
@@ -339,6 +998,477 @@ export const transactionDelete = async (id) => {
   );
 };
 
+// ================ IMPORT PREVIEW ================
+// Dry run of transactionsImport: Actual reconciles the rows against the account
+// (imported_id, then same amount within a week) and runs the rules without
+// writing; the result is reported per row.
+
+const IMPORT_MATCH_DAYS = 7;
+const RULE_RESULT_FIELDS = ['date', 'amount', 'payee', 'category', 'notes', 'cleared'];
+
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Find the existing transaction a row was matched to. Actual leaves the id out
+ * of its preview when the match needs no changes (or is reconciled), so this
+ * repeats its lookup: same imported_id, else same amount within a week,
+ * preferring the same payee and the closest date.
+ */
+const findImportMatch = async (apiInstance, accountId, transaction, claimed) => {
+  if (transaction.imported_id) {
+    const { data } = await apiInstance.aqlQuery(
+      apiInstance.q('transactions')
+        .filter({ account: accountId, imported_id: transaction.imported_id })
+        .select(['id'])
+        .options({ splits: 'all' })
+    );
+    if (data.length > 0) return data[0].id;
+  }
+
+  const { data } = await apiInstance.aqlQuery(
+    apiInstance.q('transactions')
+      .filter({
+        account: accountId,
+        amount: transaction.amount,
+        date: { $gte: shiftDate(transaction.date, -IMPORT_MATCH_DAYS), $lte: shiftDate(transaction.date, IMPORT_MATCH_DAYS) },
+      })
+      .select(['id', 'date', 'payee'])
+  );
+  const distance = (row) => Math.abs(Date.parse(row.date) - Date.parse(transaction.date));
+  const [match] = data
+    .filter(row => !claimed.has(row.id))
+    .sort((a, b) => (b.payee === transaction.payee) - (a.payee === transaction.payee) || distance(a) - distance(b));
+  return match?.id ?? null;
+};
+
+/**
+ * Rules whose actions account for the changes the rules made to a row.
+ */
+const rulesForChanges = (rules, changes) => rules
+  .filter(rule => rule.actions.some(action => {
+    const change = changes[action.field];
+    if (!change) return false;
+    if (action.op === 'set') return change.to === action.value;
+    if (action.op === 'prepend-notes') return String(change.to).startsWith(action.value);
+    if (action.op === 'append-notes') return String(change.to).endsWith(action.value);
+    return false;
+  }))
+  .map(rule => rule.id);
+
+/**
+ * Preview an import without writing anything.
+ *
+ * Each row gets a status:
+ * - new: would be added
+ * - update: matches an existing transaction the import would update (matchedId)
+ * - duplicate: matches an existing transaction that would be left as is (matchedId)
+ *
+ * ruleChanges lists the fields the budget's rules would set on the row
+ * ({field: {from, to}}) and rules the ids of the rules with those actions.
+ *
+ * @param {string} accountId - Account to import into
+ * @param {Array<object>} transactions - Rows as taken by transactionsImport
+ * @returns {Promise<{summary: object, rows: Array<object>, errors: Array<object>}>}
+ */
+export const transactionsImportPreview = async (accountId, transactions) => {
+  return runWithApi(
+    'transactionsImportPreview',
+    async (apiInstance) => {
+      logger.debug('[Actual] Previewing import', { accountId, transactionCount: transactions.length });
+      // Tag the rows so Actual's preview entries can be traced back to them
+      const tagged = transactions.map((transaction, index) => ({ ...transaction, _importRow: index }));
+      const result = await apiInstance.importTransactions(accountId, tagged, { defaultCleared: true, dryRun: true });
+      if (result.errors?.length) {
+        return { summary: { new: 0, update: 0, duplicate: 0 }, rows: [], errors: result.errors };
+      }
+
+      const previews = new Map(
+        result.updatedPreview.filter(entry => !entry.tombstone).map(entry => [entry.transaction._importRow, entry])
+      );
+      const claimed = new Set([...previews.values()].filter(entry => entry.existing).map(entry => entry.existing.id));
+      const [payees, rules] = await Promise.all([apiInstance.getPayees(), apiInstance.getRules()]);
+      const payeesByName = new Map(payees.map(payee => [payee.name.toLowerCase(), payee.id]));
+
+      const rows = [];
+      for (const [index, transaction] of transactions.entries()) {
+        const { payee_name, ...fields } = transaction;
+        // The row as Actual hands it to the rules (split lines aren't part of it)
+        delete fields.subtransactions;
+        const before = {
+          ...fields,
+          account: accountId,
+          payee: fields.payee ?? payeesByName.get(payee_name?.trim().toLowerCase()) ?? null,
+          imported_payee: fields.imported_payee || payee_name?.trim() || null,
+          category: fields.category ?? null,
+        };
+        const after = await apiInstance.internal.send('rules-run', { transaction: before });
+        const ruleChanges = Object.fromEntries(
+          RULE_RESULT_FIELDS
+            // Safe: field comes from RULE_RESULT_FIELDS
+            // eslint-disable-next-line security/detect-object-injection
+            .filter(field => (after[field] ?? null) !== (before[field] ?? null))
+            // eslint-disable-next-line security/detect-object-injection
+            .map(field => [field, { from: before[field] ?? null, to: after[field] ?? null }])
+        );
+
+        const preview = previews.get(index);
+        let status = 'new';
+        let matchedId = null;
+        if (preview?.existing) {
+          status = 'update';
+          matchedId = preview.existing.id;
+        } else if (preview) {
+          status = 'duplicate';
+          matchedId = await findImportMatch(apiInstance, accountId, preview.transaction, claimed);
+          if (matchedId) claimed.add(matchedId);
+        }
+
+        rows.push({
+          index,
+          status,
+          matchedId,
+          transaction: {
+            date: after.date,
+            amount: after.amount,
+            payee: after.payee ?? null,
+            payee_name: payee_name ?? null,
+            category: after.category ?? null,
+            notes: after.notes ?? null,
+            imported_id: after.imported_id ?? null,
+          },
+          ruleChanges,
+          rules: rulesForChanges(rules, ruleChanges),
+        });
+      }
+
+      const summary = { new: 0, update: 0, duplicate: 0 };
+      rows.forEach(row => { summary[row.status] += 1; });
+      logger.info('[Actual] transactionsImportPreview completed', { accountId, ...summary });
+      return { summary, rows, errors: [] };
+    },
+    { syncBefore: true }
+  );
+};
+
+// ================ BULK TRANSACTION CHANGES ================
+// Update or delete many transactions in one request, selected by id or by filter.
+// Changes run in one Actual batch; dryRun reports what would change without writing.
+
+const BULK_TRANSACTION_LIMIT = 1000;
+
+/**
+ * Resolve a bulk selection to transactions.
+ * Ids may name split lines or whole transactions; filters match split lines for
+ * updates ('inline') and whole transactions for deletes ('grouped').
+ *
+ * @returns {Promise<Array<{id: string, transaction: object|null}>>} One entry per selected id (null when not found)
+ * @throws {ValidationError} When a filter matches more than BULK_TRANSACTION_LIMIT transactions
+ */
+const selectBulkTransactions = async (apiInstance, { ids, filters }, splits) => {
+  if (ids) {
+    const uniqueIds = [...new Set(ids)];
+    const { data } = await apiInstance.aqlQuery(
+      apiInstance.q('transactions').filter({ id: { $oneof: uniqueIds } }).select('*').options({ splits: 'all' })
+    );
+    const byId = new Map(data.map(transaction => [transaction.id, transaction]));
+    return uniqueIds.map(id => ({ id, transaction: byId.get(id) || null }));
+  }
+
+  const { data } = await apiInstance.aqlQuery(
+    apiInstance.q('transactions')
+      .filter(buildTransactionFilter(filters))
+      .select('*')
+      .options({ splits })
+      .orderBy([{ date: 'desc' }, { id: 'desc' }])
+      .limit(BULK_TRANSACTION_LIMIT + 1)
+  );
+  if (data.length > BULK_TRANSACTION_LIMIT) {
+    throw new ValidationError(
+      `Filter matches more than ${BULK_TRANSACTION_LIMIT} transactions; narrow it down`,
+      'filter',
+      { limit: BULK_TRANSACTION_LIMIT }
+    );
+  }
+  return data.map(transaction => ({ id: transaction.id, transaction }));
+};
+
+const bulkNotFound = (id) => ({ id, status: 'error', error: { message: 'Transaction not found', code: 'NOT_FOUND' } });
+
+/**
+ * Apply the same field changes to many transactions.
+ *
+ * @param {object} selection - { ids } or { filters } (buildTransactionFilter fields)
+ * @param {object} fields - Fields to set (payee, category, notes, date, cleared)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report the changes without writing them
+ * @returns {Promise<Array<object>>} Per transaction: { id, status: ok|unchanged|error, changes | error }
+ */
+export const transactionsBulkUpdate = async (selection, fields, { dryRun = false } = {}) => {
+  return runWithApi(
+    'transactionsBulkUpdate',
+    async (apiInstance) => {
+      const selected = await selectBulkTransactions(apiInstance, selection, 'inline');
+      const results = selected.map(({ id, transaction }) => {
+        if (!transaction) return bulkNotFound(id);
+        if (transaction.is_parent && fields.category !== undefined) {
+          return { id, status: 'error', error: { message: 'Split transactions are categorized through their lines', code: 'VALIDATION_ERROR' } };
+        }
+        const changes = Object.fromEntries(
+          Object.entries(fields)
+            // Safe: field names come from BulkUpdateTransactionsSchema
+            // eslint-disable-next-line security/detect-object-injection
+            .filter(([field, value]) => (transaction[field] ?? null) !== value)
+            // eslint-disable-next-line security/detect-object-injection
+            .map(([field, value]) => [field, { from: transaction[field] ?? null, to: value }])
+        );
+        return { id, status: Object.keys(changes).length > 0 ? 'ok' : 'unchanged', changes };
+      });
+
+      const toWrite = results.filter(result => result.status === 'ok');
+      logger.debug('[Actual] Bulk updating transactions', {
+        selectedCount: results.length,
+        changedCount: toWrite.length,
+        fields: Object.keys(fields),
+        dryRun
+      });
+      if (!dryRun && toWrite.length > 0) {
+        await apiInstance.batchBudgetUpdates(async () => {
+          for (const result of toWrite) {
+            try {
+              await apiInstance.updateTransaction(
+                result.id,
+                Object.fromEntries(Object.entries(result.changes).map(([field, { to }]) => [field, to]))
+              );
+            } catch (error) {
+              Object.assign(result, { status: 'error', error: { message: error.message || 'Update failed' } });
+            }
+          }
+        });
+      }
+
+      logger.info('[Actual] transactionsBulkUpdate completed', {
+        selectedCount: results.length,
+        updatedCount: results.filter(result => result.status === 'ok').length,
+        failedCount: results.filter(result => result.status === 'error').length,
+        dryRun
+      });
+      return results;
+    },
+    { syncBefore: true, syncAfter: !dryRun }
+  );
+};
+
+/**
+ * Delete many transactions. Deleting a split deletes its lines; deleting one side
+ * of a transfer deletes the other.
+ *
+ * @param {object} selection - { ids } or { filters } (buildTransactionFilter fields)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would be deleted without deleting
+ * @returns {Promise<Array<object>>} Per transaction: { id, status: ok|error, transaction | error }
+ */
+export const transactionsBulkDelete = async (selection, { dryRun = false } = {}) => {
+  return runWithApi(
+    'transactionsBulkDelete',
+    async (apiInstance) => {
+      const selected = await selectBulkTransactions(apiInstance, selection, 'grouped');
+      const results = selected.map(({ id, transaction }) => {
+        if (!transaction) return bulkNotFound(id);
+        const { date, account, payee, category, amount, notes } = transaction;
+        return { id, status: 'ok', transaction: { date, account, payee, category, amount, notes } };
+      });
+
+      const toDelete = results.filter(result => result.status === 'ok');
+      logger.debug('[Actual] Bulk deleting transactions', { selectedCount: results.length, dryRun });
+      if (!dryRun && toDelete.length > 0) {
+        await apiInstance.batchBudgetUpdates(async () => {
+          for (const result of toDelete) {
+            try {
+              await apiInstance.deleteTransaction(result.id);
+            } catch (error) {
+              Object.assign(result, { status: 'error', error: { message: error.message || 'Delete failed' } });
+            }
+          }
+        });
+      }
+
+      logger.info('[Actual] transactionsBulkDelete completed', {
+        selectedCount: results.length,
+        deletedCount: results.filter(result => result.status === 'ok').length,
+        failedCount: results.filter(result => result.status === 'error').length,
+        dryRun
+      });
+      return results;
+    },
+    { syncBefore: true, syncAfter: !dryRun }
+  );
+};
+
+// ================ TRANSFERS ================
+// A transfer is a pair of transactions linked through transfer_id, each using the
+// other account's transfer payee. Actual keeps the pair in step: writing the
+// outgoing side updates (or deletes) the incoming one in the same change.
+
+/**
+ * Find an account's transfer payee (the payee other accounts use to transfer to it).
+ *
+ * @throws {NotFoundError} When the account doesn't exist
+ */
+const findTransferPayee = async (apiInstance, accountId) => {
+  const [accounts, payees] = await Promise.all([apiInstance.getAccounts(), apiInstance.getPayees()]);
+  if (!accounts.some(account => account.id === accountId)) {
+    throw new NotFoundError('Account', { id: accountId });
+  }
+  const payee = payees.find(p => p.transfer_acct === accountId);
+  if (!payee) {
+    throw new NotFoundError('Transfer payee', { accountId });
+  }
+  return payee;
+};
+
+/**
+ * Load both sides of a transfer from the id of either side.
+ *
+ * @returns {Promise<{from: object, to: object}>} Outgoing and incoming transactions
+ * @throws {NotFoundError} When the transaction doesn't exist
+ * @throws {ValidationError} When the transaction isn't a transfer, or one side is a split line
+ */
+const loadTransfer = async (apiInstance, id) => {
+  const transaction = await loadTransactionForEdit(apiInstance, id);
+  if (!transaction.transfer_id) {
+    throw new ValidationError('Transaction is not a transfer', 'id');
+  }
+  const { data } = await apiInstance.aqlQuery(
+    apiInstance.q('transactions').filter({ id: transaction.transfer_id }).select('*')
+  );
+  const counterpart = data[0];
+  if (!counterpart) {
+    throw new ValidationError('Transfer has no linked transaction', 'id', { transferId: transaction.transfer_id });
+  }
+  if (counterpart.is_child) {
+    // Actual only unlinks a split line instead of updating or deleting it
+    throw new ValidationError('Transfer is linked to a split line; edit it through the split transaction', 'id', {
+      parentId: counterpart.parent_id
+    });
+  }
+  return counterpart.amount < 0
+    ? { from: counterpart, to: transaction }
+    : { from: transaction, to: counterpart };
+};
+
+/**
+ * Move money between two accounts as a linked pair of transactions.
+ *
+ * @param {object} transfer
+ * @param {string} transfer.fromAccountId - Account the money leaves
+ * @param {string} transfer.toAccountId - Account the money goes to
+ * @param {number} transfer.amount - Amount moved (positive integer cents)
+ * @param {string} transfer.date - Date (YYYY-MM-DD)
+ * @param {string} [transfer.notes] - Notes, copied to both sides
+ * @param {boolean} [transfer.cleared] - Cleared state of the outgoing side
+ * @returns {Promise<{fromTransactionId: string, toTransactionId: string}>}
+ * @throws {ConflictError} When Actual created no incoming side (a rule changed the payee); nothing is kept
+ */
+export const transferCreate = async ({ fromAccountId, toAccountId, amount, date, notes, cleared }) => {
+  return runWithApi(
+    'transferCreate',
+    async (apiInstance) => {
+      if (fromAccountId === toAccountId) {
+        throw new ValidationError('Cannot transfer to the same account', 'toAccountId');
+      }
+      await findTransferPayee(apiInstance, fromAccountId);
+      const payee = await findTransferPayee(apiInstance, toAccountId);
+
+      const id = randomUUID();
+      logger.debug('[Actual] Creating transfer', { fromAccountId, toAccountId, amount, date });
+      await apiInstance.addTransactions(
+        fromAccountId,
+        [{ id, date, amount: -amount, payee: payee.id, notes, cleared }],
+        { runTransfers: true }
+      );
+
+      // Actual creates the incoming side and links it through transfer_id
+      const { data } = await apiInstance.aqlQuery(
+        apiInstance.q('transactions').filter({ id }).select(['id', 'transfer_id'])
+      );
+      const toTransactionId = data[0]?.transfer_id || null;
+      if (!toTransactionId) {
+        // Not a transfer after all: don't leave a one-sided transaction behind
+        await apiInstance.deleteTransaction(id);
+        logger.warn('[Actual] transferCreate: no linked transaction created (changed by a rule?)', { transactionId: id });
+        throw new ConflictError('No linked transaction was created; a rule may have changed the payee', { fromAccountId, toAccountId });
+      }
+      logger.info('[Actual] transferCreate completed', { fromTransactionId: id, toTransactionId, amount });
+      return { fromTransactionId: id, toTransactionId };
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
+/**
+ * Update both sides of a transfer. Changes are written to the outgoing side and
+ * Actual mirrors them on the incoming one.
+ *
+ * @param {string} id - Id of either transaction of the transfer
+ * @param {object} fields - fromAccountId, toAccountId, amount (positive), date, notes
+ * @returns {Promise<{fromTransactionId: string, toTransactionId: string}>}
+ */
+export const transferUpdate = async (id, fields) => {
+  return runWithApi(
+    'transferUpdate',
+    async (apiInstance) => {
+      const { from, to } = await loadTransfer(apiInstance, id);
+      const fromAccountId = fields.fromAccountId ?? from.account;
+      const toAccountId = fields.toAccountId ?? to.account;
+      if (fromAccountId === toAccountId) {
+        throw new ValidationError('Cannot transfer to the same account', 'toAccountId');
+      }
+
+      const update = {
+        ...(fields.amount !== undefined ? { amount: -fields.amount } : {}),
+        ...(fields.date !== undefined ? { date: fields.date } : {}),
+        ...(fields.notes !== undefined ? { notes: fields.notes } : {}),
+      };
+      if (fields.fromAccountId !== undefined) {
+        await findTransferPayee(apiInstance, fromAccountId);
+        update.account = fromAccountId;
+      }
+      if (fields.toAccountId !== undefined) {
+        update.payee = (await findTransferPayee(apiInstance, toAccountId)).id;
+      }
+
+      logger.debug('[Actual] Updating transfer', { fromTransactionId: from.id, toTransactionId: to.id, fields });
+      await apiInstance.updateTransaction(from.id, update);
+      logger.info('[Actual] transferUpdate completed', { fromTransactionId: from.id, toTransactionId: to.id });
+      return { fromTransactionId: from.id, toTransactionId: to.id };
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
+/**
+ * Delete both sides of a transfer.
+ *
+ * @param {string} id - Id of either transaction of the transfer
+ */
+export const transferDelete = async (id) => {
+  return runWithApi(
+    'transferDelete',
+    async (apiInstance) => {
+      const { from, to } = await loadTransfer(apiInstance, id);
+      logger.debug('[Actual] Deleting transfer', { fromTransactionId: from.id, toTransactionId: to.id });
+      // Deleting one side removes the linked transaction too
+      await apiInstance.deleteTransaction(from.id);
+      logger.info('[Actual] transferDelete completed', { fromTransactionId: from.id, toTransactionId: to.id });
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
 // ================ CATEGORIES ================
 export const categoriesList = async () => {
   return runWithApi('categoriesList', async (apiInstance) => {
@@ -388,6 +1518,52 @@ export const categoryDelete = async (id) => {
   );
 };
 
+/**
+ * Notes of the given categories (all notes when ids is omitted).
+ *
+ * @param {string[]} [ids] - Category ids
+ * @returns {Promise<Map<string, string>>} Id -> note (ids without a note are missing)
+ */
+export const categoryNotes = async (ids = undefined) => {
+  return runWithApi('categoryNotes', async (apiInstance) => {
+    let query = apiInstance.q('notes').select(['id', 'note']);
+    if (ids) query = query.filter({ id: { $oneof: ids } });
+    const { data } = await apiInstance.aqlQuery(query);
+    logger.info('[Actual] categoryNotes result', { count: data.length });
+    return new Map(data.map(row => [row.id, row.note ?? '']));
+  });
+};
+
+/**
+ * Rewrite a category's note. update gets the current note and returns the new one;
+ * reading and writing happen in one queued operation, so nothing slips in between.
+ * Goal templates are then re-read from the notes, as the Actual app does.
+ *
+ * @param {string} id - Category id
+ * @param {(note: string) => string} update
+ * @returns {Promise<string>} The new note
+ * @throws {NotFoundError} When the category doesn't exist
+ */
+export const categoryNoteUpdate = async (id, update) => {
+  return runWithApi(
+    'categoryNoteUpdate',
+    async (apiInstance) => {
+      const categories = await apiInstance.getCategories();
+      if (!categories.some(category => category.id === id)) {
+        throw new NotFoundError('Category', { id });
+      }
+
+      const { data } = await apiInstance.aqlQuery(apiInstance.q('notes').filter({ id }).select(['note']));
+      const note = update(data[0]?.note ?? '');
+      await apiInstance.internal.send('notes-save', { id, note });
+      await apiInstance.internal.send('budget/store-note-templates');
+      logger.info('[Actual] categoryNoteUpdate completed', { categoryId: id });
+      return note;
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
 // ================ CATEGORY GROUPS ================
 export const categoryGroupsList = async () => {
   return runWithApi('categoryGroupsList', async (apiInstance) => {
@@ -494,6 +1670,62 @@ export const payeesMerge = async (targetId, mergeIds) => {
   );
 };
 
+// ================ BUDGET FILES ================
+// Backups: the open budget as a zip (db.sqlite + metadata.json), as "Export" in the Actual app makes it
+
+// Restores open a budget no request asked for, so they get a queue of their own:
+// nothing else runs while the SDK has the restored budget open
+const RESTORE_QUEUE = 'budget-restore';
+
+/**
+ * Zip of the requested budget, synced first.
+ *
+ * @returns {Promise<Buffer>}
+ */
+export const budgetExport = async () => {
+  return runWithApi(
+    'budgetExport',
+    async (apiInstance) => {
+      const { data, error } = await apiInstance.internal.send('export-budget');
+      if (error || !data) {
+        throw new Error(`Budget export failed: ${error || 'no budget open'}`);
+      }
+      logger.info('[Actual] budgetExport completed', { bytes: data.length });
+      return Buffer.from(data);
+    },
+    { syncBefore: true }
+  );
+};
+
+/**
+ * Import a budget zip as a new budget and upload it to the Actual server, which
+ * gives it a new sync id. The zip's local id must not be in use (see budgetBackup.js).
+ *
+ * @param {string} filepath - Budget zip
+ * @returns {Promise<{syncId: string, name: string}>} The restored budget
+ */
+export const budgetImport = async (filepath) => {
+  const instance = await getActualApi();
+  return enqueue(RESTORE_QUEUE, 'budgetImport', async () => {
+    const result = await instance.internal.send('import-budget', { filepath, type: 'actual' });
+    // The import closed whichever budget was open; the next operation loads its own
+    activeSyncId = null;
+    if (result?.error) {
+      throw new Error(`Budget import failed: ${result.error}`);
+    }
+
+    // The upload gives the budget its sync id; the SDK doesn't report upload failures
+    const prefs = await instance.internal.send('load-prefs');
+    if (!prefs?.groupId) {
+      throw new Error('Budget was imported but could not be uploaded to the Actual server');
+    }
+    // Not in ACTUAL_SYNC_IDS until configured, so kept out of loadedBudgets (and the sync scheduler)
+    activeSyncId = prefs.groupId;
+    logger.info('[Actual] budgetImport completed', { syncId: prefs.groupId, budgetId: prefs.id });
+    return { syncId: prefs.groupId, name: prefs.budgetName };
+  });
+};
+
 // ================ BUDGETS ================
 export const budgetMonthsList = async () => {
   return runWithApi('budgetMonthsList', async (apiInstance) => {
@@ -525,6 +1757,64 @@ export const budgetSetAmount = async (month, categoryId, amount) => {
   );
 };
 
+/**
+ * Move budgeted money from one expense category to another: the source's budgeted
+ * amount goes down and the destination's up by the same amount, in one batch.
+ *
+ * @param {string} month - YYYY-MM
+ * @param {object} transfer
+ * @param {string} transfer.fromCategoryId - Category the money comes from
+ * @param {string} transfer.toCategoryId - Category the money goes to
+ * @param {number} transfer.amount - Positive integer cents
+ * @param {boolean} [transfer.allowNegative=false] - Allow leaving the source with a negative balance
+ * @returns {Promise<object>} { month, amount, from, to } with each category's new budgeted amount and balance
+ * @throws {NotFoundError} When the month isn't in the budget or a category isn't an expense category
+ * @throws {ValidationError} When the source's balance doesn't cover the amount (and allowNegative is off)
+ */
+export const budgetCategoryTransfer = async (month, { fromCategoryId, toCategoryId, amount, allowNegative = false }) => {
+  return runWithApi(
+    'budgetCategoryTransfer',
+    async (apiInstance) => {
+      const months = await apiInstance.getBudgetMonths();
+      if (!months.includes(month)) {
+        throw new NotFoundError('Budget month', { month });
+      }
+
+      // Read after the forced sync so the balance check sees the current amounts
+      const budgetMonth = await apiInstance.getBudgetMonth(month);
+      const categories = new Map(budgetMonth.categoryGroups
+        .filter(group => !group.is_income)
+        .flatMap(group => group.categories)
+        .map(category => [category.id, category]));
+      const from = categories.get(fromCategoryId);
+      const to = categories.get(toCategoryId);
+      if (!from) throw new NotFoundError('Category', { id: fromCategoryId });
+      if (!to) throw new NotFoundError('Category', { id: toCategoryId });
+
+      if (!allowNegative && from.balance < amount) {
+        throw new ValidationError('Source category balance does not cover the amount', 'amount', {
+          available: Math.max(0, from.balance)
+        });
+      }
+
+      logger.debug('[Actual] Moving budget between categories', { month, fromCategoryId, toCategoryId, amount });
+      await apiInstance.batchBudgetUpdates(async () => {
+        await apiInstance.setBudgetAmount(month, from.id, from.budgeted - amount);
+        await apiInstance.setBudgetAmount(month, to.id, to.budgeted + amount);
+      });
+      logger.info('[Actual] budgetCategoryTransfer completed', { month, fromCategoryId, toCategoryId, amount });
+
+      return {
+        month,
+        amount,
+        from: { categoryId: from.id, budgeted: from.budgeted - amount, balance: from.balance - amount },
+        to: { categoryId: to.id, budgeted: to.budgeted + amount, balance: to.balance + amount },
+      };
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
 export const budgetSetCarryover = async (month, categoryId, flag) => {
   return runWithApi(
     'budgetSetCarryover',
@@ -668,11 +1958,126 @@ export const scheduleDelete = async (id) => {
   );
 };
 
+// ================ ALERT DATA ================
+/**
+ * What alert conditions are checked against. Reads the local copy only: alerts
+ * are checked right after a sync, and syncing again here would start another check.
+ *
+ * @param {object} request
+ * @param {string} request.month - Budget month for category balances (YYYY-MM)
+ * @param {{since: string, threshold: number}} [request.largeTransactions] - Transactions dated
+ *   since (YYYY-MM-DD) of at least threshold either way (integer cents)
+ * @param {boolean} [request.uncategorized=false] - Count uncategorized on-budget transactions
+ * @returns {Promise<object>} { accounts: [{id, name, offbudget, balance}], budgetMonth (null outside the budget),
+ *   transactions: [{id, account, date, amount, payee, payee_name, notes}], uncategorizedCount (null when not requested) }
+ */
+export const alertData = async ({ month, largeTransactions = null, uncategorized = false }) => {
+  return runWithApi(
+    'alertData',
+    async (apiInstance) => {
+      const accounts = [];
+      for (const account of await apiInstance.getAccounts()) {
+        if (account.closed) continue;
+        const balance = await apiInstance.getAccountBalance(account.id);
+        accounts.push({ id: account.id, name: account.name, offbudget: !!account.offbudget, balance });
+      }
+
+      const months = await apiInstance.getBudgetMonths();
+      const budgetMonth = months.includes(month) ? await apiInstance.getBudgetMonth(month) : null;
+
+      let transactions = [];
+      if (largeTransactions) {
+        const { since, threshold } = largeTransactions;
+        // Not limited: an open alert whose transaction is missing here gets resolved
+        const { data } = await apiInstance.aqlQuery(
+          apiInstance.q('transactions')
+            .filter({
+              date: { $gte: since },
+              $or: [{ amount: { $gte: threshold } }, { amount: { $lte: -threshold } }],
+            })
+            .select(['id', 'account', 'date', 'amount', 'payee', 'notes'])
+            .orderBy({ date: 'desc' })
+            // Whole transactions: a large split counts once
+            .options({ splits: 'none' })
+        );
+        const payees = new Map((await apiInstance.getPayees()).map(payee => [payee.id, payee.name]));
+        transactions = data.map(transaction => ({ ...transaction, payee_name: payees.get(transaction.payee) ?? null }));
+      }
+
+      let uncategorizedCount = null;
+      if (uncategorized) {
+        // Same selection as the app's "uncategorized" view: transfers between on-budget accounts need no category
+        const { data } = await apiInstance.aqlQuery(
+          apiInstance.q('transactions')
+            .filter({
+              'account.offbudget': false,
+              category: null,
+              is_parent: false,
+              $or: [{ 'payee.transfer_acct': null }, { 'payee.transfer_acct.offbudget': true }],
+            })
+            .calculate({ $count: '$id' })
+        );
+        uncategorizedCount = data;
+      }
+
+      logger.info('[Actual] alertData result', { month, accounts: accounts.length, transactions: transactions.length });
+      return { accounts, budgetMonth, transactions, uncategorizedCount };
+    },
+    { syncBefore: false }
+  );
+};
+
 // ================ MISC ================
+/**
+ * Run several writes as one Actual batch: one sync before, one after, and the
+ * changes applied together when fn returns. fn receives the API instance and must
+ * call it directly (service functions would queue behind the batch itself).
+ */
+export const budgetBatch = async (fn) => {
+  return runWithApi(
+    'budgetBatch',
+    async (apiInstance) => {
+      let result;
+      await apiInstance.batchBudgetUpdates(async () => {
+        result = await fn(apiInstance);
+      });
+      return result;
+    },
+    { syncBefore: true, syncAfter: true }
+  );
+};
+
+export const budgetSync = async () => {
+  return runWithApi('budgetSync', async () => {
+    // Nothing to do: the forced sync before the operation is the point
+  }, { syncBefore: true });
+};
+
+export const actualHealthCheck = async () => {
+  return runWithApi('healthCheck', async (apiInstance) => {
+    // Cheap local read; goes through the queue so it never sees a budget mid-switch
+    await apiInstance.getAccounts();
+  }, { syncBefore: false });
+};
+
+/**
+ * Run a read-only ActualQL query described as a plain object: the shape
+ * POST /v2/query accepts (table, filter, select, options), plus groupBy,
+ * orderBy and limit for the API's own reports.
+ *
+ * @returns {Promise<Array|number>} Rows, or the value of an aggregate-only select
+ */
 export const runActualQuery = async (query) => {
   return runWithApi('runActualQuery', async (apiInstance) => {
     logger.debug('[Actual] Running query', { table: query.table });
-    const result = await apiInstance.runQuery({ query });
+    let actualQuery = apiInstance.q(query.table);
+    if (query.filter) actualQuery = actualQuery.filter(query.filter);
+    if (query.groupBy) actualQuery = actualQuery.groupBy(query.groupBy);
+    if (query.select) actualQuery = actualQuery.select(query.select);
+    if (query.orderBy) actualQuery = actualQuery.orderBy(query.orderBy);
+    if (query.limit) actualQuery = actualQuery.limit(query.limit);
+    if (query.options) actualQuery = actualQuery.options(query.options);
+    const { data: result } = await apiInstance.aqlQuery(actualQuery);
     logger.info('[Actual] runActualQuery completed', { 
       table: query.table,
       resultCount: Array.isArray(result) ? result.length : 'non-array'
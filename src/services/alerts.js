@@ -0,0 +1,416 @@
+/**
+ * Budget alerts (/v2/alerts).
+ *
+ * Alert rules are conditions checked against a budget after each sync with the
+ * Actual server (and on POST /v2/alerts/evaluate):
+ *
+ * - category-overspent: an expense category has a negative balance this month
+ * - account-below: an account's balance is below a threshold
+ * - large-transaction: a transaction of at least a threshold either way, dated on or after the rule was created
+ * - uncategorized-count: more than a number of on-budget transactions have no category
+ *
+ * A rule raises one alert per subject (category, account, transaction) while its
+ * condition holds; the alert is resolved when the condition clears, so the next
+ * occurrence raises a new one. Acknowledged alerts stay until then. Muted and
+ * disabled rules aren't checked. Rules and alerts live in the auth database,
+ * per budget.
+ */
+
+import { randomUUID } from 'crypto';
+import { executeQuery, getRow, getAllRows } from '../db/authDb.js';
+import { alertData, onBudgetSynced } from './actualApi.js';
+import { getRequestedSyncId, runInBudget } from './budgetContext.js';
+import { AlertRuleParamsSchemas } from '../middleware/validation-schemas.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import logger from '../logging/logger.js';
+
+export const ALERT_TYPES = ['category-overspent', 'account-below', 'large-transaction', 'uncategorized-count'];
+
+// Timestamps come back as strings from SQLite and as Dates from PostgreSQL
+const toIso = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+const toRule = (row) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  params: JSON.parse(row.params),
+  enabled: !!row.enabled,
+  muted: !!row.muted,
+  mutedUntil: row.muted_until ? new Date(row.muted_until).toISOString() : null,
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+});
+
+const toAlert = (row) => ({
+  id: row.id,
+  ruleId: row.rule_id,
+  key: row.alert_key,
+  message: row.message,
+  data: JSON.parse(row.data),
+  status: row.status,
+  triggeredAt: toIso(row.triggered_at),
+  acknowledgedAt: toIso(row.acknowledged_at),
+  resolvedAt: toIso(row.resolved_at),
+});
+
+const isMuted = (rule, now = new Date()) => rule.muted && (!rule.mutedUntil || new Date(rule.mutedUntil) > now);
+
+// ================ RULES ================
+
+/**
+ * List the current budget's alert rules.
+ */
+export const listAlertRules = async () => {
+  const rows = await getAllRows('SELECT * FROM alert_rules WHERE sync_id = ? ORDER BY name', [getRequestedSyncId()]);
+  return rows.map(toRule);
+};
+
+/**
+ * Get one of the current budget's alert rules.
+ *
+ * @returns {Promise<object|null>} The rule, or null when not found
+ */
+export const getAlertRule = async (id) => {
+  const row = await getRow('SELECT * FROM alert_rules WHERE id = ? AND sync_id = ?', [id, getRequestedSyncId()]);
+  return row ? toRule(row) : null;
+};
+
+/**
+ * Create an alert rule for the current budget.
+ *
+ * @param {object} rule
+ * @param {string} rule.name - Display name
+ * @param {string} rule.type - One of ALERT_TYPES
+ * @param {object} rule.params - Condition settings (see CreateAlertRuleSchema)
+ * @param {boolean} [rule.enabled=true]
+ * @returns {Promise<object>} Created rule
+ */
+export const createAlertRule = async ({ name, type, params, enabled = true }) => {
+  const id = randomUUID();
+  await executeQuery(
+    `INSERT INTO alert_rules (id, sync_id, name, type, params, enabled) VALUES (?, ?, ?, ?, ?, ${enabled ? 'TRUE' : 'FALSE'})`,
+    [id, getRequestedSyncId(), name, type, JSON.stringify(params)]
+  );
+  logger.info('Created alert rule', { ruleId: id, type });
+  return getAlertRule(id);
+};
+
+/**
+ * Update an alert rule. params replaces the stored params as a whole and is
+ * checked against the rule's type; mutedUntil mutes it until then, muted false
+ * unmutes it.
+ *
+ * @throws {NotFoundError} When the rule doesn't exist in the current budget
+ * @throws {ValidationError} When params don't fit the rule's type
+ */
+export const updateAlertRule = async (id, { name, params, enabled, muted, mutedUntil }) => {
+  const rule = await getAlertRule(id);
+  if (!rule) {
+    throw new NotFoundError('Alert rule', { id });
+  }
+
+  const updates = [];
+  const values = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    values.push(name);
+  }
+  if (params !== undefined) {
+    const parsed = AlertRuleParamsSchemas[rule.type].safeParse(params);
+    if (!parsed.success) {
+      const details = parsed.error.issues.map(issue => ({ field: `params.${issue.path.join('.')}`, message: issue.message }));
+      throw new ValidationError('Validation failed', null, details);
+    }
+    updates.push('params = ?');
+    values.push(JSON.stringify(parsed.data));
+  }
+  if (enabled !== undefined) {
+    updates.push(`enabled = ${enabled ? 'TRUE' : 'FALSE'}`);
+  }
+  // A mute end time mutes the rule unless muted is explicitly false
+  const mute = muted ?? (mutedUntil ? true : undefined);
+  if (mute !== undefined) {
+    updates.push(`muted = ${mute ? 'TRUE' : 'FALSE'}`);
+  }
+  if (mutedUntil !== undefined || muted === false) {
+    updates.push('muted_until = ?');
+    values.push(muted === false || !mutedUntil ? null : new Date(mutedUntil).toISOString());
+  }
+  updates.push('updated_at = CURRENT_TIMESTAMP');
+  values.push(id, getRequestedSyncId());
+
+  await executeQuery(`
+    UPDATE alert_rules
+    SET ${updates.join(', ')}
+    WHERE id = ? AND sync_id = ?
+  `, values);
+
+  logger.info('Updated alert rule', { ruleId: id });
+  return getAlertRule(id);
+};
+
+/**
+ * Delete an alert rule and its alerts.
+ *
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export const deleteAlertRule = async (id) => {
+  const result = await executeQuery('DELETE FROM alert_rules WHERE id = ? AND sync_id = ?', [id, getRequestedSyncId()]);
+  if (result.changes > 0) {
+    await executeQuery('DELETE FROM alerts WHERE rule_id = ?', [id]);
+    logger.info('Deleted alert rule', { ruleId: id });
+    return true;
+  }
+  return false;
+};
+
+// ================ ALERTS ================
+
+/**
+ * List the current budget's alerts, newest first.
+ *
+ * @param {object} [filters]
+ * @param {'active'|'acknowledged'|'resolved'|'all'} [filters.status='active']
+ * @param {string} [filters.ruleId]
+ * @param {number} [filters.limit=100]
+ */
+export const listAlerts = async ({ status = 'active', ruleId, limit = 100 } = {}) => {
+  const conditions = ['sync_id = ?'];
+  const values = [getRequestedSyncId()];
+  if (status !== 'all') {
+    conditions.push('status = ?');
+    values.push(status);
+  }
+  if (ruleId) {
+    conditions.push('rule_id = ?');
+    values.push(ruleId);
+  }
+  values.push(limit);
+
+  const rows = await getAllRows(
+    `SELECT * FROM alerts WHERE ${conditions.join(' AND ')} ORDER BY triggered_at DESC, id LIMIT ?`,
+    values
+  );
+  return rows.map(toAlert);
+};
+
+const getAlert = async (id) => {
+  const row = await getRow('SELECT * FROM alerts WHERE id = ? AND sync_id = ?', [id, getRequestedSyncId()]);
+  if (!row) {
+    throw new NotFoundError('Alert', { id });
+  }
+  return toAlert(row);
+};
+
+/**
+ * Acknowledge an alert. It stays acknowledged until its condition clears.
+ *
+ * @throws {NotFoundError} When the alert doesn't exist in the current budget
+ */
+export const acknowledgeAlert = async (id) => {
+  const alert = await getAlert(id);
+  if (alert.status === 'active') {
+    await executeQuery(
+      "UPDATE alerts SET status = 'acknowledged', acknowledged_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [id]
+    );
+  }
+  return getAlert(id);
+};
+
+/**
+ * Mute the rule that raised an alert (until the given time, or until unmuted)
+ * and acknowledge the alert.
+ *
+ * @param {string} id - Alert id
+ * @param {object} [options]
+ * @param {string} [options.until] - ISO date-time
+ * @returns {Promise<{alert: object, rule: object}>}
+ * @throws {NotFoundError} When the alert doesn't exist in the current budget
+ */
+export const muteAlert = async (id, { until = null } = {}) => {
+  const { ruleId } = await getAlert(id);
+  const rule = await updateAlertRule(ruleId, { muted: true, mutedUntil: until });
+  const alert = await acknowledgeAlert(id);
+  return { alert, rule };
+};
+
+// ================ EVALUATION ================
+
+const formatAmount = (amount) => (amount / 100).toFixed(2);
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Conditions by rule type: each returns what currently matches as
+ * [{key, message, data}], key identifying the subject.
+ */
+const CONDITIONS = {
+  'category-overspent': (rule, { budgetMonth }) => {
+    if (!budgetMonth) return [];
+    const { categoryIds } = rule.params;
+    return budgetMonth.categoryGroups
+      .filter(group => !group.is_income)
+      .flatMap(group => group.categories)
+      .filter(category => category.balance < 0 && (!categoryIds || categoryIds.includes(category.id)))
+      .map(category => ({
+        key: `${budgetMonth.month}:${category.id}`,
+        message: `${category.name} is overspent by ${formatAmount(-category.balance)} in ${budgetMonth.month}`,
+        data: { month: budgetMonth.month, categoryId: category.id, categoryName: category.name, balance: category.balance },
+      }));
+  },
+
+  'account-below': (rule, { accounts }) => {
+    const { accountId, threshold } = rule.params;
+    const account = accounts.find(candidate => candidate.id === accountId);
+    if (!account || account.balance >= threshold) return [];
+    return [{
+      key: account.id,
+      message: `${account.name} balance ${formatAmount(account.balance)} is below ${formatAmount(threshold)}`,
+      data: { accountId: account.id, accountName: account.name, balance: account.balance, threshold },
+    }];
+  },
+
+  'large-transaction': (rule, { accounts, transactions }) => {
+    const { threshold, accountIds } = rule.params;
+    const since = rule.createdAt.slice(0, 10);
+    const names = new Map(accounts.map(account => [account.id, account.name]));
+    return transactions
+      .filter(transaction => Math.abs(transaction.amount) >= threshold && transaction.date >= since
+        && (!accountIds || accountIds.includes(transaction.account)))
+      .map(transaction => ({
+        key: transaction.id,
+        message: `Transaction of ${formatAmount(transaction.amount)} on ${transaction.date}`
+          + `${transaction.payee_name ? ` at ${transaction.payee_name}` : ''} in ${names.get(transaction.account) ?? 'an account'}`,
+        data: {
+          transactionId: transaction.id,
+          accountId: transaction.account,
+          date: transaction.date,
+          amount: transaction.amount,
+          payee: transaction.payee_name,
+        },
+      }));
+  },
+
+  'uncategorized-count': (rule, { uncategorizedCount }) => {
+    const { threshold } = rule.params;
+    if (uncategorizedCount === null || uncategorizedCount <= threshold) return [];
+    return [{
+      key: 'uncategorized',
+      message: `${uncategorizedCount} transactions are uncategorized (more than ${threshold})`,
+      data: { count: uncategorizedCount, threshold },
+    }];
+  },
+};
+
+// Raise alerts for new matches of the current budget's enabled, unmuted rules
+// and resolve alerts whose condition cleared
+const checkRules = async () => {
+  const syncId = getRequestedSyncId();
+  const rules = (await listAlertRules()).filter(rule => rule.enabled && !isMuted(rule));
+  if (rules.length === 0) return [];
+
+  const large = rules.filter(rule => rule.type === 'large-transaction');
+  const data = await alertData({
+    month: today().slice(0, 7),
+    largeTransactions: large.length > 0
+      ? {
+        since: large.map(rule => rule.createdAt.slice(0, 10)).sort()[0],
+        threshold: Math.min(...large.map(rule => rule.params.threshold)),
+      }
+      : null,
+    uncategorized: rules.some(rule => rule.type === 'uncategorized-count'),
+  });
+
+  const raised = [];
+  for (const rule of rules) {
+    const matches = CONDITIONS[rule.type](rule, data);
+    const open = await getAllRows(
+      "SELECT id, alert_key FROM alerts WHERE rule_id = ? AND status IN ('active', 'acknowledged')",
+      [rule.id]
+    );
+    const openKeys = new Set(open.map(row => row.alert_key));
+    const matchedKeys = new Set(matches.map(match => match.key));
+
+    for (const row of open.filter(candidate => !matchedKeys.has(candidate.alert_key))) {
+      await executeQuery("UPDATE alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE id = ?", [row.id]);
+    }
+    for (const match of matches.filter(candidate => !openKeys.has(candidate.key))) {
+      const id = randomUUID();
+      // The open-alert index (alerts_open_key) keeps a second open alert for the same subject out
+      const result = await executeQuery(
+        'INSERT INTO alerts (id, rule_id, sync_id, alert_key, message, data) VALUES (?, ?, ?, ?, ?, ?) ON CONFLICT DO NOTHING',
+        [id, rule.id, syncId, match.key, match.message, JSON.stringify(match.data)]
+      );
+      if (result.changes > 0) {
+        raised.push(await getAlert(id));
+      }
+    }
+  }
+
+  if (raised.length > 0) {
+    logger.info('[Alerts] Alerts raised', { syncId, count: raised.length });
+  }
+  return raised;
+};
+
+// Per budget: the last check started (settled, never rejects), and whether a
+// check after a sync is waiting for its turn
+const evaluating = new Map();
+const pending = new Set();
+
+// Checks of a budget run one at a time, in the order they were asked for
+const inTurn = (syncId, check) => {
+  const run = (evaluating.get(syncId) ?? Promise.resolve()).then(() => runInBudget(syncId, check));
+  const settled = run.catch(() => undefined);
+  evaluating.set(syncId, settled);
+  settled.then(() => {
+    if (evaluating.get(syncId) === settled) evaluating.delete(syncId);
+  });
+  return run;
+};
+
+/**
+ * Check the current budget's enabled, unmuted rules: raise alerts for new
+ * matches and resolve alerts whose condition cleared. Waits for a check of the
+ * same budget that's already running.
+ *
+ * @returns {Promise<object[]>} Alerts raised by this check
+ */
+export const evaluateAlerts = async () => inTurn(getRequestedSyncId(), checkRules);
+
+// A waiting check sees this sync too, so syncs meanwhile add no more checks
+const evaluateAfterSync = async (syncId) => {
+  if (pending.has(syncId)) return;
+  pending.add(syncId);
+  try {
+    await inTurn(syncId, () => {
+      pending.delete(syncId);
+      return checkRules();
+    });
+  } catch (error) {
+    logger.warn('[Alerts] Evaluation failed', { syncId, error: error.message });
+  }
+};
+
+let unsubscribe = null;
+
+/**
+ * Check alert rules after every sync with the Actual server.
+ */
+export const startAlerts = () => {
+  if (unsubscribe) return;
+  unsubscribe = onBudgetSynced(evaluateAfterSync);
+  logger.info('Alert evaluation after sync enabled');
+};
+
+/**
+ * Stop checking alert rules after syncs.
+ */
+export const stopAlerts = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * Batch operations (POST /v2/batch).
+ *
+ * Runs an ordered list of write operations inside one Actual batch
+ * (batchBudgetUpdates), so the whole list costs one sync before and one after.
+ *
+ * Params may reference the result of an earlier operation with
+ * `{ "$ref": "<operation id>" }`, or `{ "$ref": "<operation id>.<field>" }` for
+ * operations returning objects (e.g. rule.create).
+ *
+ * Writes made inside the batch are applied when it ends, so operations read the
+ * budget as it was before the batch. The batch is not rolled back on failure:
+ * operations that succeeded before an error are kept.
+ */
+
+import { budgetBatch } from './actualApi.js';
+import { BatchOperationParamsSchemas } from '../middleware/validation-schemas.js';
+import { HttpError, ValidationError } from '../errors/index.js';
+import logger from '../logging/logger.js';
+
+/**
+ * Actual API call per operation (mirrors the matching service functions).
+ */
+const handlers = {
+  'account.create': (api, { account, initialBalance }) => api.createAccount(account, initialBalance),
+  'account.update': (api, { id, fields }) => api.updateAccount(id, fields),
+  'account.close': (api, { id, transferAccountId, transferCategoryId }) => api.closeAccount(id, transferAccountId, transferCategoryId),
+  'account.reopen': (api, { id }) => api.reopenAccount(id),
+  'account.delete': (api, { id }) => api.deleteAccount(id),
+  'transaction.add': (api, { accountId, transactions, runTransfers, learnCategories }) => api.addTransactions(accountId, transactions, { runTransfers, learnCategories }),
+  'transaction.import': (api, { accountId, transactions }) => api.importTransactions(accountId, transactions),
+  'transaction.update': (api, { id, fields }) => api.updateTransaction(id, fields),
+  'transaction.delete': (api, { id }) => api.deleteTransaction(id),
+  'category.create': (api, { category }) => api.createCategory(category),
+  'category.update': (api, { id, fields }) => api.updateCategory(id, fields),
+  'category.delete': (api, { id }) => api.deleteCategory(id),
+  'categoryGroup.create': (api, { group }) => api.createCategoryGroup(group),
+  'categoryGroup.update': (api, { id, fields }) => api.updateCategoryGroup(id, fields),
+  'categoryGroup.delete': (api, { id }) => api.deleteCategoryGroup(id),
+  'payee.create': (api, { payee }) => api.createPayee(payee),
+  'payee.update': (api, { id, fields }) => api.updatePayee(id, fields),
+  'payee.delete': (api, { id }) => api.deletePayee(id),
+  'payee.merge': (api, { targetId, mergeIds }) => api.mergePayees(targetId, mergeIds),
+  'budget.setAmount': (api, { month, categoryId, amount }) => api.setBudgetAmount(month, categoryId, amount),
+  'budget.setCarryover': (api, { month, categoryId, flag }) => api.setBudgetCarryover(month, categoryId, flag),
+  'rule.create': (api, { rule }) => api.createRule(rule),
+  'rule.update': (api, { id, fields }) => api.updateRule(id, fields),
+  'rule.delete': (api, { id }) => api.deleteRule(id),
+  'schedule.create': (api, { schedule }) => api.createSchedule({ schedule }),
+  'schedule.update': (api, { id, fields }) => api.updateSchedule(id, fields),
+  'schedule.delete': (api, { id }) => api.deleteSchedule(id),
+};
+
+const isRef = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+  && Object.keys(value).length === 1 && typeof value.$ref === 'string';
+
+/**
+ * Replace `{ "$ref": ... }` placeholders with results of earlier operations.
+ *
+ * @param {*} value - Params (or part of them)
+ * @param {Map<string, object>} outcomes - Operation id -> outcome of operations run so far
+ * @returns {*} Params with references resolved
+ * @throws {ValidationError} When a reference is unknown or points to a failed operation
+ */
+export const resolveRefs = (value, outcomes) => {
+  if (isRef(value)) {
+    const [name, ...path] = value.$ref.split('.');
+    const outcome = outcomes.get(name);
+    if (!outcome) {
+      throw new ValidationError(`Unknown reference "${value.$ref}": no earlier operation with id "${name}"`, '$ref');
+    }
+    if (outcome.status !== 'ok') {
+      throw new ValidationError(`Reference "${value.$ref}" points to an operation that did not succeed`, '$ref');
+    }
+    return path.reduce((current, key) => {
+      if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, key)) {
+        throw new ValidationError(`Reference "${value.$ref}" does not match the result of "${name}"`, '$ref');
+      }
+      // Safe: key is checked as an own property of the result above
+      // eslint-disable-next-line security/detect-object-injection
+      return current[key];
+    }, outcome.result);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveRefs(item, outcomes));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveRefs(item, outcomes)]));
+  }
+  return value;
+};
+
+const toOperationError = (error) => {
+  if (error instanceof HttpError) {
+    return { message: error.message, code: error.code, ...(error.details ? { details: error.details } : {}) };
+  }
+  return { message: error.message || 'Operation failed' };
+};
+
+/**
+ * Run one operation: resolve references, validate params, call the Actual API.
+ */
+const runOperation = async (apiInstance, operation, outcomes) => {
+  const params = resolveRefs(operation.params, outcomes);
+
+  const parsed = BatchOperationParamsSchemas[operation.op].safeParse(params);
+  if (!parsed.success) {
+    const details = parsed.error.issues.map(issue => ({ field: issue.path.join('.') || 'unknown', message: issue.message }));
+    throw new ValidationError('Validation failed', null, details);
+  }
+
+  return handlers[operation.op](apiInstance, parsed.data);
+};
+
+/**
+ * Run a batch of operations against the current budget.
+ *
+ * @param {Array<{id?: string, op: string, params: object}>} operations - Validated by BatchSchema
+ * @param {object} [options]
+ * @param {boolean} [options.continueOnError=false] - Keep going after a failed operation instead of skipping the rest
+ * @returns {Promise<Array<object>>} One `{ index, id, op, status, result | error }` entry per operation
+ */
+export const runBatch = async (operations, { continueOnError = false } = {}) => {
+  return budgetBatch(async (apiInstance) => {
+    const outcomes = new Map();
+    const results = [];
+    let failed = false;
+
+    for (const [index, operation] of operations.entries()) {
+      let outcome;
+      if (failed && !continueOnError) {
+        outcome = { status: 'skipped' };
+      } else {
+        try {
+          const result = await runOperation(apiInstance, operation, outcomes);
+          outcome = { status: 'ok', result: result ?? null };
+        } catch (error) {
+          failed = true;
+          logger.warn('[Batch] Operation failed', { index, id: operation.id, op: operation.op, error: error.message });
+          outcome = { status: 'error', error: toOperationError(error) };
+        }
+      }
+
+      if (operation.id) outcomes.set(operation.id, outcome);
+      results.push({ index, ...(operation.id ? { id: operation.id } : {}), op: operation.op, ...outcome });
+    }
+
+    logger.info('[Batch] completed', {
+      operationCount: operations.length,
+      failedCount: results.filter(r => r.status === 'error').length,
+      skippedCount: results.filter(r => r.status === 'skipped').length,
+    });
+    return results;
+  });
+};
@@ -0,0 +1,84 @@
+/**
+ * Budget backup and restore (GET /v2/admin/budget/export, POST /v2/admin/budget/import).
+ *
+ * Backups are the zip the Actual app exports (db.sqlite + metadata.json). A
+ * restore always becomes a new budget: the zip gets a fresh local id so it
+ * can't overwrite a budget already in DATA_DIR (such as the one it was taken
+ * from), and the Actual server gives it a new sync id when it is uploaded.
+ */
+
+import { randomUUID } from 'crypto';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { budgetImport } from './actualApi.js';
+import { ValidationError } from '../errors/index.js';
+import logger from '../logging/logger.js';
+
+/**
+ * Check a backup and give it a fresh local id (and a name).
+ *
+ * @param {Buffer} buffer - Backup zip
+ * @param {object} [options]
+ * @param {string} [options.name] - Name of the restored budget (default: "<backup name> (restored)")
+ * @returns {{buffer: Buffer, id: string, name: string}} Zip to import
+ * @throws {ValidationError} When the file isn't a budget backup
+ */
+export const prepareBackup = (buffer, { name } = {}) => {
+  let zip;
+  let entries;
+  try {
+    zip = new AdmZip(buffer);
+    entries = zip.getEntries();
+  } catch {
+    throw new ValidationError('File is not a zip archive', 'file');
+  }
+
+  // Same lookup as Actual's importer
+  const dbEntry = entries.find(entry => entry.entryName.includes('db.sqlite'));
+  const metaEntry = entries.find(entry => entry.entryName.includes('metadata.json'));
+  if (!dbEntry || !metaEntry) {
+    throw new ValidationError('Not a budget backup: db.sqlite and metadata.json are required', 'file');
+  }
+
+  let meta;
+  try {
+    meta = JSON.parse(metaEntry.getData().toString('utf8'));
+  } catch {
+    throw new ValidationError('Not a budget backup: metadata.json is not valid JSON', 'file');
+  }
+
+  const restored = {
+    ...meta,
+    id: `restored-${randomUUID()}`,
+    budgetName: name || `${meta.budgetName || 'Budget'} (restored)`,
+    resetClock: true,
+  };
+  zip.updateFile(metaEntry, Buffer.from(JSON.stringify(restored), 'utf8'));
+  return { buffer: zip.toBuffer(), id: restored.id, name: restored.budgetName };
+};
+
+/**
+ * Restore a backup as a new budget on the Actual server.
+ *
+ * @param {Buffer} buffer - Backup zip
+ * @param {object} [options] - See prepareBackup
+ * @returns {Promise<{syncId: string, name: string}>} The restored budget
+ */
+export const restoreBudgetBackup = async (buffer, options = {}) => {
+  const backup = prepareBackup(buffer, options);
+
+  const dir = await mkdtemp(path.join(tmpdir(), 'budget-restore-'));
+  try {
+    const filepath = path.join(dir, 'backup.zip');
+    // Safe: the path is built in a fresh temp directory from constants
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await writeFile(filepath, backup.buffer);
+    const budget = await budgetImport(filepath);
+    logger.info('[Backup] Budget restored', { syncId: budget.syncId, budgetId: backup.id });
+    return budget;
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
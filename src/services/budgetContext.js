@@ -0,0 +1,40 @@
+/**
+ * Per-request budget selection.
+ *
+ * Routes resolve the target budget once (see middleware/budgetSelector.js) and
+ * run the rest of the request inside that context. The Actual API wrapper reads
+ * it back so service functions don't need a syncId argument on every call.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { DEFAULT_SYNC_ID } from '../config/index.js';
+
+const budgetStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the given budget selected for all Actual API calls it makes.
+ *
+ * @param {string} syncId - Budget sync ID
+ * @param {Function} fn - Function to run
+ * @param {object} [options]
+ * @param {Function} [options.onLastSync] - Called with the budget's last sync time (ISO string) after each Actual operation
+ * @returns {*} Return value of fn
+ */
+export const runInBudget = (syncId, fn, { onLastSync = null } = {}) => budgetStorage.run({ syncId, onLastSync }, fn);
+
+/**
+ * Get the sync ID selected for the current request (falls back to ACTUAL_SYNC_ID).
+ *
+ * @returns {string} Budget sync ID
+ */
+export const getRequestedSyncId = () => budgetStorage.getStore()?.syncId || DEFAULT_SYNC_ID;
+
+/**
+ * Report when the current budget last synced with the Actual server.
+ * Lets the request layer expose how fresh the data it served is.
+ *
+ * @param {Date} lastSyncAt - Time of the last successful sync
+ */
+export const reportLastSync = (lastSyncAt) => {
+  budgetStorage.getStore()?.onLastSync?.(lastSyncAt.toISOString());
+};
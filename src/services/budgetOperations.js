@@ -0,0 +1,198 @@
+/**
+ * Month-level budget operations (POST /v2/budgets/:month/copy-previous, set-average,
+ * set-zero, apply-template).
+ *
+ * Each operation plans the new budgeted amount of every category it touches and,
+ * unless it's a dry run, writes the amounts that change in one batch. The
+ * category selection follows Actual's own month menu:
+ *
+ * - copy-previous: last month's budgeted amounts, visible expense categories
+ * - set-average: minus the average spent over the previous 3, 6 or 12 months, visible expense categories
+ * - set-zero: 0 for every expense category
+ * - apply-template: the template's amounts; categories that aren't expense categories are skipped
+ *
+ * Months before the budget's first month count as nothing budgeted or spent.
+ * Planning and writing run as one batch, so the amounts written are computed
+ * from what the budget holds at that moment.
+ *
+ * PUT /v2/budgets/:month (budgetMonthSetAmounts) sets many categories at once,
+ * looked up by id or name; the lookup and the writes run as one batch too.
+ */
+
+import { budgetMonthsList, budgetMonthGet, budgetBatch } from './actualApi.js';
+import { getBudgetTemplate } from './budgetTemplates.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+const addMonths = (month, months) => {
+  const shifted = new Date(`${month}-01T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  return shifted.toISOString().slice(0, 7);
+};
+
+const expenseCategories = (budgetMonth) => budgetMonth.categoryGroups
+  .filter(group => !group.is_income)
+  .flatMap(group => group.categories.map(category => ({
+    id: category.id,
+    name: category.name,
+    groupName: group.name,
+    hidden: !!(category.hidden || group.hidden),
+    budgeted: category.budgeted,
+    spent: category.spent,
+  })));
+
+// Budget reads through the queue, for use outside a batch (same methods as the API instance)
+const queuedReads = { getBudgetMonths: budgetMonthsList, getBudgetMonth: budgetMonthGet };
+
+// Category id -> value picked from another month; empty outside the budget's months
+const monthValues = async (api, months, month, pick) => {
+  if (!months.includes(month)) return new Map();
+  const budgetMonth = await api.getBudgetMonth(month);
+  return new Map(expenseCategories(budgetMonth).map(category => [category.id, pick(category)]));
+};
+
+const planCopyPrevious = async (categories, { api, month, months }) => {
+  const previous = await monthValues(api, months, addMonths(month, -1), category => category.budgeted);
+  return categories
+    .filter(category => !category.hidden)
+    .map(category => ({ category, to: previous.get(category.id) ?? 0 }));
+};
+
+const planAverage = async (categories, { api, month, months, count }) => {
+  const spent = [];
+  for (let offset = 1; offset <= count; offset++) {
+    spent.push(await monthValues(api, months, addMonths(month, -offset), category => category.spent));
+  }
+  return categories
+    .filter(category => !category.hidden)
+    .map(category => {
+      const total = spent.reduce((sum, values) => sum + (values.get(category.id) ?? 0), 0);
+      // Spending is negative; || 0 turns -0 into 0
+      return { category, to: -Math.round(total / count) || 0 };
+    });
+};
+
+const planZero = async (categories) => categories.map(category => ({ category, to: 0 }));
+
+const planTemplate = async (categories, { template, skipped }) => {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const planned = [];
+  for (const [categoryId, amount] of Object.entries(template.amounts)) {
+    const category = byId.get(categoryId);
+    if (category) {
+      planned.push({ category, to: amount });
+    } else {
+      skipped.push({ categoryId, reason: 'Not an expense category in this budget' });
+    }
+  }
+  return planned;
+};
+
+// The month's expense categories; NotFoundError when the month isn't in the budget
+const monthCategories = async (api, month, months) => {
+  if (!months.includes(month)) {
+    throw new NotFoundError('Budget month', { month });
+  }
+  return expenseCategories(await api.getBudgetMonth(month));
+};
+
+const PLANNERS = {
+  'copy-previous': planCopyPrevious,
+  'set-average': planAverage,
+  'set-zero': planZero,
+  'apply-template': planTemplate,
+};
+
+/**
+ * Run a month-level budget operation.
+ *
+ * @param {string} month - Month (YYYY-MM)
+ * @param {'copy-previous'|'set-average'|'set-zero'|'apply-template'} operation
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only return the planned amounts
+ * @param {number} [options.months=3] - set-average: months to average over
+ * @param {string} [options.templateId] - apply-template: template to apply
+ * @returns {Promise<object>} { month, operation, dryRun, amounts: [{categoryId, name, groupName, from, to}], changedCount, skipped }
+ * @throws {NotFoundError} When the month isn't in the budget or the template doesn't exist
+ */
+export const runBudgetOperation = async (month, operation, { dryRun = false, months: count = 3, templateId } = {}) => {
+  let template;
+  if (operation === 'apply-template') {
+    template = await getBudgetTemplate(templateId);
+    if (!template) {
+      throw new NotFoundError('Budget template', { id: templateId });
+    }
+  }
+
+  const run = async (api) => {
+    const months = await api.getBudgetMonths();
+    const categories = await monthCategories(api, month, months);
+
+    const skipped = [];
+    // Safe: operation is one of the PLANNERS keys (validated by the route)
+    // eslint-disable-next-line security/detect-object-injection
+    const planned = await PLANNERS[operation](categories, { api, month, months, count, template, skipped });
+
+    const amounts = planned.map(({ category, to }) => ({
+      categoryId: category.id,
+      name: category.name,
+      groupName: category.groupName,
+      from: category.budgeted,
+      to,
+    }));
+    const changed = amounts.filter(amount => amount.from !== amount.to);
+
+    if (!dryRun) {
+      for (const { categoryId, to } of changed) {
+        await api.setBudgetAmount(month, categoryId, to);
+      }
+    }
+
+    return { month, operation, dryRun, amounts, changedCount: changed.length, skipped };
+  };
+
+  // A dry run writes nothing, so it needs no batch
+  return dryRun ? run(queuedReads) : budgetBatch(run);
+};
+
+// Category id -> amount for each key (an id, or a case-insensitive name)
+const resolveCategories = (categories, amounts) => {
+  const byId = new Map(categories.map(category => [category.id, category]));
+
+  const unknown = [];
+  const ambiguous = [];
+  const resolved = new Map();
+  for (const [key, amount] of Object.entries(amounts)) {
+    const named = categories.filter(category => category.name.toLowerCase() === key.toLowerCase());
+    const category = byId.get(key) ?? (named.length === 1 ? named[0] : null);
+    if (!category) {
+      (named.length > 1 ? ambiguous : unknown).push(key);
+    } else if (resolved.has(category.id)) {
+      throw new ValidationError(`Category "${key}" is given more than once`, 'amounts', { category: key });
+    } else {
+      resolved.set(category.id, amount);
+    }
+  }
+  if (unknown.length > 0 || ambiguous.length > 0) {
+    throw new ValidationError('Unknown or ambiguous expense categories', 'amounts', { unknown, ambiguous });
+  }
+  return resolved;
+};
+
+/**
+ * Set the budgeted amounts of many categories in one batch and return the updated month.
+ *
+ * @param {string} month - Month (YYYY-MM)
+ * @param {Object<string, number>} amounts - Category id or name (case-insensitive) -> amount (integer cents)
+ * @returns {Promise<object>} The budget month as GET /v2/budgets/:month returns it
+ * @throws {NotFoundError} When the month isn't in the budget
+ * @throws {ValidationError} When a key isn't exactly one expense category, or two keys name the same one
+ */
+export const budgetMonthSetAmounts = async (month, amounts) => {
+  await budgetBatch(async (api) => {
+    const categories = await monthCategories(api, month, await api.getBudgetMonths());
+    for (const [categoryId, amount] of resolveCategories(categories, amounts)) {
+      await api.setBudgetAmount(month, categoryId, amount);
+    }
+  });
+  return budgetMonthGet(month);
+};
@@ -0,0 +1,97 @@
+/**
+ * Budget month summary (GET /v2/budgets/:month/summary).
+ *
+ * Adds the envelope math clients would otherwise redo to Actual's budget month:
+ * what each category carried in from the month before, group totals with
+ * overspending, the overspent categories, and income against what was budgeted.
+ *
+ * Amounts are integer cents. `spent` is negative, `budgeted` positive; a
+ * category's balance is carryIn + budgeted + spent.
+ */
+
+import { budgetMonthGet } from './actualApi.js';
+
+const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+const overspending = (balance) => Math.max(0, -balance);
+
+const expenseCategory = (category) => ({
+  id: category.id,
+  name: category.name,
+  hidden: !!category.hidden,
+  carryIn: category.balance - category.budgeted - category.spent,
+  budgeted: category.budgeted,
+  spent: category.spent,
+  balance: category.balance,
+  // Overspending rolls over into the category instead of coming out of next month's To Budget
+  rolloverOverspending: !!category.carryover,
+});
+
+const groupSummary = (group) => {
+  if (group.is_income) {
+    return {
+      id: group.id,
+      name: group.name,
+      hidden: !!group.hidden,
+      isIncome: true,
+      received: group.received,
+      categories: group.categories.map(({ id, name, hidden, received }) => ({ id, name, hidden: !!hidden, received })),
+    };
+  }
+  const categories = group.categories.map(expenseCategory);
+  return {
+    id: group.id,
+    name: group.name,
+    hidden: !!group.hidden,
+    isIncome: false,
+    carryIn: sum(categories.map(category => category.carryIn)),
+    budgeted: group.budgeted,
+    spent: group.spent,
+    balance: group.balance,
+    overspent: sum(categories.map(category => overspending(category.balance))),
+    categories,
+  };
+};
+
+/**
+ * Summarize a budget month.
+ *
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {Promise<object>} { month, toBudget, income, budgeted, spent, balance, incomeVsBudgeted, carryover, overspent, groups }
+ */
+export const budgetMonthSummary = async (month) => {
+  const budgetMonth = await budgetMonthGet(month);
+  const groups = budgetMonth.categoryGroups.map(groupSummary);
+  const expenseGroups = groups.filter(group => !group.isIncome);
+
+  const overspentCategories = expenseGroups.flatMap(group => group.categories
+    .filter(category => category.balance < 0)
+    .map(category => ({ ...category, groupId: group.id, groupName: group.name, overspent: overspending(category.balance) })));
+
+  // Actual reports total-budgeted as a negative number (it comes out of To Budget)
+  const budgeted = -budgetMonth.totalBudgeted;
+  return {
+    month: budgetMonth.month,
+    toBudget: budgetMonth.toBudget,
+    income: budgetMonth.totalIncome,
+    budgeted,
+    spent: budgetMonth.totalSpent,
+    balance: budgetMonth.totalBalance,
+    incomeVsBudgeted: budgetMonth.totalIncome - budgeted,
+    carryover: {
+      // To Budget left over (plus money held) last month
+      fromLastMonth: budgetMonth.fromLastMonth,
+      // Last month's overspending in categories that don't roll it over (negative)
+      lastMonthOverspent: budgetMonth.lastMonthOverspent,
+      // Category balances carried in
+      categories: sum(expenseGroups.map(group => group.carryIn)),
+      // Held for next month
+      forNextMonth: budgetMonth.forNextMonth,
+    },
+    overspent: {
+      total: sum(overspentCategories.map(category => category.overspent)),
+      categories: overspentCategories,
+    },
+    groups,
+  };
+};
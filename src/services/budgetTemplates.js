@@ -0,0 +1,105 @@
+/**
+ * Budget templates (/v2/budget-templates).
+ *
+ * A template is a named set of category budget amounts (category id -> integer
+ * cents) that POST /v2/budgets/:month/apply-template writes into a month.
+ * Templates live in the auth database next to users and clients, per budget
+ * (their category ids belong to it); amounts are stored as JSON.
+ */
+
+import { randomUUID } from 'crypto';
+import { executeQuery, getRow, getAllRows } from '../db/authDb.js';
+import { getRequestedSyncId } from './budgetContext.js';
+import { NotFoundError } from '../errors/index.js';
+import logger from '../logging/logger.js';
+
+const toTemplate = (row) => ({
+  id: row.id,
+  name: row.name,
+  amounts: JSON.parse(row.amounts),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * List the current budget's templates.
+ */
+export const listBudgetTemplates = async () => {
+  const rows = await getAllRows('SELECT * FROM budget_templates WHERE sync_id = ? ORDER BY name', [getRequestedSyncId()]);
+  return rows.map(toTemplate);
+};
+
+/**
+ * Get one of the current budget's templates.
+ *
+ * @returns {Promise<object|null>} The template, or null when not found
+ */
+export const getBudgetTemplate = async (id) => {
+  const row = await getRow('SELECT * FROM budget_templates WHERE id = ? AND sync_id = ?', [id, getRequestedSyncId()]);
+  return row ? toTemplate(row) : null;
+};
+
+/**
+ * Create a template for the current budget.
+ *
+ * @param {object} template
+ * @param {string} template.name - Display name
+ * @param {Object<string, number>} template.amounts - Category id -> amount (integer cents)
+ * @returns {Promise<object>} Created template
+ */
+export const createBudgetTemplate = async ({ name, amounts }) => {
+  const id = randomUUID();
+  await executeQuery(
+    'INSERT INTO budget_templates (id, sync_id, name, amounts) VALUES (?, ?, ?, ?)',
+    [id, getRequestedSyncId(), name, JSON.stringify(amounts)]
+  );
+  logger.info('Created budget template', { templateId: id, categoryCount: Object.keys(amounts).length });
+  return getBudgetTemplate(id);
+};
+
+/**
+ * Update a budget template. amounts replaces the stored amounts as a whole.
+ *
+ * @throws {NotFoundError} When the template doesn't exist in the current budget
+ */
+export const updateBudgetTemplate = async (id, { name, amounts }) => {
+  const updates = [];
+  const values = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    values.push(name);
+  }
+  if (amounts !== undefined) {
+    updates.push('amounts = ?');
+    values.push(JSON.stringify(amounts));
+  }
+  updates.push('updated_at = CURRENT_TIMESTAMP');
+  values.push(id, getRequestedSyncId());
+
+  const result = await executeQuery(`
+    UPDATE budget_templates
+    SET ${updates.join(', ')}
+    WHERE id = ? AND sync_id = ?
+  `, values);
+  if (result.changes === 0) {
+    throw new NotFoundError('Budget template', { id });
+  }
+
+  logger.info('Updated budget template', { templateId: id });
+  return getBudgetTemplate(id);
+};
+
+/**
+ * Delete a budget template.
+ *
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export const deleteBudgetTemplate = async (id) => {
+  const result = await executeQuery('DELETE FROM budget_templates WHERE id = ? AND sync_id = ?', [id, getRequestedSyncId()]);
+  if (result.changes > 0) {
+    logger.info('Deleted budget template', { templateId: id });
+    return true;
+  }
+  return false;
+};
@@ -0,0 +1,213 @@
+/**
+ * Category goals (GET/PUT /v2/categories/:id/goals, GET /v2/budgets/:month/goals).
+ *
+ * Goals are Actual's goal templates: `#template` lines in the category notes,
+ * so goals set here show up in the Actual app and the other way round. Three
+ * kinds are understood (amounts in integer cents; templates use currency units):
+ *
+ * - monthly: `#template 150` - budget a fixed amount every month
+ * - by-date: `#template 1200 by 2025-12` - reach a balance by the given month
+ * - percentage: `#template 10% of all income` - budget a share of the month's (or last month's) income
+ *
+ * `#template-N` lines carry a priority, kept as the goal's `priority`. Other
+ * template lines (schedules, limits, repeats, `#goal`, ...) are listed as
+ * otherTemplates; setting goals replaces the goal lines only and keeps the rest
+ * of the note, other templates included.
+ */
+
+import { budgetMonthsList, budgetMonthGet, categoriesList, categoryNotes, categoryNoteUpdate } from './actualApi.js';
+import { NotFoundError } from '../errors/index.js';
+
+const isTemplateLine = (line) => /^#(template|goal)/.test(line.trim());
+
+const toCents = (units) => Math.round(Number(units) * 100);
+const toUnits = (cents) => String(cents / 100);
+
+const AMOUNT = /^\$?[\d.]+$/;
+const isAmount = (word) => AMOUNT.test(word) && Number.isFinite(Number(word.replace('$', '')));
+
+const parseGoalWords = (words) => {
+  const [first, second, ...rest] = words;
+
+  if (words.length === 1 && isAmount(first)) {
+    return { type: 'monthly', amount: toCents(first.replace('$', '')) };
+  }
+  if (words.length === 3 && isAmount(first) && second === 'by' && /^\d{4}-\d{2}$/.test(rest[0])) {
+    return { type: 'by-date', amount: toCents(first.replace('$', '')), month: rest[0] };
+  }
+  if (words.length >= 3 && first.endsWith('%') && isAmount(first.slice(0, -1)) && second === 'of') {
+    const previous = rest[0] === 'previous' && rest.length > 1;
+    return {
+      type: 'percentage',
+      percent: Number(first.slice(0, -1)),
+      of: (previous ? rest.slice(1) : rest).join(' '),
+      previous,
+    };
+  }
+  return null;
+};
+
+const parseGoal = (line) => {
+  const [directive, ...words] = line.split(/\s+/);
+  // #template, or #template-<priority>
+  const priority = /^#template-(\d+)$/.exec(directive)?.[1];
+  if (directive !== '#template' && priority === undefined) return null;
+  const goal = parseGoalWords(words);
+  return goal && priority !== undefined ? { ...goal, priority: Number(priority) } : goal;
+};
+
+const formatGoal = (goal) => {
+  const directive = goal.priority === undefined ? '#template' : `#template-${goal.priority}`;
+  if (goal.type === 'monthly') return `${directive} ${toUnits(goal.amount)}`;
+  if (goal.type === 'by-date') return `${directive} ${toUnits(goal.amount)} by ${goal.month}`;
+  return `${directive} ${goal.percent}% of ${goal.previous ? 'previous ' : ''}${goal.of}`;
+};
+
+/**
+ * Goals in a category note.
+ *
+ * @param {string} note
+ * @returns {{goals: object[], otherTemplates: string[]}}
+ */
+export const parseGoals = (note) => {
+  const goals = [];
+  const otherTemplates = [];
+  for (const line of note.split('\n').map(text => text.trim()).filter(isTemplateLine)) {
+    const goal = parseGoal(line);
+    if (goal) goals.push(goal);
+    else otherTemplates.push(line);
+  }
+  return { goals, otherTemplates };
+};
+
+/**
+ * A category's goals.
+ *
+ * @param {string} categoryId
+ * @returns {Promise<{categoryId: string, goals: object[], otherTemplates: string[]}>}
+ * @throws {NotFoundError} When the category doesn't exist
+ */
+export const getCategoryGoals = async (categoryId) => {
+  const categories = await categoriesList();
+  if (!categories.some(category => category.id === categoryId)) {
+    throw new NotFoundError('Category', { id: categoryId });
+  }
+  const notes = await categoryNotes([categoryId]);
+  return { categoryId, ...parseGoals(notes.get(categoryId) ?? '') };
+};
+
+/**
+ * Replace a category's goals (an empty list removes them). The note's other
+ * text, other template lines included, is kept.
+ *
+ * @param {string} categoryId
+ * @param {object[]} goals - See SetCategoryGoalsSchema
+ * @returns {Promise<{categoryId: string, goals: object[], otherTemplates: string[]}>}
+ * @throws {NotFoundError} When the category doesn't exist
+ */
+export const setCategoryGoals = async (categoryId, goals) => {
+  const note = await categoryNoteUpdate(categoryId, (current) => {
+    const text = current.split('\n').filter(line => !parseGoal(line.trim()));
+    while (text.length > 0 && text.at(-1).trim() === '') text.pop();
+    return [...text, ...goals.map(formatGoal)].join('\n');
+  });
+  return { categoryId, ...parseGoals(note) };
+};
+
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+const previousMonth = (month) => {
+  const shifted = new Date(`${month}-01T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() - 1);
+  return shifted.toISOString().slice(0, 7);
+};
+
+// Income a percentage goal is based on; null when the income category doesn't exist
+const incomeFor = (budgetMonth, of) => {
+  const name = of.toLowerCase();
+  if (name === 'all income') return budgetMonth.totalIncome;
+  if (name === 'available funds') return budgetMonth.incomeAvailable;
+  const category = budgetMonth.categoryGroups
+    .filter(group => group.is_income)
+    .flatMap(group => group.categories)
+    .find(income => income.name.toLowerCase() === name);
+  return category ? category.received : null;
+};
+
+/**
+ * What a goal asks to be budgeted in a month. A by-date goal spreads what's
+ * still missing from the balance carried in over the months left (after the
+ * target month, all of it is due at once).
+ */
+const goalTarget = (goal, { month, carryIn, budgetMonth, previous }) => {
+  if (goal.type === 'monthly') return goal.amount;
+  if (goal.type === 'by-date') {
+    const monthsLeft = Math.max(1, monthsBetween(month, goal.month) + 1);
+    return Math.max(0, Math.ceil((goal.amount - carryIn) / monthsLeft));
+  }
+  const source = goal.previous ? previous : budgetMonth;
+  const income = source ? incomeFor(source, goal.of) : 0;
+  return income === null ? null : Math.round(Math.max(0, income) * goal.percent / 100);
+};
+
+/**
+ * Progress toward every category goal in a month.
+ *
+ * A category is behind when less is budgeted than its goals ask for
+ * (`remaining` > 0). Percentage goals whose income category doesn't exist
+ * have a null target and don't count.
+ *
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {Promise<object>} { month, behind, categories: [{categoryId, name, groupName, budgeted, balance, target, remaining, status, goals}] }
+ * @throws {NotFoundError} When the month isn't in the budget
+ */
+export const budgetMonthGoals = async (month) => {
+  const months = await budgetMonthsList();
+  if (!months.includes(month)) {
+    throw new NotFoundError('Budget month', { month });
+  }
+  const budgetMonth = await budgetMonthGet(month);
+  const notes = await categoryNotes();
+
+  const withGoals = budgetMonth.categoryGroups
+    .filter(group => !group.is_income)
+    .flatMap(group => group.categories.map(category => ({
+      group,
+      category,
+      goals: parseGoals(notes.get(category.id) ?? '').goals,
+    })))
+    .filter(({ goals }) => goals.length > 0);
+
+  const needsPrevious = withGoals.some(({ goals }) => goals.some(goal => goal.previous));
+  const previous = needsPrevious && months.includes(previousMonth(month))
+    ? await budgetMonthGet(previousMonth(month))
+    : null;
+
+  const categories = withGoals.map(({ group, category, goals }) => {
+    const carryIn = category.balance - category.budgeted - category.spent;
+    const targets = goals.map(goal => ({ ...goal, target: goalTarget(goal, { month, carryIn, budgetMonth, previous }) }));
+    const target = targets.reduce((total, goal) => total + (goal.target ?? 0), 0);
+    const remaining = Math.max(0, target - category.budgeted);
+    return {
+      categoryId: category.id,
+      name: category.name,
+      groupName: group.name,
+      budgeted: category.budgeted,
+      balance: category.balance,
+      target,
+      remaining,
+      status: remaining > 0 ? 'behind' : 'met',
+      goals: targets,
+    };
+  });
+
+  return {
+    month,
+    behind: categories.filter(category => category.status === 'behind').length,
+    categories,
+  };
+};
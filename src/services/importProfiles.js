@@ -0,0 +1,139 @@
+/**
+ * Saved bank file import profiles (/v2/import-profiles).
+ *
+ * A profile stores the import settings for one account's bank export (CSV
+ * column mapping, date format, delimiter, decimal separator, ...) so the file
+ * import endpoint only needs a profile id. Profiles live in the auth database
+ * next to users and clients, one set per budget (their account ids belong to
+ * it); settings are stored as JSON.
+ */
+
+import { randomUUID } from 'crypto';
+import { executeQuery, getRow, getAllRows } from '../db/authDb.js';
+import { getRequestedSyncId } from './budgetContext.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import logger from '../logging/logger.js';
+
+const toProfile = (row) => ({
+  id: row.id,
+  name: row.name,
+  accountId: row.account_id,
+  settings: JSON.parse(row.settings),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * List the current budget's import profiles, optionally for one account.
+ */
+export const listImportProfiles = async (accountId = undefined) => {
+  const syncId = getRequestedSyncId();
+  const rows = accountId
+    ? await getAllRows('SELECT * FROM import_profiles WHERE sync_id = ? AND account_id = ? ORDER BY name', [syncId, accountId])
+    : await getAllRows('SELECT * FROM import_profiles WHERE sync_id = ? ORDER BY name', [syncId]);
+  return rows.map(toProfile);
+};
+
+/**
+ * Get one of the current budget's import profiles.
+ *
+ * @returns {Promise<object|null>} The profile, or null when not found
+ */
+export const getImportProfile = async (id) => {
+  const row = await getRow('SELECT * FROM import_profiles WHERE id = ? AND sync_id = ?', [id, getRequestedSyncId()]);
+  return row ? toProfile(row) : null;
+};
+
+/**
+ * Create an import profile for the current budget.
+ *
+ * @param {object} profile
+ * @param {string} profile.name - Display name
+ * @param {string} profile.accountId - Account the profile imports into
+ * @param {object} profile.settings - Import settings (see ImportProfileSettingsSchema)
+ * @returns {Promise<object>} Created profile
+ */
+export const createImportProfile = async ({ name, accountId, settings }) => {
+  const id = randomUUID();
+  await executeQuery(
+    'INSERT INTO import_profiles (id, sync_id, name, account_id, settings) VALUES (?, ?, ?, ?, ?)',
+    [id, getRequestedSyncId(), name, accountId, JSON.stringify(settings)]
+  );
+  logger.info('Created import profile', { profileId: id, accountId });
+  return getImportProfile(id);
+};
+
+/**
+ * Update an import profile. settings replaces the stored settings as a whole.
+ *
+ * @throws {NotFoundError} When the profile doesn't exist in the current budget
+ */
+export const updateImportProfile = async (id, { name, accountId, settings }) => {
+  const updates = [];
+  const values = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    values.push(name);
+  }
+  if (accountId !== undefined) {
+    updates.push('account_id = ?');
+    values.push(accountId);
+  }
+  if (settings !== undefined) {
+    updates.push('settings = ?');
+    values.push(JSON.stringify(settings));
+  }
+  updates.push('updated_at = CURRENT_TIMESTAMP');
+  values.push(id, getRequestedSyncId());
+
+  const result = await executeQuery(`
+    UPDATE import_profiles
+    SET ${updates.join(', ')}
+    WHERE id = ? AND sync_id = ?
+  `, values);
+  if (result.changes === 0) {
+    throw new NotFoundError('Import profile', { id });
+  }
+
+  logger.info('Updated import profile', { profileId: id });
+  return getImportProfile(id);
+};
+
+/**
+ * Delete an import profile.
+ *
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export const deleteImportProfile = async (id) => {
+  const result = await executeQuery('DELETE FROM import_profiles WHERE id = ? AND sync_id = ?', [id, getRequestedSyncId()]);
+  if (result.changes > 0) {
+    logger.info('Deleted import profile', { profileId: id });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Settings for a file import: the profile's settings, with any setting given in
+ * the request taking precedence.
+ *
+ * @param {string} profileId - Profile to start from
+ * @param {string} accountId - Account being imported into (must match the profile)
+ * @param {object} overrides - Settings from the request (undefined values are ignored)
+ * @throws {NotFoundError} When the profile doesn't exist in the current budget
+ * @throws {ValidationError} When the profile belongs to another account
+ */
+export const resolveImportSettings = async (profileId, accountId, overrides) => {
+  const profile = await getImportProfile(profileId);
+  if (!profile) {
+    throw new NotFoundError('Import profile', { id: profileId });
+  }
+  if (profile.accountId !== accountId) {
+    throw new ValidationError('Import profile belongs to another account', 'profileId', {
+      profileAccountId: profile.accountId
+    });
+  }
+  const given = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  return { ...profile.settings, ...given };
+};
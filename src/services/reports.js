@@ -0,0 +1,287 @@
+/**
+ * Reports computed from budget data, so clients don't have to rebuild them from
+ * raw transactions:
+ *
+ * - balance history: running balance of an account per day, week or month
+ * - net worth history: the same over all accounts, split on-budget / off-budget
+ * - net worth report: assets and liabilities at the end of each month
+ * - cash flow report: income and expenses per month
+ * - spending report: spending of a month per category, category group or payee,
+ *   next to the month before and the same month a year earlier
+ *
+ * Amounts are integer cents. Weeks run Monday to Sunday; the first and last
+ * period of a range may be partial.
+ */
+
+import { accountBalanceChanges, transactionCashFlow, runActualQuery } from './actualApi.js';
+import { ValidationError } from '../errors/index.js';
+
+const MAX_REPORT_PERIODS = 1000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+const currentMonth = () => today().slice(0, 7);
+
+const addMonths = (month, months) => {
+  const shifted = new Date(`${month}-01T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  return shifted.toISOString().slice(0, 7);
+};
+
+const addDays = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+// Last day of the week (Sunday) or month containing date
+const periodEnd = (date, interval) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  if (interval === 'week') day.setUTCDate(day.getUTCDate() + (7 - day.getUTCDay()) % 7);
+  if (interval === 'month') day.setUTCMonth(day.getUTCMonth() + 1, 0);
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Split start..end into days, weeks or months.
+ *
+ * @returns {Array<{start: string, end: string}>}
+ * @throws {ValidationError} When start is after end, or the range has too many periods
+ */
+const reportPeriods = (start, end, interval) => {
+  if (start > end) {
+    throw new ValidationError('start must not be after end', 'start');
+  }
+  const periods = [];
+  for (let periodStart = start; periodStart <= end;) {
+    if (periods.length === MAX_REPORT_PERIODS) {
+      throw new ValidationError(
+        `Range has more than ${MAX_REPORT_PERIODS} periods; use a longer interval or a shorter range`,
+        'interval',
+        { limit: MAX_REPORT_PERIODS }
+      );
+    }
+    const last = periodEnd(periodStart, interval);
+    const periodLast = last < end ? last : end;
+    periods.push({ start: periodStart, end: periodLast });
+    periodStart = addDays(periodLast, 1);
+  }
+  return periods;
+};
+
+// Walk date-sorted changes once: each call returns the changes up to date not returned before
+const changesUpTo = (changes) => {
+  const remaining = [...changes].reverse();
+  return function* (date) {
+    while (remaining.length > 0 && remaining.at(-1).date <= date) yield remaining.pop();
+  };
+};
+
+/**
+ * Balance of every account at the end of each period.
+ *
+ * @returns {Array<Map<string, number>>} Balances by account id, one map per period
+ */
+const periodBalances = (periods, opening, changes) => {
+  const balances = new Map(opening);
+  const pending = changesUpTo(changes);
+  return periods.map(period => {
+    for (const change of pending(period.end)) {
+      balances.set(change.account, (balances.get(change.account) ?? 0) + change.amount);
+    }
+    return new Map(balances);
+  });
+};
+
+const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+/**
+ * Resolve a month range (YYYY-MM) to days, defaulting to the twelve months up to this one.
+ *
+ * @returns {{start: string, end: string, periods: Array<{start: string, end: string}>}}
+ */
+const monthRange = ({ start, end }) => {
+  const lastMonth = end || currentMonth();
+  const firstMonth = start || addMonths(lastMonth, -11);
+  if (firstMonth > lastMonth) {
+    throw new ValidationError('start must not be after end', 'start');
+  }
+  const periods = reportPeriods(`${firstMonth}-01`, periodEnd(`${lastMonth}-01`, 'month'), 'month');
+  return { start: periods[0].start, end: periods.at(-1).end, periods };
+};
+
+/**
+ * Running balance of one account at the end of each period.
+ *
+ * @param {string} accountId
+ * @param {object} range
+ * @param {string} range.start - First day (YYYY-MM-DD)
+ * @param {string} [range.end] - Last day (default: today)
+ * @param {'day'|'week'|'month'} [range.interval='month']
+ * @returns {Promise<Array<{date: string, balance: number}>>} One point per period, dated its last day
+ * @throws {NotFoundError} When the account doesn't exist
+ */
+export const balanceHistory = async (accountId, { start, end = today(), interval = 'month' }) => {
+  const periods = reportPeriods(start, end, interval);
+  const { opening, changes } = await accountBalanceChanges({ start, end, accountIds: [accountId] });
+
+  return periodBalances(periods, opening, changes).map((balances, index) => ({
+    date: periods.at(index).end,
+    balance: balances.get(accountId) ?? 0,
+  }));
+};
+
+/**
+ * Net worth (sum of all account balances, closed accounts included) at the end
+ * of each period, split into on-budget and off-budget accounts.
+ *
+ * @param {object} range - See balanceHistory
+ * @returns {Promise<Array<{date: string, onBudget: number, offBudget: number, total: number}>>}
+ */
+export const netWorthHistory = async ({ start, end = today(), interval = 'month' }) => {
+  const periods = reportPeriods(start, end, interval);
+  const { accounts, opening, changes } = await accountBalanceChanges({ start, end });
+  const offBudgetIds = new Set(accounts.filter(account => account.offbudget).map(account => account.id));
+
+  return periodBalances(periods, opening, changes).map((balances, index) => {
+    const entries = [...balances];
+    const onBudget = sum(entries.filter(([account]) => !offBudgetIds.has(account)).map(([, amount]) => amount));
+    const offBudget = sum(entries.filter(([account]) => offBudgetIds.has(account)).map(([, amount]) => amount));
+    return { date: periods.at(index).end, onBudget, offBudget, total: onBudget + offBudget };
+  });
+};
+
+/**
+ * Assets (accounts with a positive balance) and liabilities (negative balances)
+ * at the end of each month, as in Actual's net worth report.
+ *
+ * @param {object} [options]
+ * @param {string} [options.start] - First month (YYYY-MM, default: eleven months before end)
+ * @param {string} [options.end] - Last month (YYYY-MM, default: this month)
+ * @param {string[]} [options.accountIds] - Only these accounts (default: all, closed ones included)
+ * @returns {Promise<{start: string, end: string, months: Array<{month: string, assets: number, liabilities: number, netWorth: number}>}>}
+ * @throws {NotFoundError} When one of accountIds doesn't exist
+ */
+export const netWorthReport = async ({ start, end, accountIds } = {}) => {
+  const range = monthRange({ start, end });
+  const { opening, changes } = await accountBalanceChanges({ start: range.start, end: range.end, accountIds });
+
+  const months = periodBalances(range.periods, opening, changes).map((balances, index) => {
+    const amounts = [...balances.values()];
+    const assets = sum(amounts.filter(amount => amount > 0));
+    const liabilities = sum(amounts.filter(amount => amount < 0));
+    return { month: range.periods.at(index).start.slice(0, 7), assets, liabilities, netWorth: assets + liabilities };
+  });
+  return { start: range.start, end: range.end, months };
+};
+
+/**
+ * Income and expenses per month, as in Actual's cash flow report (on-budget
+ * accounts, transfers between them left out). Expenses are negative.
+ *
+ * @param {object} [options]
+ * @param {string} [options.start] - First month (YYYY-MM, default: eleven months before end)
+ * @param {string} [options.end] - Last month (YYYY-MM, default: this month)
+ * @param {string[]} [options.accountIds] - Only these accounts (off-budget ones included)
+ * @param {string[]} [options.categoryGroupIds] - Only transactions in these category groups
+ * @returns {Promise<object>} { start, end, months: [{ month, income, expenses, net }], totals: { income, expenses, net } }
+ */
+export const cashFlowReport = async ({ start, end, accountIds, categoryGroupIds } = {}) => {
+  const range = monthRange({ start, end });
+  const { income, expenses } = await transactionCashFlow({ start: range.start, end: range.end, accountIds, categoryGroupIds });
+
+  const monthTotal = (days, month) => sum(days.filter(day => day.date.startsWith(month)).map(day => day.amount));
+  const months = range.periods.map(period => {
+    const month = period.start.slice(0, 7);
+    const monthIncome = monthTotal(income, month);
+    const monthExpenses = monthTotal(expenses, month);
+    return { month, income: monthIncome, expenses: monthExpenses, net: monthIncome + monthExpenses };
+  });
+  const totals = {
+    income: sum(months.map(month => month.income)),
+    expenses: sum(months.map(month => month.expenses)),
+  };
+  return { start: range.start, end: range.end, months, totals: { ...totals, net: totals.income + totals.expenses } };
+};
+
+// What a spending report groups by: the transaction field, and where the names come from
+const SPENDING_GROUPINGS = {
+  category: { field: 'category', table: 'categories', unassigned: 'Uncategorized' },
+  category_group: { field: 'category.group', table: 'category_groups', unassigned: 'Uncategorized' },
+  payee: { field: 'payee', table: 'payees', unassigned: 'No payee' },
+};
+
+/**
+ * Spending per group in one month: expenses minus refunds in non-income
+ * categories (and uncategorized), on-budget accounts, transfers between
+ * on-budget accounts left out. Positive numbers are money spent.
+ *
+ * @returns {Promise<Map<string|null, number>>} Spending by group id (null: no category / payee)
+ */
+const monthSpending = async (month, grouping, accountIds) => {
+  const rows = await runActualQuery({
+    table: 'transactions',
+    filter: {
+      $and: [
+        { date: { $gte: `${month}-01`, $lte: periodEnd(`${month}-01`, 'month') } },
+        accountIds ? { account: { $oneof: accountIds } } : { 'account.offbudget': false },
+        { $or: [{ 'payee.transfer_acct': null }, { 'payee.transfer_acct.offbudget': true }] },
+        { $or: [{ category: null }, { 'category.is_income': false }] },
+      ],
+    },
+    groupBy: [grouping.field],
+    select: [{ key: `$${grouping.field}` }, { amount: { $sum: '$amount' } }],
+  });
+  return new Map(rows.map(row => [row.key ?? null, -row.amount]));
+};
+
+/**
+ * Spending of a month grouped by category, category group or payee, with the
+ * previous month and the same month last year for comparison. The top `limit`
+ * groups (by spending this month) are listed; the rest are summed up in `other`.
+ *
+ * @param {object} [options]
+ * @param {string} [options.month] - Month (YYYY-MM, default: this month)
+ * @param {'category'|'category_group'|'payee'} [options.groupBy='category']
+ * @param {number} [options.limit=10] - Groups to list
+ * @param {string[]} [options.accountIds] - Only these accounts (off-budget ones included)
+ * @returns {Promise<object>} { month, previousMonth, previousYear, groupBy, items, other, total }
+ *   items: [{ id, name, amount, previousMonth, previousYear }]
+ */
+export const spendingReport = async ({ month = currentMonth(), groupBy = 'category', limit = 10, accountIds } = {}) => {
+  // Safe: groupBy is validated against the SPENDING_GROUPINGS keys
+  // eslint-disable-next-line security/detect-object-injection
+  const grouping = SPENDING_GROUPINGS[groupBy];
+  const months = { month, previousMonth: addMonths(month, -1), previousYear: addMonths(month, -12) };
+
+  const current = await monthSpending(months.month, grouping, accountIds);
+  const previousMonth = await monthSpending(months.previousMonth, grouping, accountIds);
+  const previousYear = await monthSpending(months.previousYear, grouping, accountIds);
+  const names = new Map(
+    (await runActualQuery({ table: grouping.table, select: ['id', 'name'] })).map(row => [row.id, row.name])
+  );
+
+  // Groups spent on in any of the months, biggest spending this month first
+  const ids = [...new Set([...current.keys(), ...previousMonth.keys(), ...previousYear.keys()])];
+  const items = ids
+    .map(id => ({
+      id,
+      name: id === null ? grouping.unassigned : names.get(id) ?? null,
+      amount: current.get(id) ?? 0,
+      previousMonth: previousMonth.get(id) ?? 0,
+      previousYear: previousYear.get(id) ?? 0,
+    }))
+    .sort((a, b) => b.amount - a.amount || b.previousMonth - a.previousMonth);
+
+  const totalOf = (list) => ({
+    amount: sum(list.map(item => item.amount)),
+    previousMonth: sum(list.map(item => item.previousMonth)),
+    previousYear: sum(list.map(item => item.previousYear)),
+  });
+  return {
+    ...months,
+    groupBy,
+    items: items.slice(0, limit),
+    other: totalOf(items.slice(limit)),
+    total: totalOf(items),
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * Background sync loop.
+ *
+ * Every ACTUAL_SYNC_INTERVAL_MS, syncs each downloaded budget that hasn't synced
+ * within the last interval, so reads served from the local cache stay within the
+ * staleness window (ACTUAL_SYNC_STALENESS_MS). Syncs go through the work queue like
+ * any other operation. Failures are logged; the next read that finds the budget
+ * stale syncs on its own.
+ */
+
+import { ACTUAL_SYNC_INTERVAL_MS } from '../config/index.js';
+import { budgetSync, getLastSyncAt, getLoadedBudgets } from './actualApi.js';
+import { runInBudget } from './budgetContext.js';
+import logger from '../logging/logger.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Sync every downloaded budget whose last sync is older than the interval.
+ * Exported for tests; normally called by the timer.
+ */
+export const runSyncCycle = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const syncId of getLoadedBudgets().loaded) {
+      const lastSyncAt = getLastSyncAt(syncId);
+      if (lastSyncAt && Date.now() - lastSyncAt.getTime() < ACTUAL_SYNC_INTERVAL_MS) continue;
+
+      try {
+        await runInBudget(syncId, () => budgetSync());
+        logger.debug('[Sync] Background sync completed', { syncId });
+      } catch (error) {
+        logger.warn('[Sync] Background sync failed', { syncId, error: error.message });
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the background sync loop (no-op when ACTUAL_SYNC_INTERVAL_MS is 0).
+ */
+export const startSyncScheduler = () => {
+  if (timer || ACTUAL_SYNC_INTERVAL_MS === 0) return;
+
+  timer = setInterval(runSyncCycle, ACTUAL_SYNC_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for syncing
+  logger.info('Background sync started', { intervalMs: ACTUAL_SYNC_INTERVAL_MS });
+};
+
+/**
+ * Stop the background sync loop.
+ */
+export const stopSyncScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
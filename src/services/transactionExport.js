@@ -0,0 +1,142 @@
+/**
+ * Transaction export (GET /v2/transactions/export, GET /v2/accounts/:accountId/transactions/export).
+ *
+ * Formats the pages from transactionsExport as CSV, OFX or JSON Lines and hands
+ * them out chunk by chunk, so the response can be streamed:
+ *
+ * - csv: one row per transaction (split lines instead of their parent), amounts in currency units
+ * - ofx: OFX 2.2 bank statement per account, amounts in currency units
+ * - jsonl: one transaction per line as the API returns them (integer amounts, names resolved)
+ */
+
+import { transactionsExport } from './actualApi.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+};
+
+const CSV_COLUMNS = [
+  'date', 'account', 'payee', 'category', 'amount', 'notes', 'cleared', 'reconciled', 'id', 'parent_id', 'imported_id',
+];
+
+// Text starting with these is run as a formula by spreadsheet apps (plain numbers are fine)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatAmount = (amount) => (amount / 100).toFixed(2);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+  const text = FORMULA_PREFIX.test(value) && !Number.isFinite(Number(value)) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (transaction) => [
+  transaction.date,
+  transaction.account_name,
+  transaction.payee_name,
+  transaction.category_name,
+  formatAmount(transaction.amount),
+  transaction.notes,
+  !!transaction.cleared,
+  !!transaction.reconciled,
+  transaction.id,
+  transaction.parent_id,
+  transaction.imported_id,
+].map(csvCell).join(',');
+
+const xmlText = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const ofxDate = (date) => date.replace(/-/g, '');
+
+const lines = (...items) => items.filter(item => item !== null).map(item => `${item}\n`).join('');
+
+const ofxHeader = (dtServer) => lines(
+  '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+  '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+  '<OFX>',
+  '<SIGNONMSGSRSV1><SONRS>',
+  '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+  `<DTSERVER>${dtServer}</DTSERVER>`,
+  '<LANGUAGE>ENG</LANGUAGE>',
+  '</SONRS></SIGNONMSGSRSV1>',
+  '<BANKMSGSRSV1>'
+);
+
+const ofxStatementStart = (account, { dtStart, dtEnd, currency }) => lines(
+  '<STMTTRNRS>',
+  '<TRNUID>0</TRNUID>',
+  '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+  '<STMTRS>',
+  `<CURDEF>${currency}</CURDEF>`,
+  '<BANKACCTFROM>',
+  '<BANKID>ACTUAL</BANKID>',
+  `<ACCTID>${xmlText(account.id)}</ACCTID>`,
+  '<ACCTTYPE>CHECKING</ACCTTYPE>',
+  '</BANKACCTFROM>',
+  '<BANKTRANLIST>',
+  `<DTSTART>${dtStart}</DTSTART>`,
+  `<DTEND>${dtEnd}</DTEND>`
+);
+
+const ofxTransaction = (transaction) => lines(
+  '<STMTTRN>',
+  `<TRNTYPE>${transaction.amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+  `<DTPOSTED>${ofxDate(transaction.date)}</DTPOSTED>`,
+  `<TRNAMT>${formatAmount(transaction.amount)}</TRNAMT>`,
+  `<FITID>${xmlText(transaction.imported_id || transaction.id)}</FITID>`,
+  // NAME is limited to 32 characters
+  transaction.payee_name ? `<NAME>${xmlText(transaction.payee_name.slice(0, 32))}</NAME>` : null,
+  transaction.notes ? `<MEMO>${xmlText(transaction.notes)}</MEMO>` : null,
+  '</STMTTRN>'
+);
+
+const OFX_STATEMENT_END = lines('</BANKTRANLIST>', '</STMTRS>', '</STMTTRNRS>');
+const OFX_END = lines('</BANKMSGSRSV1>', '</OFX>');
+
+/**
+ * Export transactions as text chunks in the given format. Nothing is produced
+ * before the first page is loaded, so lookup errors come before the first chunk.
+ *
+ * @param {'csv'|'ofx'|'jsonl'} format
+ * @param {object} filters - See transactionsExport
+ * @param {object} [options]
+ * @param {string} [options.currency='USD'] - OFX currency (CURDEF); budgets don't record one
+ * @yields {string}
+ * @throws {NotFoundError} When filters.accountId doesn't exist
+ */
+export const exportTransactions = async function* (format, filters = {}, { currency = 'USD' } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  let header;
+  let footer = '';
+  if (format === 'csv') header = lines(CSV_COLUMNS.join(','));
+  if (format === 'ofx') header = ofxHeader(ofxDate(today));
+
+  // OFX statements open with an account's first page (DTSTART may need its first date)
+  // and close when the next account starts
+  let current = null;
+  for await (const { account, transactions } of transactionsExport(filters)) {
+    let chunk = header ?? '';
+    header = '';
+    if (format === 'ofx' && account !== current) {
+      chunk += footer + ofxStatementStart(account, {
+        dtStart: ofxDate(filters.start || transactions[0]?.date || today),
+        dtEnd: ofxDate(filters.end || today),
+        currency,
+      });
+      footer = OFX_STATEMENT_END;
+      current = account;
+    }
+    if (format === 'csv') chunk += transactions.map(t => lines(csvRow(t))).join('');
+    if (format === 'ofx') chunk += transactions.map(ofxTransaction).join('');
+    if (format === 'jsonl') chunk += transactions.map(t => lines(JSON.stringify(t))).join('');
+    if (chunk) yield chunk;
+  }
+  if (format === 'ofx') yield (header ?? '') + footer + OFX_END;
+  else if (header) yield header;
+};
@@ -0,0 +1,118 @@
+/**
+ * Transaction filtering, sorting and cursor pagination.
+ *
+ * Builds ActualQL filters from list parameters so filtering happens in the
+ * budget database instead of loading whole date ranges into memory.
+ *
+ * Pagination is keyset based: the cursor holds the sort value and id of the last
+ * transaction on the page, and the next page starts strictly after it. Cursors
+ * are opaque to clients (base64url JSON) and only valid for the sort they were
+ * issued with.
+ */
+
+import { ValidationError } from '../errors/index.js';
+
+export const TRANSACTION_SORT_FIELDS = ['date', 'amount'];
+
+// Actual's $like treats % and ? as wildcards and has no escape for them
+const LIKE_WILDCARDS = /[%?]/;
+
+// Regex source matching text literally, ignoring case
+const caseInsensitiveLiteral = (text) => [...text].map((char) => {
+  const lower = char.toLowerCase();
+  const upper = char.toUpperCase();
+  if (lower !== upper && lower.length === 1 && upper.length === 1) return `[${lower}${upper}]`;
+  return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}).join('');
+
+/**
+ * Filter for notes containing text. Searches with a LIKE wildcard match them
+ * literally through a regular expression (which, unlike $like, doesn't ignore accents).
+ */
+const notesFilter = (notes) => (LIKE_WILDCARDS.test(notes)
+  ? { notes: { $regexp: caseInsensitiveLiteral(notes) } }
+  : { notes: { $like: `%${notes}%` } });
+
+/**
+ * Build an ActualQL filter for a transaction list.
+ *
+ * @param {object} filters
+ * @param {string} [filters.accountId] - Account id
+ * @param {string} [filters.start] - First date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.end] - Last date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.payee] - Payee id
+ * @param {string} [filters.category] - Category id
+ * @param {number} [filters.minAmount] - Minimum amount (integer cents, inclusive)
+ * @param {number} [filters.maxAmount] - Maximum amount (integer cents, inclusive)
+ * @param {boolean} [filters.cleared] - Cleared state
+ * @param {boolean} [filters.reconciled] - Reconciled state
+ * @param {string} [filters.notes] - Text the notes must contain
+ * @param {boolean} [filters.includeOffBudget] - false to skip transactions in off-budget accounts
+ * @param {boolean} [filters.includeClosed] - false to skip transactions in closed accounts
+ * @returns {object} ActualQL filter
+ */
+export const buildTransactionFilter = ({
+  accountId, start, end, payee, category, minAmount, maxAmount, cleared, reconciled, notes,
+  includeOffBudget, includeClosed,
+} = {}) => ({
+  $and: [
+    accountId && { account: accountId },
+    start && { date: { $gte: start } },
+    end && { date: { $lte: end } },
+    payee && { payee },
+    category && { category },
+    minAmount !== undefined && { amount: { $gte: minAmount } },
+    maxAmount !== undefined && { amount: { $lte: maxAmount } },
+    cleared !== undefined && { cleared },
+    reconciled !== undefined && { reconciled },
+    notes && notesFilter(notes),
+    includeOffBudget === false && { 'account.offbudget': false },
+    includeClosed === false && { 'account.closed': false },
+  ].filter(Boolean),
+});
+
+/**
+ * Create the cursor pointing after a transaction.
+ */
+export const encodeCursor = (transaction, sort, order) => {
+  // Safe: sort is one of TRANSACTION_SORT_FIELDS (validated by the route)
+  // eslint-disable-next-line security/detect-object-injection
+  const payload = { sort, order, value: transaction[sort], id: transaction.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor and check it belongs to the requested sort.
+ *
+ * @throws {ValidationError} When the cursor is malformed or was issued for another sort
+ */
+export const decodeCursor = (cursor, sort, order) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('Invalid cursor', 'cursor');
+  }
+
+  if (!payload || typeof payload.id !== 'string' || payload.value === undefined) {
+    throw new ValidationError('Invalid cursor', 'cursor');
+  }
+  if (payload.sort !== sort || payload.order !== order) {
+    throw new ValidationError('Cursor was issued for a different sort order', 'cursor');
+  }
+  return payload;
+};
+
+/**
+ * ActualQL filter selecting transactions after the cursor position.
+ * Ties on the sort field are broken by id, which is also the secondary sort.
+ */
+export const cursorFilter = ({ value, id }, sort, order) => {
+  const op = order === 'asc' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sort]: { [op]: value } },
+      { $and: [{ [sort]: value }, { id: { [op]: id } }] },
+    ],
+  };
+};
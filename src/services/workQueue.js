@@ -0,0 +1,202 @@
+/**
+ * Per-budget work queue for Actual API operations.
+ *
+ * Every call into the Actual SDK goes through enqueue() so that:
+ * - operations on a budget start in the order they were queued (writes apply in order)
+ * - at most ACTUAL_QUEUE_CONCURRENCY operations run at once, all on the same budget
+ *   (the config only accepts 1: the SDK singleton can't run operations side by side)
+ * - the SDK only switches budgets once the active budget's queue has drained
+ * - callers get a 503 instead of waiting forever when the queue is full or stuck
+ *
+ * Queue depth, running operations, wait times and rejections are exported as
+ * Prometheus metrics.
+ */
+
+import { Counter, Gauge, Histogram } from 'prom-client';
+import { register } from '../middleware/metrics.js';
+import {
+  ACTUAL_QUEUE_CONCURRENCY,
+  ACTUAL_QUEUE_MAX_DEPTH,
+  ACTUAL_QUEUE_TIMEOUT_MS,
+  ACTUAL_OPERATION_TIMEOUT_MS,
+} from '../config/index.js';
+import { ServiceUnavailableError } from '../errors/index.js';
+import logger from '../logging/logger.js';
+
+const queueDepth = new Gauge({
+  name: 'actual_queue_depth',
+  help: 'Actual API operations waiting in the queue',
+  labelNames: ['budget'],
+  registers: [register],
+});
+
+const queueRunning = new Gauge({
+  name: 'actual_queue_running',
+  help: 'Actual API operations currently running',
+  labelNames: ['budget'],
+  registers: [register],
+});
+
+const queueWait = new Histogram({
+  name: 'actual_queue_wait_seconds',
+  help: 'Time Actual API operations spent waiting in the queue',
+  labelNames: ['budget'],
+  buckets: [0.001, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const queueRejected = new Counter({
+  name: 'actual_queue_rejected_total',
+  help: 'Actual API operations rejected by the queue',
+  labelNames: ['budget', 'reason'],
+  registers: [register],
+});
+
+// syncId -> { waiting: Job[], running: number }
+const queues = new Map();
+// Budget whose operations are running (null when idle)
+let activeBudget = null;
+// Monotonic enqueue counter, used to pick the oldest waiting job across budgets
+let sequence = 0;
+
+const getQueue = (syncId) => {
+  if (!queues.has(syncId)) {
+    queues.set(syncId, { waiting: [], running: 0 });
+  }
+  return queues.get(syncId);
+};
+
+const updateGauges = (syncId, queue) => {
+  queueDepth.set({ budget: syncId }, queue.waiting.length);
+  queueRunning.set({ budget: syncId }, queue.running);
+};
+
+const hasWaitingElsewhere = (syncId) => {
+  for (const [id, queue] of queues) {
+    if (id !== syncId && queue.waiting.length > 0) return true;
+  }
+  return false;
+};
+
+/**
+ * Find the budget whose next operation was queued first.
+ */
+const findOldestWaiting = () => {
+  let oldest = null;
+  for (const [syncId, queue] of queues) {
+    const head = queue.waiting[0];
+    if (head && (!oldest || head.sequence < oldest.head.sequence)) {
+      oldest = { syncId, head };
+    }
+  }
+  return oldest?.syncId || null;
+};
+
+// Declared ahead of startJob: starting and finishing jobs dispatch the next ones
+let dispatch = null;
+
+const startJob = (syncId, queue, job) => {
+  clearTimeout(job.waitTimer);
+  queue.running++;
+  activeBudget = syncId;
+  updateGauges(syncId, queue);
+  queueWait.observe({ budget: syncId }, (Date.now() - job.enqueuedAt) / 1000);
+
+  // The SDK call can't be cancelled: on timeout the caller gets an error, but the
+  // slot stays taken until the operation really finishes so ordering is preserved
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    queueRejected.inc({ budget: syncId, reason: 'operation_timeout' });
+    logger.error('[Queue] Operation timed out', { label: job.label, syncId, timeoutMs: ACTUAL_OPERATION_TIMEOUT_MS });
+    job.reject(new ServiceUnavailableError('Actual Budget operation timed out', null, { syncId, label: job.label }));
+  }, ACTUAL_OPERATION_TIMEOUT_MS);
+
+  Promise.resolve()
+    .then(job.fn)
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      clearTimeout(timer);
+      if (timedOut) {
+        logger.warn('[Queue] Timed out operation finished', { label: job.label, syncId });
+      }
+      queue.running--;
+      if (queue.running === 0 && activeBudget === syncId) {
+        activeBudget = null;
+      }
+      updateGauges(syncId, queue);
+      dispatch();
+    });
+};
+
+dispatch = () => {
+  if (activeBudget) {
+    // Let the active budget drain before switching if another budget is waiting
+    if (hasWaitingElsewhere(activeBudget)) return;
+    const queue = queues.get(activeBudget);
+    while (queue.running < ACTUAL_QUEUE_CONCURRENCY && queue.waiting.length > 0) {
+      startJob(activeBudget, queue, queue.waiting.shift());
+    }
+    return;
+  }
+
+  const syncId = findOldestWaiting();
+  if (!syncId) return;
+  const queue = queues.get(syncId);
+  while (queue.running < ACTUAL_QUEUE_CONCURRENCY && queue.waiting.length > 0) {
+    startJob(syncId, queue, queue.waiting.shift());
+  }
+};
+
+/**
+ * Queue an operation against a budget.
+ *
+ * @param {string} syncId - Budget the operation works on
+ * @param {string} label - Operation name (for logs)
+ * @param {Function} fn - Async function performing the operation
+ * @returns {Promise<*>} Resolves with fn's result
+ * @throws {ServiceUnavailableError} When the queue is full, the wait times out, or the operation times out
+ */
+export const enqueue = (syncId, label, fn) => new Promise((resolve, reject) => {
+  const queue = getQueue(syncId);
+
+  if (queue.waiting.length >= ACTUAL_QUEUE_MAX_DEPTH) {
+    queueRejected.inc({ budget: syncId, reason: 'queue_full' });
+    logger.warn('[Queue] Queue full, rejecting operation', { label, syncId, depth: queue.waiting.length });
+    reject(new ServiceUnavailableError('Too many pending Actual Budget operations. Try again later.', 5, { syncId }));
+    return;
+  }
+
+  const job = { label, fn, resolve, reject, sequence: sequence++, enqueuedAt: Date.now() };
+  job.waitTimer = setTimeout(() => {
+    const index = queue.waiting.indexOf(job);
+    if (index === -1) return;
+    queue.waiting.splice(index, 1);
+    updateGauges(syncId, queue);
+    queueRejected.inc({ budget: syncId, reason: 'wait_timeout' });
+    logger.warn('[Queue] Operation waited too long, rejecting', { label, syncId, timeoutMs: ACTUAL_QUEUE_TIMEOUT_MS });
+    reject(new ServiceUnavailableError('Timed out waiting for other Actual Budget operations. Try again later.', 5, { syncId }));
+  }, ACTUAL_QUEUE_TIMEOUT_MS);
+
+  queue.waiting.push(job);
+  updateGauges(syncId, queue);
+  dispatch();
+});
+
+/**
+ * Snapshot of queue state per budget.
+ */
+export const getQueueStats = () => {
+  const budgets = {};
+  for (const [syncId, queue] of queues) {
+    // Safe: syncId comes from the configured budget list
+    // eslint-disable-next-line security/detect-object-injection
+    budgets[syncId] = { waiting: queue.waiting.length, running: queue.running };
+  }
+  return {
+    active: activeBudget,
+    concurrency: ACTUAL_QUEUE_CONCURRENCY,
+    maxDepth: ACTUAL_QUEUE_MAX_DEPTH,
+    budgets,
+  };
+};
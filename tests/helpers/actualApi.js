@@ -0,0 +1,46 @@
+/**
+ * Mocked Actual API for service tests.
+ *
+ * mockActualApi() registers the mock as '@actual-app/api', so call it before
+ * importing the services. The requested budget (test-sync-id) opens as a local
+ * budget and syncs succeed without doing anything; tests pass the API methods
+ * they need on top.
+ */
+
+/**
+ * ActualQL query builder: records what each method was given in `state`, so an
+ * aqlQuery mock can answer from it (and tests can check the calls).
+ *
+ * @param {string} table
+ */
+export const mockQuery = (table) => {
+  const state = { table, filter: null, select: null, options: null, groupBy: null, orderBy: null, limit: null, calculate: null };
+  const builder = { state };
+  for (const method of ['filter', 'select', 'options', 'groupBy', 'orderBy', 'limit', 'calculate']) {
+    builder[method] = jest.fn((value) => {
+      state[method] = value;
+      return builder;
+    });
+  }
+  return builder;
+};
+
+/**
+ * Mock '@actual-app/api'.
+ *
+ * @param {object} [methods] - API methods the tests use (replace the defaults)
+ * @returns {object} The mocked API
+ */
+export const mockActualApi = (methods = {}) => {
+  const mockApi = {
+    init: jest.fn(async () => undefined),
+    downloadBudget: jest.fn(async () => undefined),
+    getBudgets: jest.fn(async () => [{ id: 'local-budget', groupId: 'test-sync-id' }]),
+    sync: jest.fn(async () => undefined),
+    q: jest.fn(mockQuery),
+    shutdown: jest.fn(async () => undefined),
+    ...methods,
+  };
+  jest.unstable_mockModule('@actual-app/api', () => ({ default: mockApi }));
+  return mockApi;
+};
@@ -0,0 +1,115 @@
+/**
+ * Budget selection middleware tests.
+ */
+
+import { selectBudget, requireSyncIdParam } from '../../src/middleware/budgetSelector.js';
+import { getRequestedSyncId } from '../../src/services/budgetContext.js';
+import { parseBudgetList, intersectBudgets } from '../../src/auth/permissions.js';
+import { AuthorizationError, NotFoundError } from '../../src/errors/index.js';
+
+const DEFAULT_SYNC_ID = 'test-sync-id';
+
+describe('Budget Selector', () => {
+  let req;
+  let res;
+
+  beforeEach(() => {
+    req = {
+      params: {},
+      headers: {},
+      user: { user_id: 1 },
+      ip: '127.0.0.1',
+      get(name) {
+        return this.headers[name.toLowerCase()];
+      },
+    };
+    res = {};
+  });
+
+  describe('selectBudget', () => {
+    it('should default to ACTUAL_SYNC_ID', () => {
+      let selected;
+      selectBudget(req, res, () => {
+        selected = getRequestedSyncId();
+      });
+
+      expect(req.budgetId).toBe(DEFAULT_SYNC_ID);
+      expect(selected).toBe(DEFAULT_SYNC_ID);
+    });
+
+    it('should use the X-Budget-Id header', () => {
+      req.headers['x-budget-id'] = DEFAULT_SYNC_ID;
+      const next = jest.fn();
+      selectBudget(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.budgetId).toBe(DEFAULT_SYNC_ID);
+    });
+
+    it('should reject budgets that are not configured', () => {
+      req.headers['x-budget-id'] = 'unknown-budget';
+      expect(() => selectBudget(req, res, jest.fn())).toThrow(NotFoundError);
+    });
+
+    it('should reject budgets outside the token budgets claim', () => {
+      req.user.budgets = ['another-budget'];
+      expect(() => selectBudget(req, res, jest.fn())).toThrow(AuthorizationError);
+    });
+
+    it('should reject every budget for an empty budgets claim', () => {
+      req.user.budgets = [];
+      expect(() => selectBudget(req, res, jest.fn())).toThrow(AuthorizationError);
+    });
+
+    it('should allow budgets listed in the token budgets claim', () => {
+      req.user.budgets = [DEFAULT_SYNC_ID];
+      const next = jest.fn();
+      selectBudget(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should only apply the budget inside the request context', () => {
+      selectBudget(req, res, jest.fn());
+      expect(getRequestedSyncId()).toBe(DEFAULT_SYNC_ID);
+    });
+  });
+
+  describe('requireSyncIdParam', () => {
+    it('should continue for a sync ID', () => {
+      req.params.syncId = '6f1c3c4e-3d0a-4b6e-9a43-2f7f5b1c8d10';
+      const next = jest.fn();
+      requireSyncIdParam(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should skip the router for budget months', () => {
+      req.params.syncId = '2025-01';
+      const next = jest.fn();
+      requireSyncIdParam(req, res, next);
+
+      expect(next).toHaveBeenCalledWith('router');
+    });
+  });
+
+  describe('budget restriction helpers', () => {
+    it('should parse comma-separated budget lists', () => {
+      expect(parseBudgetList('a, b,,c')).toEqual(['a', 'b', 'c']);
+      expect(parseBudgetList(['a'])).toEqual(['a']);
+    });
+
+    it('should treat empty budget lists as unrestricted', () => {
+      expect(parseBudgetList(null)).toBeNull();
+      expect(parseBudgetList('')).toBeNull();
+    });
+
+    it('should intersect budget restrictions', () => {
+      expect(intersectBudgets(null, ['a'])).toEqual(['a']);
+      expect(intersectBudgets(['a', 'b'], null)).toEqual(['a', 'b']);
+      expect(intersectBudgets(['a', 'b'], ['b', 'c'])).toEqual(['b']);
+      expect(intersectBudgets(['a'], ['c'])).toEqual([]);
+      expect(intersectBudgets(null, null)).toBeNull();
+    });
+  });
+});
@@ -2,7 +2,8 @@
  * Response helpers tests.
  */
 
-import { sendSuccess, sendCreated, throwBadRequest, throwUnauthorized, throwForbidden, throwNotFound, throwInternalError } from '../../src/middleware/responseHelpers.js';
+import { PassThrough } from 'stream';
+import { sendSuccess, sendCreated, sendDownload, throwBadRequest, throwUnauthorized, throwForbidden, throwNotFound, throwInternalError } from '../../src/middleware/responseHelpers.js';
 import { ValidationError, AuthenticationError, AuthorizationError, NotFoundError, InternalServerError } from '../../src/errors/index.js';
 
 describe('Response Helpers', () => {
@@ -94,6 +95,41 @@ describe('Response Helpers', () => {
     });
   });
 
+  describe('sendDownload', () => {
+    const download = () => {
+      const stream = Object.assign(new PassThrough(), { set: jest.fn() });
+      const received = [];
+      stream.on('data', (chunk) => received.push(chunk.toString()));
+      return { stream, received };
+    };
+
+    it('should set download headers and stream every chunk', async () => {
+      const { stream, received } = download();
+      const chunks = (async function* () {
+        yield 'a,b\n';
+        yield '1,2\n';
+      })();
+
+      await sendDownload(stream, chunks, { contentType: 'text/csv', filename: 'export.csv' });
+
+      expect(stream.set).toHaveBeenCalledWith({
+        'Content-Type': 'text/csv',
+        'Content-Disposition': 'attachment; filename="export.csv"',
+      });
+      expect(received.join('')).toBe('a,b\n1,2\n');
+    });
+
+    it('should fail before sending anything when the first chunk fails', async () => {
+      const { stream } = download();
+      const chunks = (async function* () {
+        throw new NotFoundError('Account');
+      })();
+
+      await expect(sendDownload(stream, chunks, { contentType: 'text/csv', filename: 'export.csv' })).rejects.toThrow(NotFoundError);
+      expect(stream.set).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Error throwers', () => {
     it('throwBadRequest should throw ValidationError', () => {
       expect(() => throwBadRequest('Invalid input')).toThrow(ValidationError);
@@ -21,6 +21,24 @@ import {
   UpdateClientSchema,
   ClientIdParamsSchema,
   AccountBalanceQuerySchema,
+  TransactionsListQuerySchema,
+  TransactionsSearchQuerySchema,
+  AccountTransactionSchema,
+  SetSplitsSchema,
+  CreateTransferSchema,
+  UpdateTransferSchema,
+  BulkUpdateTransactionsSchema,
+  BulkDeleteTransactionsSchema,
+  CashFlowReportQuerySchema,
+  BudgetMonthOperationSchema,
+  BudgetAverageSchema,
+  CreateBudgetTemplateSchema,
+  BudgetTransferSchema,
+  SetCategoryGoalsSchema,
+  CreateAlertRuleSchema,
+  UpdateAlertRuleSchema,
+  AlertsQuerySchema,
+  MuteAlertSchema,
 } from '../../src/middleware/validation-schemas.js';
 
 describe('Extended Validation Schemas', () => {
@@ -318,5 +336,201 @@ describe('Extended Validation Schemas', () => {
       expect(result.success).toBe(false);
     });
   });
-});
 
+  describe('TransactionsListQuerySchema', () => {
+    it('should apply default sort and parse query string values', () => {
+      const result = TransactionsListQuerySchema.safeParse({
+        min_amount: '-5000',
+        cleared: 'false',
+        limit: '50',
+      });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ min_amount: -5000, cleared: false, limit: 50, sort: 'date', order: 'desc' });
+    });
+
+    it('should reject an inverted amount range', () => {
+      const result = TransactionsListQuerySchema.safeParse({
+        min_amount: '100',
+        max_amount: '-100',
+      });
+      expect(result.success).toBe(false);
+    });
+
+    it('should reject unsupported sort fields and limits', () => {
+      expect(TransactionsListQuerySchema.safeParse({ sort: 'payee' }).success).toBe(false);
+      expect(TransactionsListQuerySchema.safeParse({ limit: '0' }).success).toBe(false);
+      expect(TransactionsListQuerySchema.safeParse({ cleared: 'yes' }).success).toBe(false);
+    });
+  });
+
+  describe('TransactionsSearchQuerySchema', () => {
+    it('should accept account scope flags alongside list filters', () => {
+      const result = TransactionsSearchQuerySchema.safeParse({
+        include_offbudget: 'true',
+        notes: 'coffee',
+        limit: '25',
+      });
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ include_offbudget: true, notes: 'coffee', limit: 25 });
+      expect(result.data.include_closed).toBeUndefined();
+    });
+
+    it('should apply the list checks', () => {
+      const result = TransactionsSearchQuerySchema.safeParse({ start: '2025-02-01', end: '2025-01-01' });
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('Split transaction schemas', () => {
+    it('should accept split lines that add up to the amount', () => {
+      const result = AccountTransactionSchema.safeParse({
+        amount: -5000,
+        subtransactions: [{ amount: -3000, category: 'cat-1' }, { amount: -2000 }],
+      });
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject split lines that do not add up', () => {
+      const result = AccountTransactionSchema.safeParse({
+        amount: -5000,
+        subtransactions: [{ amount: -3000 }],
+      });
+      expect(result.success).toBe(false);
+    });
+
+    it('should check new split lines against a new amount and reject duplicate ids', () => {
+      expect(SetSplitsSchema.safeParse({ amount: -100, subtransactions: [{ amount: -100 }] }).success).toBe(true);
+      expect(SetSplitsSchema.safeParse({ amount: -100, subtransactions: [{ amount: -50 }] }).success).toBe(false);
+      expect(SetSplitsSchema.safeParse({
+        subtransactions: [{ id: 'a', amount: -50 }, { id: 'a', amount: -50 }],
+      }).success).toBe(false);
+    });
+  });
+
+  describe('Transfer schemas', () => {
+    const transfer = { fromAccountId: 'acc-1', toAccountId: 'acc-2', amount: 2500, date: '2025-03-01' };
+
+    it('should accept a positive amount between two accounts', () => {
+      expect(CreateTransferSchema.safeParse(transfer).success).toBe(true);
+    });
+
+    it('should reject negative amounts and transfers to the same account', () => {
+      expect(CreateTransferSchema.safeParse({ ...transfer, amount: -2500 }).success).toBe(false);
+      expect(CreateTransferSchema.safeParse({ ...transfer, toAccountId: 'acc-1' }).success).toBe(false);
+      expect(UpdateTransferSchema.safeParse({ fields: { fromAccountId: 'acc-1', toAccountId: 'acc-1' } }).success).toBe(false);
+    });
+
+    it('should require at least one field to update', () => {
+      expect(UpdateTransferSchema.safeParse({ fields: {} }).success).toBe(false);
+      expect(UpdateTransferSchema.safeParse({ fields: { notes: 'x' } }).success).toBe(true);
+    });
+  });
+
+  describe('Bulk transaction schemas', () => {
+    it('should take either ids or a filter', () => {
+      expect(BulkDeleteTransactionsSchema.safeParse({ ids: ['a'] }).success).toBe(true);
+      expect(BulkDeleteTransactionsSchema.safeParse({ filter: { payee: 'p' } }).success).toBe(true);
+      expect(BulkDeleteTransactionsSchema.safeParse({}).success).toBe(false);
+      expect(BulkDeleteTransactionsSchema.safeParse({ ids: ['a'], filter: { payee: 'p' } }).success).toBe(false);
+    });
+
+    it('should reject an empty filter', () => {
+      expect(BulkDeleteTransactionsSchema.safeParse({ filter: {} }).success).toBe(false);
+    });
+
+    it('should default dryRun and require fields to update', () => {
+      const result = BulkUpdateTransactionsSchema.safeParse({ ids: ['a'], fields: { category: null } });
+      expect(result.success).toBe(true);
+      expect(result.data.dryRun).toBe(false);
+      expect(BulkUpdateTransactionsSchema.safeParse({ ids: ['a'], fields: {} }).success).toBe(false);
+    });
+  });
+
+  describe('Report query schemas', () => {
+    it('should split comma-separated id lists', () => {
+      const result = CashFlowReportQuerySchema.safeParse({ start: '2025-01', accounts: 'acc-1, acc-2', category_groups: 'grp-1' });
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ accounts: ['acc-1', 'acc-2'], category_groups: ['grp-1'] });
+      expect(CashFlowReportQuerySchema.safeParse({ accounts: ',' }).success).toBe(false);
+    });
+
+    it('should take months in order', () => {
+      expect(CashFlowReportQuerySchema.safeParse({ start: '2025-13' }).success).toBe(false);
+      expect(CashFlowReportQuerySchema.safeParse({ start: '2025-03', end: '2025-01' }).success).toBe(false);
+    });
+  });
+
+  describe('Budget month operation schemas', () => {
+    it('should accept a request without a body', () => {
+      expect(BudgetMonthOperationSchema.safeParse(undefined).data).toEqual({ dryRun: false });
+      expect(BudgetAverageSchema.safeParse(undefined).data).toEqual({ dryRun: false, months: 3 });
+    });
+
+    it('should only average over 3, 6 or 12 months', () => {
+      expect(BudgetAverageSchema.safeParse({ months: 12 }).success).toBe(true);
+      expect(BudgetAverageSchema.safeParse({ months: 4 }).success).toBe(false);
+    });
+
+    it('should require template amounts in cents by category id', () => {
+      const categoryId = '22222222-2222-4222-8222-222222222222';
+      expect(CreateBudgetTemplateSchema.safeParse({ template: { name: 'Basics', amounts: { [categoryId]: 45000 } } }).success).toBe(true);
+      expect(CreateBudgetTemplateSchema.safeParse({ template: { name: 'Basics', amounts: { [categoryId]: 450.5 } } }).success).toBe(false);
+      expect(CreateBudgetTemplateSchema.safeParse({ template: { name: 'Basics', amounts: { food: 45000 } } }).success).toBe(false);
+      expect(CreateBudgetTemplateSchema.safeParse({ template: { name: 'Basics', amounts: {} } }).success).toBe(false);
+    });
+  });
+
+  describe('BudgetTransferSchema', () => {
+    const fromCategoryId = '22222222-2222-4222-8222-222222222222';
+    const toCategoryId = '33333333-3333-4333-8333-333333333333';
+
+    it('should take a positive amount and default allowNegative', () => {
+      expect(BudgetTransferSchema.safeParse({ fromCategoryId, toCategoryId, amount: 2500 }).data.allowNegative).toBe(false);
+      expect(BudgetTransferSchema.safeParse({ fromCategoryId, toCategoryId, amount: 0 }).success).toBe(false);
+    });
+
+    it('should reject moving money to the same category', () => {
+      expect(BudgetTransferSchema.safeParse({ fromCategoryId, toCategoryId: fromCategoryId, amount: 2500 }).success).toBe(false);
+    });
+  });
+
+  describe('SetCategoryGoalsSchema', () => {
+    it('should default percentage goals to all of this month\'s income', () => {
+      const result = SetCategoryGoalsSchema.safeParse({ goals: [{ type: 'percentage', percent: 10 }] });
+      expect(result.data.goals[0]).toEqual({ type: 'percentage', percent: 10, of: 'all income', previous: false });
+    });
+
+    it('should check each goal type\'s fields', () => {
+      expect(SetCategoryGoalsSchema.safeParse({ goals: [] }).success).toBe(true);
+      expect(SetCategoryGoalsSchema.safeParse({ goals: [{ type: 'by-date', amount: 1000, month: '2025-13' }] }).success).toBe(false);
+      expect(SetCategoryGoalsSchema.safeParse({ goals: [{ type: 'monthly', amount: 10.5 }] }).success).toBe(false);
+      expect(SetCategoryGoalsSchema.safeParse({ goals: [{ type: 'percentage', percent: 10, of: 'a\n#template 1' }] }).success).toBe(false);
+      expect(SetCategoryGoalsSchema.safeParse({ goals: [{ type: 'monthly', amount: 1000, priority: -1 }] }).success).toBe(false);
+    });
+  });
+
+  describe('Alert schemas', () => {
+    const accountId = '22222222-2222-4222-8222-222222222222';
+
+    it('should check rule params by type', () => {
+      const overspent = CreateAlertRuleSchema.safeParse({ rule: { name: 'Overspending', type: 'category-overspent' } });
+      expect(overspent.data.rule).toEqual({ name: 'Overspending', type: 'category-overspent', params: {}, enabled: true });
+      expect(CreateAlertRuleSchema.safeParse({ rule: { name: 'Low', type: 'account-below', params: { accountId, threshold: -5000 } } }).success).toBe(true);
+      expect(CreateAlertRuleSchema.safeParse({ rule: { name: 'Low', type: 'account-below', params: { threshold: 5000 } } }).success).toBe(false);
+      expect(CreateAlertRuleSchema.safeParse({ rule: { name: 'Large', type: 'large-transaction', params: { threshold: 0 } } }).success).toBe(false);
+      expect(CreateAlertRuleSchema.safeParse({ rule: { name: 'Other', type: 'budget-empty', params: {} } }).success).toBe(false);
+    });
+
+    it('should require a field to update and a date-time to mute until', () => {
+      expect(UpdateAlertRuleSchema.safeParse({ fields: {} }).success).toBe(false);
+      expect(UpdateAlertRuleSchema.safeParse({ fields: { muted: false, mutedUntil: null } }).success).toBe(true);
+      expect(MuteAlertSchema.safeParse(undefined).data).toEqual({});
+      expect(MuteAlertSchema.safeParse({ until: 'tomorrow' }).success).toBe(false);
+    });
+
+    it('should default to active alerts', () => {
+      expect(AlertsQuerySchema.safeParse({}).data).toEqual({ status: 'active', limit: 100 });
+      expect(AlertsQuerySchema.safeParse({ limit: '501' }).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Alert tests (Actual API mocked; rules and alerts in the SQLite auth database
+ * under tests/data).
+ */
+
+import { mkdirSync, rmSync } from 'fs';
+import { mockActualApi } from '../helpers/actualApi.js';
+
+mkdirSync('./tests/data', { recursive: true });
+
+const month = new Date().toISOString().slice(0, 7);
+const today = new Date().toISOString().slice(0, 10);
+
+// What the mocked budget currently holds; tests change it between checks
+const state = {
+  balances: { checking: 80000, savings: 500000 },
+  categories: { food: 1000, fun: -2500 },
+  transactions: [],
+  uncategorized: 3,
+};
+
+const budgetMonth = () => ({
+  month,
+  categoryGroups: [
+    {
+      id: 'grp-life',
+      name: 'Everyday',
+      is_income: false,
+      categories: Object.entries(state.categories).map(([id, balance]) => ({
+        id: `cat-${id}`, name: id === 'food' ? 'Food' : 'Fun', budgeted: 0, spent: 0, balance,
+      })),
+    },
+  ],
+});
+
+const mockApi = mockActualApi({
+  getAccounts: jest.fn(async () => [
+    { id: 'acct-checking', name: 'Checking', offbudget: false, closed: false },
+    { id: 'acct-savings', name: 'Savings', offbudget: false, closed: false },
+  ]),
+  getAccountBalance: jest.fn(async (id) => (id === 'acct-checking' ? state.balances.checking : state.balances.savings)),
+  getBudgetMonths: jest.fn(async () => [month]),
+  getBudgetMonth: jest.fn(async () => budgetMonth()),
+  getPayees: jest.fn(async () => [{ id: 'payee-1', name: 'Landlord' }]),
+  updatePayee: jest.fn(async () => undefined),
+  // The calculate() query counts uncategorized transactions
+  aqlQuery: jest.fn(async (query) => ({ data: query.state.calculate ? state.uncategorized : state.transactions })),
+});
+
+const { shutdownActualApi, payeeUpdate } = await import('../../src/services/actualApi.js');
+const {
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  listAlertRules,
+  listAlerts,
+  evaluateAlerts,
+  acknowledgeAlert,
+  muteAlert,
+  startAlerts,
+  stopAlerts,
+} = await import('../../src/services/alerts.js');
+const { closeDb, executeQuery } = await import('../../src/db/authDb.js');
+const { NotFoundError, ValidationError } = await import('../../src/errors/index.js');
+
+// Listeners run after the synced operation returns; wait until the check is done
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 50 && !(await check()); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Alerts', () => {
+  afterEach(async () => {
+    for (const rule of await listAlertRules()) {
+      await deleteAlertRule(rule.id);
+    }
+    state.balances.checking = 80000;
+    state.categories.fun = -2500;
+    state.transactions = [];
+    state.uncategorized = 3;
+  });
+
+  afterAll(async () => {
+    stopAlerts();
+    await shutdownActualApi();
+    await closeDb();
+    rmSync('./tests/data', { recursive: true, force: true });
+  });
+
+  it('should raise one alert per overspent category and not repeat it', async () => {
+    const rule = await createAlertRule({ name: 'Overspending', type: 'category-overspent', params: {} });
+
+    const raised = await evaluateAlerts();
+    expect(raised).toHaveLength(1);
+    expect(raised[0]).toMatchObject({
+      ruleId: rule.id,
+      key: `${month}:cat-fun`,
+      status: 'active',
+      message: `Fun is overspent by 25.00 in ${month}`,
+      data: { categoryId: 'cat-fun', balance: -2500 },
+      acknowledgedAt: null,
+      resolvedAt: null,
+    });
+
+    expect(await evaluateAlerts()).toEqual([]);
+    expect(await listAlerts()).toHaveLength(1);
+  });
+
+  it('should raise an alert once when checks of a budget overlap', async () => {
+    const rule = await createAlertRule({ name: 'Overspending', type: 'category-overspent', params: {} });
+
+    const [first, second] = await Promise.all([evaluateAlerts(), evaluateAlerts()]);
+    expect([...first, ...second]).toHaveLength(1);
+    expect(await listAlerts()).toHaveLength(1);
+
+    // One open alert per rule and subject, whoever writes it
+    await expect(executeQuery(
+      "INSERT INTO alerts (id, rule_id, sync_id, alert_key, message, data) VALUES ('dup', ?, 'test-sync-id', ?, 'x', '{}')",
+      [rule.id, `${month}:cat-fun`]
+    )).rejects.toThrow();
+  });
+
+  it('should resolve an alert when its condition clears and raise a new one when it returns', async () => {
+    await createAlertRule({
+      name: 'Checking low', type: 'account-below', params: { accountId: 'acct-checking', threshold: 100000 },
+    });
+    const [first] = await evaluateAlerts();
+    expect(first.message).toBe('Checking balance 800.00 is below 1000.00');
+
+    state.balances.checking = 150000;
+    expect(await evaluateAlerts()).toEqual([]);
+    expect(await listAlerts()).toEqual([]);
+    const [resolved] = await listAlerts({ status: 'resolved' });
+    expect(resolved.id).toBe(first.id);
+    expect(resolved.resolvedAt).not.toBeNull();
+
+    state.balances.checking = 20000;
+    const [second] = await evaluateAlerts();
+    expect(second.id).not.toBe(first.id);
+    expect(await listAlerts({ status: 'all' })).toHaveLength(2);
+  });
+
+  it('should alert on large transactions either way, optionally in some accounts only', async () => {
+    state.transactions = [
+      { id: 'tx-rent', account: 'acct-checking', date: today, amount: -150000, payee: 'payee-1', notes: null },
+      { id: 'tx-small', account: 'acct-checking', date: today, amount: -9999, payee: null, notes: null },
+      { id: 'tx-bonus', account: 'acct-savings', date: today, amount: 200000, payee: null, notes: null },
+      { id: 'tx-old', account: 'acct-checking', date: '2000-01-01', amount: -500000, payee: null, notes: null },
+    ];
+    await createAlertRule({ name: 'Large', type: 'large-transaction', params: { threshold: 100000 } });
+    await createAlertRule({
+      name: 'Large in checking', type: 'large-transaction', params: { threshold: 10000, accountIds: ['acct-checking'] },
+    });
+
+    const raised = await evaluateAlerts();
+
+    expect(raised.map(alert => alert.key).sort()).toEqual(['tx-bonus', 'tx-rent', 'tx-rent']);
+    expect(raised.find(alert => alert.key === 'tx-rent').message)
+      .toBe(`Transaction of -1500.00 on ${today} at Landlord in Checking`);
+    // One query for all large-transaction rules, from the lowest threshold
+    const query = mockApi.aqlQuery.mock.calls.at(-1)[0];
+    expect(query.filter).toHaveBeenCalledWith(expect.objectContaining({
+      $or: [{ amount: { $gte: 10000 } }, { amount: { $lte: -10000 } }],
+    }));
+    // Every match, so an open alert is only resolved once its transaction no longer qualifies
+    expect(query.limit).not.toHaveBeenCalled();
+  });
+
+  it('should alert when more transactions than the threshold are uncategorized', async () => {
+    await createAlertRule({ name: 'Uncategorized', type: 'uncategorized-count', params: { threshold: 3 } });
+    expect(await evaluateAlerts()).toEqual([]);
+
+    state.uncategorized = 4;
+    const [alert] = await evaluateAlerts();
+    expect(alert).toMatchObject({ key: 'uncategorized', data: { count: 4, threshold: 3 } });
+  });
+
+  it('should keep an acknowledged alert out of the active list until it clears', async () => {
+    await createAlertRule({ name: 'Overspending', type: 'category-overspent', params: {} });
+    const [alert] = await evaluateAlerts();
+
+    const acknowledged = await acknowledgeAlert(alert.id);
+    expect(acknowledged.status).toBe('acknowledged');
+    expect(acknowledged.acknowledgedAt).not.toBeNull();
+
+    expect(await evaluateAlerts()).toEqual([]);
+    expect(await listAlerts()).toEqual([]);
+    expect(await listAlerts({ status: 'acknowledged' })).toHaveLength(1);
+    await expect(acknowledgeAlert('00000000-0000-4000-8000-000000000000')).rejects.toThrow(NotFoundError);
+  });
+
+  it('should not check a muted rule until it is unmuted or the mute expires', async () => {
+    const rule = await createAlertRule({ name: 'Overspending', type: 'category-overspent', params: {} });
+    const [alert] = await evaluateAlerts();
+
+    const muted = await muteAlert(alert.id);
+    expect(muted.rule).toMatchObject({ muted: true, mutedUntil: null });
+    expect(muted.alert.status).toBe('acknowledged');
+
+    // While muted, open alerts are left alone
+    state.categories.fun = 0;
+    await evaluateAlerts();
+    expect(await listAlerts({ status: 'acknowledged' })).toHaveLength(1);
+
+    await updateAlertRule(rule.id, { muted: false });
+    await evaluateAlerts();
+    expect(await listAlerts({ status: 'resolved' })).toHaveLength(1);
+
+    state.categories.fun = -100;
+    await updateAlertRule(rule.id, { muted: true, mutedUntil: '2000-01-01T00:00:00.000Z' });
+    expect(await evaluateAlerts()).toHaveLength(1);
+
+    // An end time alone mutes the rule; it's stored and returned as an ISO timestamp
+    const until = new Date(Date.now() + 60 * 60 * 1000);
+    until.setUTCMilliseconds(0);
+    expect(await updateAlertRule(rule.id, { mutedUntil: until.toISOString().replace('.000Z', 'Z') }))
+      .toMatchObject({ muted: true, mutedUntil: until.toISOString() });
+    state.categories.fun = 0;
+    await evaluateAlerts();
+    expect(await listAlerts()).toHaveLength(1);
+  });
+
+  it('should check params against the rule type on update', async () => {
+    const rule = await createAlertRule({
+      name: 'Checking low', type: 'account-below', params: { accountId: 'acct-checking', threshold: 100000 },
+    });
+
+    await expect(updateAlertRule(rule.id, { params: { threshold: 100 } })).rejects.toThrow(ValidationError);
+    const updated = await updateAlertRule(rule.id, {
+      params: { accountId: '22222222-2222-4222-8222-222222222222', threshold: 100 },
+    });
+    expect(updated.params).toEqual({ accountId: '22222222-2222-4222-8222-222222222222', threshold: 100 });
+    await expect(updateAlertRule('missing', { name: 'x' })).rejects.toThrow(NotFoundError);
+  });
+
+  it('should check rules after an operation syncs with the server', async () => {
+    await createAlertRule({ name: 'Overspending', type: 'category-overspent', params: {} });
+    startAlerts();
+    try {
+      await payeeUpdate('payee-1', { name: 'Landlord Ltd' });
+      await waitFor(async () => (await listAlerts()).length > 0);
+    } finally {
+      stopAlerts();
+    }
+
+    expect(await listAlerts()).toHaveLength(1);
+    // Checking reads the local copy only
+    expect(mockApi.sync).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Bank file import tests (Actual API mocked; parser output as Actual returns it).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const parsedFiles = [];
+let mockParseResult = { errors: [], transactions: [] };
+
+const mockApi = mockActualApi({
+  internal: {
+    send: jest.fn(async (name, { filepath }) => {
+      parsedFiles.push({ filepath, contents: readFileSync(filepath, 'utf8') });
+      return mockParseResult;
+    }),
+  },
+  importTransactions: jest.fn(async (accountId, transactions) => ({
+    errors: [],
+    added: transactions.map((_, i) => `new-${i}`),
+    updated: [],
+  })),
+});
+
+const { parseBankFile, importBankFile, parseDate, parseAmount, detectFormat } = await import('../../src/services/bankFileImport.js');
+const { shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { ValidationError } = await import('../../src/errors/index.js');
+
+describe('Bank File Import', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    parsedFiles.length = 0;
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  describe('parseDate', () => {
+    it('should read dates in the given format', () => {
+      expect(parseDate('03/01/2025', 'MM/DD/YYYY')).toBe('2025-03-01');
+      expect(parseDate('01.03.2025', 'DD.MM.YYYY')).toBe('2025-03-01');
+      expect(parseDate('1/3/25', 'DD/MM/YY')).toBe('2025-03-01');
+      expect(parseDate('20250301', 'YYYYMMDD')).toBe('2025-03-01');
+    });
+
+    it('should accept ISO dates whatever the format', () => {
+      expect(parseDate('2025-03-01', 'DD.MM.YYYY')).toBe('2025-03-01');
+    });
+
+    it('should reject impossible dates and garbage', () => {
+      expect(parseDate('31/02/2025', 'DD/MM/YYYY')).toBeNull();
+      expect(parseDate('soon', 'YYYY-MM-DD')).toBeNull();
+      expect(parseDate(undefined, 'YYYY-MM-DD')).toBeNull();
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('should read amounts as integer cents', () => {
+      expect(parseAmount('-12.50')).toBe(-1250);
+      expect(parseAmount('$1,000.00')).toBe(100000);
+      expect(parseAmount('(7.25)')).toBe(-725);
+      expect(parseAmount('1.234,56', ',')).toBe(123456);
+      expect(parseAmount(-12.5)).toBe(-1250);
+    });
+
+    it('should return null for values that are not amounts', () => {
+      expect(parseAmount('')).toBeNull();
+      expect(parseAmount('n/a')).toBeNull();
+      expect(parseAmount('1.2.3')).toBeNull();
+    });
+  });
+
+  describe('detectFormat', () => {
+    it('should detect the format from the file name unless given', () => {
+      expect(detectFormat('statement.QFX')).toBe('qfx');
+      expect(detectFormat('camt053.xml')).toBe('camt');
+      expect(detectFormat('export.txt', 'csv')).toBe('csv');
+      expect(() => detectFormat('export.txt')).toThrow(ValidationError);
+    });
+  });
+
+  describe('parseBankFile', () => {
+    it('should map CSV columns and report rows it cannot read', async () => {
+      mockParseResult = {
+        errors: [],
+        transactions: [
+          { Date: '01.03.2025', Payee: 'Corner Bakery', In: '', Out: '12,50' },
+          { Date: '02.03.2025', Payee: 'Salary', In: '1.000,00', Out: '' },
+          { Date: 'yesterday', Payee: 'Unknown', In: '1,00', Out: '' },
+        ],
+      };
+
+      const { format, transactions, parseErrors } = await parseBankFile(Buffer.from('csv'), {
+        filename: 'export.csv',
+        dateFormat: 'DD.MM.YYYY',
+        csv: { mapping: { date: 'Date', payee: 'Payee', inflow: 'In', outflow: 'Out' }, decimalSeparator: ',' },
+      });
+
+      expect(format).toBe('csv');
+      expect(transactions).toEqual([
+        { date: '2025-03-01', amount: -1250, payee_name: 'Corner Bakery', imported_payee: 'Corner Bakery' },
+        { date: '2025-03-02', amount: 100000, payee_name: 'Salary', imported_payee: 'Salary' },
+      ]);
+      expect(parseErrors).toEqual([{ row: 3, message: 'Invalid date "yesterday"' }]);
+    });
+
+    it('should pass the file to Actual with the right extension and remove it afterwards', async () => {
+      mockParseResult = { errors: [], transactions: [] };
+
+      await parseBankFile(Buffer.from('<OFX></OFX>'), { filename: 'bank.qfx' });
+
+      const [{ filepath, contents }] = parsedFiles;
+      expect(filepath).toMatch(/\.qfx$/);
+      expect(contents).toBe('<OFX></OFX>');
+      expect(existsSync(filepath)).toBe(false);
+    });
+
+    it('should convert QIF dates and amounts', async () => {
+      mockParseResult = {
+        errors: [],
+        transactions: [{ amount: -12.5, date: '03/01/2025', payee_name: 'Corner Bakery', imported_payee: 'Corner Bakery', notes: null }],
+      };
+
+      const { transactions } = await parseBankFile(Buffer.from('qif'), { filename: 'export.qif' });
+
+      expect(transactions).toEqual([
+        { amount: -1250, date: '2025-03-01', payee_name: 'Corner Bakery', imported_payee: 'Corner Bakery' },
+      ]);
+    });
+
+    it('should require a mapping for CSV files and fail when nothing parses', async () => {
+      await expect(parseBankFile(Buffer.from('csv'), { filename: 'export.csv' })).rejects.toThrow('column mapping');
+
+      mockParseResult = { errors: [{ message: 'Failed importing file', internal: 'stack' }], transactions: [] };
+      await expect(parseBankFile(Buffer.from('bad'), { filename: 'bank.ofx' })).rejects.toThrow('Could not parse the file');
+    });
+  });
+
+  describe('importBankFile', () => {
+    it('should import the parsed transactions into the account', async () => {
+      mockParseResult = {
+        errors: [],
+        transactions: [{ amount: -12.5, imported_id: 'fit-1', date: '2025-03-01', payee_name: 'Corner Bakery', notes: 'Bread' }],
+      };
+
+      const result = await importBankFile('acc-1', Buffer.from('ofx'), { filename: 'bank.ofx' });
+
+      expect(mockApi.importTransactions).toHaveBeenCalledWith('acc-1', [
+        { amount: -1250, imported_id: 'fit-1', date: '2025-03-01', payee_name: 'Corner Bakery', notes: 'Bread' },
+      ]);
+      expect(result).toMatchObject({ format: 'ofx', parsedCount: 1, parseErrors: [], result: { added: ['new-0'] } });
+    });
+  });
+});
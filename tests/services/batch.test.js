@@ -0,0 +1,132 @@
+/**
+ * Batch operation tests.
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const PAYEE_ID = '11111111-1111-4111-8111-111111111111';
+const ACCOUNT_ID = '22222222-2222-4222-8222-222222222222';
+
+const mockApi = mockActualApi({
+  batchBudgetUpdates: jest.fn(async (fn) => {
+    await fn();
+  }),
+  createPayee: jest.fn(async () => PAYEE_ID),
+  createRule: jest.fn(async (rule) => ({ id: 'rule-1', ...rule })),
+  addTransactions: jest.fn(async () => 'ok'),
+  deletePayee: jest.fn(async () => {
+    throw new Error('Payee is in use');
+  }),
+});
+
+const { runBatch, resolveRefs } = await import('../../src/services/batch.js');
+const { shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { BatchSchema } = await import('../../src/middleware/validation-schemas.js');
+const { ValidationError } = await import('../../src/errors/index.js');
+
+describe('Batch Operations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  it('should run operations in one batch with references to earlier results', async () => {
+    const results = await runBatch([
+      { id: 'payee', op: 'payee.create', params: { payee: { name: 'Bakery' } } },
+      {
+        op: 'transaction.add',
+        params: { accountId: ACCOUNT_ID, transactions: [{ amount: -500, payee: { $ref: 'payee' } }] },
+      },
+    ]);
+
+    expect(mockApi.batchBudgetUpdates).toHaveBeenCalledTimes(1);
+    expect(mockApi.addTransactions).toHaveBeenCalledWith(
+      ACCOUNT_ID,
+      [expect.objectContaining({ payee: PAYEE_ID })],
+      { runTransfers: false, learnCategories: false }
+    );
+    expect(results).toEqual([
+      { index: 0, id: 'payee', op: 'payee.create', status: 'ok', result: PAYEE_ID },
+      { index: 1, op: 'transaction.add', status: 'ok', result: 'ok' },
+    ]);
+  });
+
+  it('should sync once before and once after the batch', async () => {
+    await runBatch([{ op: 'payee.create', params: { payee: { name: 'Bakery' } } }]);
+
+    expect(mockApi.sync).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip the remaining operations after a failure by default', async () => {
+    const results = await runBatch([
+      { op: 'payee.delete', params: { id: PAYEE_ID } },
+      { op: 'payee.create', params: { payee: { name: 'Bakery' } } },
+    ]);
+
+    expect(results[0]).toMatchObject({ status: 'error', error: { message: 'Payee is in use' } });
+    expect(results[1]).toMatchObject({ status: 'skipped' });
+    expect(mockApi.createPayee).not.toHaveBeenCalled();
+  });
+
+  it('should keep going after a failure with continueOnError', async () => {
+    const results = await runBatch([
+      { op: 'payee.delete', params: { id: PAYEE_ID } },
+      { op: 'payee.create', params: { payee: { name: 'Bakery' } } },
+    ], { continueOnError: true });
+
+    expect(results.map(r => r.status)).toEqual(['error', 'ok']);
+  });
+
+  it('should report invalid params per operation', async () => {
+    const results = await runBatch([{ op: 'payee.create', params: { payee: {} } }]);
+
+    expect(results[0]).toMatchObject({ status: 'error', error: { code: 'VALIDATION_ERROR' } });
+    expect(results[0].error.details[0].field).toBe('payee.name');
+  });
+
+  it('should fail operations referencing a failed operation', async () => {
+    const results = await runBatch([
+      { id: 'gone', op: 'payee.delete', params: { id: PAYEE_ID } },
+      { op: 'payee.update', params: { id: { $ref: 'gone' }, fields: { name: 'x' } } },
+    ], { continueOnError: true });
+
+    expect(results[1].error.message).toMatch('did not succeed');
+  });
+
+  describe('resolveRefs', () => {
+    const outcomes = new Map([
+      ['payee', { status: 'ok', result: PAYEE_ID }],
+      ['rule', { status: 'ok', result: { id: 'rule-1' } }],
+    ]);
+
+    it('should resolve nested references and fields of object results', () => {
+      expect(resolveRefs({ a: [{ $ref: 'payee' }], b: { $ref: 'rule.id' } }, outcomes))
+        .toEqual({ a: [PAYEE_ID], b: 'rule-1' });
+    });
+
+    it('should reject unknown references', () => {
+      expect(() => resolveRefs({ $ref: 'missing' }, outcomes)).toThrow(ValidationError);
+      expect(() => resolveRefs({ $ref: 'rule.missing' }, outcomes)).toThrow(ValidationError);
+    });
+  });
+
+  describe('BatchSchema', () => {
+    it('should reject unknown operations and duplicate ids', () => {
+      expect(BatchSchema.safeParse({ operations: [{ op: 'account.explode' }] }).success).toBe(false);
+      expect(BatchSchema.safeParse({
+        operations: [
+          { id: 'a', op: 'payee.create', params: {} },
+          { id: 'a', op: 'payee.create', params: {} },
+        ],
+      }).success).toBe(false);
+    });
+
+    it('should default params and continueOnError', () => {
+      const result = BatchSchema.parse({ operations: [{ op: 'account.delete' }] });
+      expect(result).toEqual({ operations: [{ op: 'account.delete', params: {} }], continueOnError: false });
+    });
+  });
+});
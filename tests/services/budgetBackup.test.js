@@ -0,0 +1,104 @@
+/**
+ * Budget backup and restore tests (Actual API mocked).
+ */
+
+import { readFileSync } from 'fs';
+import AdmZip from 'adm-zip';
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const mockApi = mockActualApi({
+  // Switching back from the restored budget
+  loadBudget: jest.fn(async () => undefined),
+  internal: {
+    send: jest.fn(async (name) => {
+      if (name === 'import-budget') return {};
+      if (name === 'load-prefs') return { id: 'restored-local', groupId: 'new-sync-id', budgetName: 'Household (restored)' };
+      if (name === 'export-budget') return { data: new Uint8Array([80, 75]) };
+      return undefined;
+    }),
+  },
+});
+
+const { budgetExport, getLoadedBudgets, shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { prepareBackup, restoreBudgetBackup } = await import('../../src/services/budgetBackup.js');
+const { ValidationError } = await import('../../src/errors/index.js');
+
+const backupZip = (meta = { id: 'My-Budget-abc', budgetName: 'Household', groupId: 'old-sync-id' }) => {
+  const zip = new AdmZip();
+  zip.addFile('db.sqlite', Buffer.from('sqlite'));
+  zip.addFile('metadata.json', Buffer.from(typeof meta === 'string' ? meta : JSON.stringify(meta)));
+  return zip.toBuffer();
+};
+
+const readMeta = (buffer) => JSON.parse(new AdmZip(buffer).getEntry('metadata.json').getData().toString('utf8'));
+
+describe('Budget Backup', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  describe('prepareBackup', () => {
+    it('should give the backup a fresh local id and a restored name', () => {
+      const backup = prepareBackup(backupZip());
+
+      const meta = readMeta(backup.buffer);
+      expect(meta.id).toMatch(/^restored-/);
+      expect(meta.id).toBe(backup.id);
+      expect(meta).toMatchObject({ budgetName: 'Household (restored)', resetClock: true, groupId: 'old-sync-id' });
+      expect(new AdmZip(backup.buffer).getEntry('db.sqlite').getData().toString()).toBe('sqlite');
+    });
+
+    it('should use the given name', () => {
+      const backup = prepareBackup(backupZip(), { name: 'March copy' });
+
+      expect(backup.name).toBe('March copy');
+      expect(readMeta(backup.buffer).budgetName).toBe('March copy');
+    });
+
+    it('should reject files that are not budget backups', () => {
+      const noMeta = new AdmZip();
+      noMeta.addFile('db.sqlite', Buffer.from('sqlite'));
+
+      expect(() => prepareBackup(Buffer.from('not a zip'))).toThrow(ValidationError);
+      expect(() => prepareBackup(noMeta.toBuffer())).toThrow('db.sqlite and metadata.json are required');
+      expect(() => prepareBackup(backupZip('{'))).toThrow('metadata.json is not valid JSON');
+    });
+  });
+
+  describe('restoreBudgetBackup', () => {
+    it('should import the prepared zip and return the new sync id', async () => {
+      let imported;
+      mockApi.internal.send.mockImplementationOnce(async (name, { filepath }) => {
+        imported = readMeta(readFileSync(filepath));
+        return {};
+      });
+
+      const budget = await restoreBudgetBackup(backupZip());
+
+      expect(budget).toEqual({ syncId: 'new-sync-id', name: 'Household (restored)' });
+      expect(mockApi.internal.send.mock.calls.map(call => call[0])).toEqual(['import-budget', 'load-prefs']);
+      expect(imported.id).toMatch(/^restored-/);
+      // Not a configured budget, so the sync scheduler leaves it alone
+      expect(getLoadedBudgets().loaded).not.toContain('new-sync-id');
+    });
+
+    it('should surface Actual\'s import errors', async () => {
+      mockApi.internal.send.mockResolvedValueOnce({ error: 'invalid-zip-file' });
+
+      await expect(restoreBudgetBackup(backupZip())).rejects.toThrow('invalid-zip-file');
+    });
+  });
+
+  describe('budgetExport', () => {
+    it('should return the exported zip as a buffer', async () => {
+      const data = await budgetExport();
+
+      expect(Buffer.isBuffer(data)).toBe(true);
+      expect(mockApi.internal.send).toHaveBeenCalledWith('export-budget');
+    });
+  });
+});
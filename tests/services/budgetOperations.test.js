@@ -0,0 +1,205 @@
+/**
+ * Month-level budget operation tests (Actual API mocked; templates in the SQLite
+ * auth database under tests/data).
+ */
+
+import { mkdirSync, rmSync } from 'fs';
+import { mockActualApi } from '../helpers/actualApi.js';
+
+mkdirSync('./tests/data', { recursive: true });
+
+// Budgeted and spent per category for each month of the budget
+const history = {
+  '2025-01': { food: [40000, -30000], fun: [10000, -20000], old: [5000, 0] },
+  '2025-02': { food: [40000, -45000], fun: [10000, -10000], old: [5000, 0] },
+  '2025-03': { food: [50000, -40001], fun: [15000, 0], old: [5000, 0] },
+  '2025-04': { food: [50000, 0], fun: [0, 0], old: [5000, 0] },
+};
+
+const budgetMonth = (month) => {
+  const values = history[month];
+  const category = (id, name, hidden) => ({
+    id: `cat-${id}`, name, hidden, budgeted: values[id][0], spent: values[id][1], balance: 0,
+  });
+  return {
+    month,
+    categoryGroups: [
+      { id: 'grp-life', name: 'Everyday', is_income: false, hidden: false, categories: [category('food', 'Food', false), category('fun', 'Fun', false)] },
+      { id: 'grp-archive', name: 'Archive', is_income: false, hidden: true, categories: [category('old', 'Old', false)] },
+      { id: 'grp-income', name: 'Income', is_income: true, hidden: false, categories: [{ id: 'cat-salary', name: 'Salary', received: 500000 }] },
+    ],
+  };
+};
+
+const mockApi = mockActualApi({
+  getBudgetMonths: jest.fn(async () => Object.keys(history)),
+  getBudgetMonth: jest.fn(async (month) => budgetMonth(month)),
+  batchBudgetUpdates: jest.fn(async (fn) => fn()),
+  setBudgetAmount: jest.fn(async () => undefined),
+});
+
+const { shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { runBudgetOperation, budgetMonthSetAmounts } = await import('../../src/services/budgetOperations.js');
+const { createBudgetTemplate, updateBudgetTemplate, deleteBudgetTemplate, listBudgetTemplates } = await import('../../src/services/budgetTemplates.js');
+const { closeDb } = await import('../../src/db/authDb.js');
+const { runInBudget } = await import('../../src/services/budgetContext.js');
+const { NotFoundError, ValidationError } = await import('../../src/errors/index.js');
+
+const planned = (result) => Object.fromEntries(result.amounts.map(amount => [amount.categoryId, amount.to]));
+
+describe('Budget Month Operations', () => {
+  let template;
+
+  beforeAll(async () => {
+    template = await createBudgetTemplate({
+      name: 'Basics',
+      amounts: { 'cat-food': 45000, 'cat-old': 5000, 'cat-salary': 100, 'cat-gone': 100 },
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+    await closeDb();
+    rmSync('./tests/data', { recursive: true, force: true });
+  });
+
+  it('should copy last month\'s amounts into visible expense categories', async () => {
+    const result = await runBudgetOperation('2025-04', 'copy-previous');
+
+    expect(planned(result)).toEqual({ 'cat-food': 50000, 'cat-fun': 15000 });
+    expect(result).toMatchObject({ month: '2025-04', operation: 'copy-previous', dryRun: false, changedCount: 1, skipped: [] });
+    // Only the changed amount is written, in one batch
+    expect(mockApi.batchBudgetUpdates).toHaveBeenCalledTimes(1);
+    expect(mockApi.setBudgetAmount.mock.calls).toEqual([['2025-04', 'cat-fun', 15000]]);
+  });
+
+  it('should read the amounts it plans from inside the write batch', async () => {
+    let inBatch = false;
+    const readInBatch = [];
+    mockApi.batchBudgetUpdates.mockImplementationOnce(async (fn) => {
+      inBatch = true;
+      try {
+        await fn();
+      } finally {
+        inBatch = false;
+      }
+    });
+    mockApi.getBudgetMonth.mockImplementation(async (month) => {
+      readInBatch.push(inBatch);
+      return budgetMonth(month);
+    });
+    try {
+      await runBudgetOperation('2025-04', 'copy-previous');
+    } finally {
+      mockApi.getBudgetMonth.mockImplementation(async (month) => budgetMonth(month));
+    }
+
+    expect(readInBatch).toEqual([true, true]);
+  });
+
+  it('should budget the rounded average spending, counting months before the budget as nothing', async () => {
+    const three = await runBudgetOperation('2025-04', 'set-average', { dryRun: true, months: 3 });
+    const six = await runBudgetOperation('2025-04', 'set-average', { dryRun: true, months: 6 });
+
+    expect(planned(three)).toEqual({ 'cat-food': 38334, 'cat-fun': 10000 });
+    expect(planned(six)).toEqual({ 'cat-food': 19167, 'cat-fun': 5000 });
+    expect(mockApi.getBudgetMonth).not.toHaveBeenCalledWith('2024-12');
+  });
+
+  it('should zero every expense category, hidden ones included', async () => {
+    const result = await runBudgetOperation('2025-04', 'set-zero', { dryRun: true });
+
+    expect(planned(result)).toEqual({ 'cat-food': 0, 'cat-fun': 0, 'cat-old': 0 });
+    expect(result.amounts[0]).toEqual({ categoryId: 'cat-food', name: 'Food', groupName: 'Everyday', from: 50000, to: 0 });
+    expect(result.changedCount).toBe(2);
+  });
+
+  it('should not write anything on a dry run', async () => {
+    await runBudgetOperation('2025-04', 'set-zero', { dryRun: true });
+
+    expect(mockApi.setBudgetAmount).not.toHaveBeenCalled();
+  });
+
+  it('should apply a template and report the categories it skips', async () => {
+    const result = await runBudgetOperation('2025-04', 'apply-template', { templateId: template.id });
+
+    expect(planned(result)).toEqual({ 'cat-food': 45000, 'cat-old': 5000 });
+    expect(result.skipped.map(skip => skip.categoryId)).toEqual(['cat-salary', 'cat-gone']);
+    expect(mockApi.setBudgetAmount.mock.calls).toEqual([['2025-04', 'cat-food', 45000]]);
+  });
+
+  it('should reject unknown templates and months outside the budget', async () => {
+    await expect(runBudgetOperation('2025-04', 'apply-template', { templateId: 'missing' })).rejects.toThrow(NotFoundError);
+    await expect(runBudgetOperation('2030-01', 'set-zero')).rejects.toThrow(NotFoundError);
+    expect(mockApi.getBudgetMonth).not.toHaveBeenCalled();
+  });
+
+  describe('budgetMonthSetAmounts', () => {
+    it('should set categories by id or name in one sync and return the month', async () => {
+      const budget = await budgetMonthSetAmounts('2025-04', { 'cat-food': 60000, fun: 2000 });
+
+      expect(mockApi.setBudgetAmount.mock.calls).toEqual([['2025-04', 'cat-food', 60000], ['2025-04', 'cat-fun', 2000]]);
+      expect(mockApi.batchBudgetUpdates).toHaveBeenCalledTimes(1);
+      expect(mockApi.sync).toHaveBeenCalledTimes(2);
+      expect(budget.month).toBe('2025-04');
+    });
+
+    it('should look the categories up from inside the write batch', async () => {
+      let inBatch = false;
+      mockApi.batchBudgetUpdates.mockImplementationOnce(async (fn) => {
+        inBatch = true;
+        try {
+          await fn();
+        } finally {
+          inBatch = false;
+        }
+      });
+      const lookedUp = jest.fn();
+      mockApi.getBudgetMonths.mockImplementationOnce(async () => {
+        lookedUp(inBatch);
+        return Object.keys(history);
+      });
+
+      await budgetMonthSetAmounts('2025-04', { food: 60000 });
+
+      expect(lookedUp).toHaveBeenCalledWith(true);
+    });
+
+    it('should write nothing when a category is unknown, income or given twice', async () => {
+      const error = await budgetMonthSetAmounts('2025-04', { Food: 1, Salary: 2, Nope: 3 }).catch(e => e);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details).toEqual({ unknown: ['Salary', 'Nope'], ambiguous: [] });
+
+      await expect(budgetMonthSetAmounts('2025-04', { food: 1, 'cat-food': 2 })).rejects.toThrow(ValidationError);
+      expect(mockApi.setBudgetAmount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('templates', () => {
+    it('should store amounts as given and replace them on update', async () => {
+      expect(template).toMatchObject({ name: 'Basics', amounts: { 'cat-food': 45000 } });
+
+      const updated = await updateBudgetTemplate(template.id, { amounts: { 'cat-fun': 2000 } });
+      expect(updated).toMatchObject({ name: 'Basics', amounts: { 'cat-fun': 2000 } });
+      await expect(listBudgetTemplates()).resolves.toEqual([updated]);
+    });
+
+    it('should keep templates to the budget they were created in', async () => {
+      await runInBudget('other-sync-id', async () => {
+        await expect(listBudgetTemplates()).resolves.toEqual([]);
+        await expect(updateBudgetTemplate(template.id, { name: 'x' })).rejects.toThrow(NotFoundError);
+        await expect(deleteBudgetTemplate(template.id)).resolves.toBe(false);
+      });
+      await expect(listBudgetTemplates()).resolves.toHaveLength(1);
+    });
+
+    it('should report unknown templates', async () => {
+      await expect(updateBudgetTemplate('missing', { name: 'x' })).rejects.toThrow(NotFoundError);
+      await expect(deleteBudgetTemplate('missing')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Budget month summary tests (Actual API mocked; budget month as Actual returns it).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const budgetMonth = {
+  month: '2025-03',
+  incomeAvailable: 520000,
+  lastMonthOverspent: -3000,
+  forNextMonth: 0,
+  totalBudgeted: -450000,
+  toBudget: 67000,
+  fromLastMonth: 20000,
+  totalIncome: 500000,
+  totalSpent: -430000,
+  totalBalance: 45000,
+  categoryGroups: [
+    {
+      id: 'grp-bills',
+      name: 'Bills',
+      is_income: false,
+      hidden: false,
+      budgeted: 300000,
+      spent: -290000,
+      balance: 10000,
+      categories: [
+        { id: 'cat-rent', name: 'Rent', is_income: false, hidden: false, group_id: 'grp-bills', budgeted: 250000, spent: -250000, balance: 0, carryover: false },
+        { id: 'cat-power', name: 'Power', is_income: false, hidden: false, group_id: 'grp-bills', budgeted: 50000, spent: -40000, balance: 10000, carryover: false },
+      ],
+    },
+    {
+      id: 'grp-life',
+      name: 'Everyday',
+      is_income: false,
+      hidden: false,
+      budgeted: 150000,
+      spent: -140000,
+      balance: 35000,
+      categories: [
+        // 5000 carried in from February
+        { id: 'cat-food', name: 'Food', is_income: false, hidden: false, group_id: 'grp-life', budgeted: 100000, spent: -60000, balance: 45000, carryover: false },
+        { id: 'cat-fun', name: 'Fun', is_income: false, hidden: false, group_id: 'grp-life', budgeted: 50000, spent: -80000, balance: -30000, carryover: true },
+        { id: 'cat-gifts', name: 'Gifts', is_income: false, hidden: true, group_id: 'grp-life', budgeted: 0, spent: 0, balance: 20000, carryover: false },
+      ],
+    },
+    {
+      id: 'grp-income',
+      name: 'Income',
+      is_income: true,
+      hidden: false,
+      received: 500000,
+      categories: [{ id: 'cat-salary', name: 'Salary', is_income: true, hidden: false, group_id: 'grp-income', received: 500000 }],
+    },
+  ],
+};
+
+const mockApi = mockActualApi({
+  getBudgetMonth: jest.fn(async () => budgetMonth),
+});
+
+const { shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { budgetMonthSummary } = await import('../../src/services/budgetSummary.js');
+
+describe('Budget Month Summary', () => {
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  it('should report the month totals with budgeted as a positive amount', async () => {
+    const summary = await budgetMonthSummary('2025-03');
+
+    expect(mockApi.getBudgetMonth).toHaveBeenCalledWith('2025-03');
+    expect(summary).toMatchObject({
+      month: '2025-03',
+      toBudget: 67000,
+      income: 500000,
+      budgeted: 450000,
+      spent: -430000,
+      balance: 45000,
+      incomeVsBudgeted: 50000,
+      carryover: { fromLastMonth: 20000, lastMonthOverspent: -3000, categories: 25000, forNextMonth: 0 },
+    });
+  });
+
+  it('should work out what each category carried in and group overspending', async () => {
+    const { groups } = await budgetMonthSummary('2025-03');
+
+    const everyday = groups.find(group => group.id === 'grp-life');
+    expect(everyday).toMatchObject({ carryIn: 25000, overspent: 30000, isIncome: false });
+    expect(everyday.categories.map(category => [category.id, category.carryIn])).toEqual([
+      ['cat-food', 5000],
+      ['cat-fun', 0],
+      ['cat-gifts', 20000],
+    ]);
+    expect(groups.find(group => group.id === 'grp-income')).toEqual({
+      id: 'grp-income',
+      name: 'Income',
+      hidden: false,
+      isIncome: true,
+      received: 500000,
+      categories: [{ id: 'cat-salary', name: 'Salary', hidden: false, received: 500000 }],
+    });
+  });
+
+  it('should list the overspent categories', async () => {
+    const { overspent } = await budgetMonthSummary('2025-03');
+
+    expect(overspent).toEqual({
+      total: 30000,
+      categories: [expect.objectContaining({
+        id: 'cat-fun',
+        groupId: 'grp-life',
+        groupName: 'Everyday',
+        balance: -30000,
+        overspent: 30000,
+        rolloverOverspending: true,
+      })],
+    });
+  });
+});
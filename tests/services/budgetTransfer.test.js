@@ -0,0 +1,79 @@
+/**
+ * Tests for moving budgeted money between categories (Actual API mocked).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const budgetMonth = {
+  month: '2025-04',
+  categoryGroups: [
+    {
+      id: 'grp-life',
+      name: 'Everyday',
+      is_income: false,
+      categories: [
+        { id: 'cat-food', name: 'Food', budgeted: 40000, spent: -45000, balance: -5000 },
+        { id: 'cat-fun', name: 'Fun', budgeted: 10000, spent: -4000, balance: 6000 },
+      ],
+    },
+    {
+      id: 'grp-income',
+      name: 'Income',
+      is_income: true,
+      categories: [{ id: 'cat-salary', name: 'Salary', received: 500000 }],
+    },
+  ],
+};
+
+const mockApi = mockActualApi({
+  getBudgetMonths: jest.fn(async () => ['2025-03', '2025-04']),
+  getBudgetMonth: jest.fn(async () => budgetMonth),
+  batchBudgetUpdates: jest.fn(async (fn) => fn()),
+  setBudgetAmount: jest.fn(async () => undefined),
+});
+
+const { budgetCategoryTransfer, shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { NotFoundError, ValidationError } = await import('../../src/errors/index.js');
+
+const transfer = (fields) => budgetCategoryTransfer('2025-04', { fromCategoryId: 'cat-fun', toCategoryId: 'cat-food', ...fields });
+
+describe('Budget Category Transfer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  it('should lower the source and raise the destination in one batch', async () => {
+    const result = await transfer({ amount: 5000 });
+
+    expect(mockApi.batchBudgetUpdates).toHaveBeenCalledTimes(1);
+    expect(mockApi.setBudgetAmount.mock.calls).toEqual([['2025-04', 'cat-fun', 5000], ['2025-04', 'cat-food', 45000]]);
+    expect(result).toEqual({
+      month: '2025-04',
+      amount: 5000,
+      from: { categoryId: 'cat-fun', budgeted: 5000, balance: 1000 },
+      to: { categoryId: 'cat-food', budgeted: 45000, balance: 0 },
+    });
+  });
+
+  it('should refuse to take more than the source balance unless allowed', async () => {
+    const error = await transfer({ amount: 6001 }).catch(e => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual({ available: 6000 });
+    expect(mockApi.setBudgetAmount).not.toHaveBeenCalled();
+
+    const result = await transfer({ amount: 8000, allowNegative: true });
+    expect(result.from).toMatchObject({ budgeted: 2000, balance: -2000 });
+  });
+
+  it('should only move money between expense categories in the budget', async () => {
+    await expect(transfer({ fromCategoryId: 'cat-salary', amount: 1 })).rejects.toThrow(NotFoundError);
+    await expect(transfer({ toCategoryId: 'missing', amount: 1 })).rejects.toThrow(NotFoundError);
+    await expect(budgetCategoryTransfer('2030-01', { fromCategoryId: 'cat-fun', toCategoryId: 'cat-food', amount: 1 }))
+      .rejects.toThrow(NotFoundError);
+    expect(mockApi.setBudgetAmount).not.toHaveBeenCalled();
+  });
+});
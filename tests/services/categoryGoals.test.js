@@ -0,0 +1,153 @@
+/**
+ * Category goal tests (Actual API mocked; goals as templates in category notes).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const notes = new Map();
+
+const budgetMonth = (month, totalIncome) => ({
+  month,
+  totalIncome,
+  incomeAvailable: totalIncome,
+  categoryGroups: [
+    {
+      id: 'grp-life',
+      name: 'Everyday',
+      is_income: false,
+      categories: [
+        // 30000 carried in
+        { id: 'cat-save', name: 'Savings', budgeted: 10000, spent: 0, balance: 40000 },
+        { id: 'cat-food', name: 'Food', budgeted: 50000, spent: -20000, balance: 30000 },
+        { id: 'cat-fun', name: 'Fun', budgeted: 10000, spent: -5000, balance: 5000 },
+        { id: 'cat-misc', name: 'Misc', budgeted: 0, spent: 0, balance: 0 },
+      ],
+    },
+    {
+      id: 'grp-income',
+      name: 'Income',
+      is_income: true,
+      categories: [{ id: 'cat-paycheck', name: 'Paycheck', received: totalIncome }],
+    },
+  ],
+});
+
+const mockApi = mockActualApi({
+  getBudgetMonths: jest.fn(async () => ['2025-03', '2025-04']),
+  getBudgetMonth: jest.fn(async (month) => budgetMonth(month, month === '2025-03' ? 200000 : 300000)),
+  getCategories: jest.fn(async () => budgetMonth('2025-04', 0).categoryGroups.flatMap(group => group.categories)),
+  aqlQuery: jest.fn(async ({ state }) => {
+    const ids = state.filter?.id?.$oneof ?? (state.filter ? [state.filter.id] : [...notes.keys()]);
+    return { data: ids.filter(id => notes.has(id)).map(id => ({ id, note: notes.get(id) })) };
+  }),
+  internal: {
+    send: jest.fn(async (name, args) => {
+      if (name === 'notes-save') notes.set(args.id, args.note);
+    }),
+  },
+});
+
+const { shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { parseGoals, getCategoryGoals, setCategoryGoals, budgetMonthGoals } = await import('../../src/services/categoryGoals.js');
+const { NotFoundError } = await import('../../src/errors/index.js');
+
+describe('Category Goals', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notes.clear();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  it('should read Actual goal templates and list the ones it can\'t represent', () => {
+    const note = [
+      'Emergency fund',
+      '#template 150',
+      '#template-2 $1200.50 by 2025-12',
+      '#template 10% of previous Paycheck',
+      '#template 50 up to 100',
+      '#goal 500',
+    ].join('\n');
+
+    expect(parseGoals(note)).toEqual({
+      goals: [
+        { type: 'monthly', amount: 15000 },
+        { type: 'by-date', amount: 120050, month: '2025-12', priority: 2 },
+        { type: 'percentage', percent: 10, of: 'Paycheck', previous: true },
+      ],
+      otherTemplates: ['#template 50 up to 100', '#goal 500'],
+    });
+  });
+
+  it('should replace the template lines and keep the rest of the note', async () => {
+    notes.set('cat-save', 'Emergency fund\n#template 100\n\n');
+
+    const result = await setCategoryGoals('cat-save', [
+      { type: 'by-date', amount: 120050, month: '2025-09' },
+      { type: 'percentage', percent: 5, of: 'all income', previous: false },
+    ]);
+
+    expect(notes.get('cat-save')).toBe('Emergency fund\n#template 1200.5 by 2025-09\n#template 5% of all income');
+    expect(result.goals).toHaveLength(2);
+    expect(mockApi.internal.send).toHaveBeenCalledWith('budget/store-note-templates');
+    await expect(getCategoryGoals('cat-save')).resolves.toEqual(result);
+  });
+
+  it('should keep the other templates and goal priorities when replacing goals', async () => {
+    notes.set('cat-save', 'Emergency fund\n#template-1 100\n#template 50 up to 100\n#goal 500\n#template schedule Rent');
+
+    const result = await setCategoryGoals('cat-save', [
+      { type: 'monthly', amount: 20000, priority: 3 },
+      { type: 'by-date', amount: 120000, month: '2025-12' },
+    ]);
+
+    expect(notes.get('cat-save')).toBe([
+      'Emergency fund',
+      '#template 50 up to 100',
+      '#goal 500',
+      '#template schedule Rent',
+      '#template-3 200',
+      '#template 1200 by 2025-12',
+    ].join('\n'));
+    expect(result).toEqual({
+      categoryId: 'cat-save',
+      goals: [
+        { type: 'monthly', amount: 20000, priority: 3 },
+        { type: 'by-date', amount: 120000, month: '2025-12' },
+      ],
+      otherTemplates: ['#template 50 up to 100', '#goal 500', '#template schedule Rent'],
+    });
+  });
+
+  it('should reject unknown categories', async () => {
+    await expect(getCategoryGoals('missing')).rejects.toThrow(NotFoundError);
+    await expect(setCategoryGoals('missing', [])).rejects.toThrow(NotFoundError);
+    expect(mockApi.internal.send).not.toHaveBeenCalled();
+  });
+
+  it('should report what each category\'s goals ask for this month', async () => {
+    notes.set('cat-save', '#template 1200 by 2025-09');
+    notes.set('cat-food', '#template 400');
+    notes.set('cat-fun', '#template 5% of previous all income\n#template 10% of Bonus');
+    notes.set('cat-misc', 'No goals here');
+
+    const { month, behind, categories } = await budgetMonthGoals('2025-04');
+
+    expect(month).toBe('2025-04');
+    expect(behind).toBe(1);
+    expect(categories.map(({ categoryId, target, remaining, status }) => ({ categoryId, target, remaining, status }))).toEqual([
+      // (120000 - 30000 carried in) over April to September
+      { categoryId: 'cat-save', target: 15000, remaining: 5000, status: 'behind' },
+      { categoryId: 'cat-food', target: 40000, remaining: 0, status: 'met' },
+      // 5% of March's income; the Bonus income category doesn't exist
+      { categoryId: 'cat-fun', target: 10000, remaining: 0, status: 'met' },
+    ]);
+    expect(categories[2].goals.map(goal => goal.target)).toEqual([10000, null]);
+  });
+
+  it('should reject months outside the budget', async () => {
+    await expect(budgetMonthGoals('2030-01')).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Import preview tests (Actual API mocked; dry run result as Actual returns it).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const existing = [
+  { id: 'txn-coffee', date: '2025-03-02', amount: -450, payee: 'payee-cafe', imported_id: null },
+  { id: 'txn-rent', date: '2025-03-01', amount: -120000, payee: 'payee-landlord', imported_id: 'bank-1' },
+];
+
+const rules = [
+  { id: 'rule-groceries', actions: [{ op: 'set', field: 'category', value: 'cat-groceries' }] },
+  { id: 'rule-rent-notes', actions: [{ op: 'append-notes', field: 'notes', value: ' (rent)' }] },
+];
+
+const mockApi = mockActualApi({
+  aqlQuery: jest.fn(async ({ state }) => {
+    const { imported_id, amount } = state.filter;
+    return { data: existing.filter(t => (imported_id ? t.imported_id === imported_id : t.amount === amount)) };
+  }),
+  // Row 0 matches txn-rent with changes, row 1 is an unchanged copy of txn-coffee, row 2 is new
+  importTransactions: jest.fn(async (accountId, transactions) => ({
+    errors: [],
+    added: ['generated-id'],
+    updated: ['txn-rent'],
+    updatedPreview: [
+      { transaction: { ...transactions[0], payee: 'payee-landlord' }, existing: existing[1] },
+      { transaction: { ...transactions[1], payee: 'payee-cafe' }, ignored: true },
+    ],
+  })),
+  getPayees: jest.fn(async () => [{ id: 'payee-cafe', name: 'Cafe' }, { id: 'payee-shop', name: 'Shop' }]),
+  getRules: jest.fn(async () => rules),
+  internal: {
+    send: jest.fn(async (name, { transaction }) => {
+      if (transaction.payee === 'payee-shop') return { ...transaction, category: 'cat-groceries' };
+      if (transaction.amount === -120000) return { ...transaction, notes: `${transaction.notes} (rent)` };
+      return transaction;
+    }),
+  },
+});
+
+const { transactionsImportPreview, shutdownActualApi } = await import('../../src/services/actualApi.js');
+
+const rows = [
+  { date: '2025-03-01', amount: -120000, payee_name: 'Landlord', notes: 'March', imported_id: 'bank-1' },
+  { date: '2025-03-03', amount: -450, payee_name: 'Cafe' },
+  { date: '2025-03-04', amount: -2599, payee_name: 'shop ', subtransactions: [{ amount: -2599 }] },
+];
+
+describe('Import Preview', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  it('should run Actual\'s import as a dry run', async () => {
+    await transactionsImportPreview('acc-1', rows);
+
+    const [accountId, transactions, opts] = mockApi.importTransactions.mock.calls[0];
+    expect(accountId).toBe('acc-1');
+    expect(opts).toMatchObject({ dryRun: true });
+    expect(transactions.map(t => t._importRow)).toEqual([0, 1, 2]);
+  });
+
+  it('should report new rows, updates and duplicates with the matched ids', async () => {
+    const { summary, rows: report } = await transactionsImportPreview('acc-1', rows);
+
+    expect(summary).toEqual({ new: 1, update: 1, duplicate: 1 });
+    expect(report.map(({ index, status, matchedId }) => ({ index, status, matchedId }))).toEqual([
+      { index: 0, status: 'update', matchedId: 'txn-rent' },
+      { index: 1, status: 'duplicate', matchedId: 'txn-coffee' },
+      { index: 2, status: 'new', matchedId: null },
+    ]);
+  });
+
+  it('should look up duplicates within a week of the row date', async () => {
+    await transactionsImportPreview('acc-1', rows);
+
+    const lookup = mockApi.aqlQuery.mock.calls.map(call => call[0].state.filter).find(filter => filter.amount === -450);
+    expect(lookup).toEqual({ account: 'acc-1', amount: -450, date: { $gte: '2025-02-24', $lte: '2025-03-10' } });
+  });
+
+  it('should report what the rules would change and which rules did it', async () => {
+    const { rows: report } = await transactionsImportPreview('acc-1', rows);
+
+    const ruleInput = mockApi.internal.send.mock.calls[2][1].transaction;
+    expect(ruleInput).toMatchObject({ account: 'acc-1', payee: 'payee-shop', imported_payee: 'shop', category: null });
+    expect(ruleInput).not.toHaveProperty('subtransactions');
+
+    expect(report[2]).toMatchObject({
+      ruleChanges: { category: { from: null, to: 'cat-groceries' } },
+      rules: ['rule-groceries'],
+      transaction: { payee: 'payee-shop', payee_name: 'shop ', category: 'cat-groceries' },
+    });
+    expect(report[0]).toMatchObject({
+      ruleChanges: { notes: { from: 'March', to: 'March (rent)' } },
+      rules: ['rule-rent-notes'],
+    });
+    expect(report[1]).toMatchObject({ ruleChanges: {}, rules: [] });
+  });
+
+  it('should return Actual\'s errors without rows', async () => {
+    mockApi.importTransactions.mockResolvedValueOnce({ errors: [{ message: 'Invalid date' }], added: [], updated: [], updatedPreview: [] });
+
+    const result = await transactionsImportPreview('acc-1', rows);
+
+    expect(result).toEqual({ summary: { new: 0, update: 0, duplicate: 0 }, rows: [], errors: [{ message: 'Invalid date' }] });
+    expect(mockApi.internal.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Import profile tests (SQLite auth database under tests/data).
+ */
+
+import { mkdirSync, rmSync } from 'fs';
+
+mkdirSync('./tests/data', { recursive: true });
+
+const {
+  listImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+  resolveImportSettings,
+} = await import('../../src/services/importProfiles.js');
+const { closeDb } = await import('../../src/db/authDb.js');
+const { runInBudget } = await import('../../src/services/budgetContext.js');
+const { NotFoundError, ValidationError } = await import('../../src/errors/index.js');
+const { CreateImportProfileSchema } = await import('../../src/middleware/validation-schemas.js');
+
+const ACCOUNT_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_ACCOUNT_ID = '33333333-3333-4333-8333-333333333333';
+
+describe('Import Profiles', () => {
+  let profile;
+
+  beforeAll(async () => {
+    profile = await createImportProfile({
+      name: 'Sparkasse CSV',
+      accountId: ACCOUNT_ID,
+      settings: {
+        format: 'csv',
+        dateFormat: 'DD.MM.YYYY',
+        delimiter: ';',
+        decimalSeparator: ',',
+        mapping: { date: 'Buchungstag', amount: 'Betrag', payee: 'Beguenstigter' },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await closeDb();
+    rmSync('./tests/data', { recursive: true, force: true });
+  });
+
+  it('should store settings as given', async () => {
+    expect(profile).toMatchObject({
+      name: 'Sparkasse CSV',
+      accountId: ACCOUNT_ID,
+      settings: { delimiter: ';', mapping: { date: 'Buchungstag' } },
+    });
+    await expect(getImportProfile(profile.id)).resolves.toEqual(profile);
+  });
+
+  it('should list profiles per account', async () => {
+    await expect(listImportProfiles(ACCOUNT_ID)).resolves.toHaveLength(1);
+    await expect(listImportProfiles(OTHER_ACCOUNT_ID)).resolves.toEqual([]);
+  });
+
+  it('should let request settings override the profile', async () => {
+    const settings = await resolveImportSettings(profile.id, ACCOUNT_ID, { delimiter: ',', dateFormat: undefined });
+
+    expect(settings).toMatchObject({ delimiter: ',', dateFormat: 'DD.MM.YYYY', decimalSeparator: ',' });
+  });
+
+  it('should reject unknown profiles and profiles of another account', async () => {
+    await expect(resolveImportSettings('missing', ACCOUNT_ID, {})).rejects.toThrow(NotFoundError);
+    await expect(resolveImportSettings(profile.id, OTHER_ACCOUNT_ID, {})).rejects.toThrow(ValidationError);
+  });
+
+  it('should keep profiles to the budget they were created in', async () => {
+    await runInBudget('other-sync-id', async () => {
+      await expect(listImportProfiles()).resolves.toEqual([]);
+      await expect(getImportProfile(profile.id)).resolves.toBeNull();
+      await expect(updateImportProfile(profile.id, { name: 'x' })).rejects.toThrow(NotFoundError);
+      await expect(deleteImportProfile(profile.id)).resolves.toBe(false);
+      await expect(resolveImportSettings(profile.id, ACCOUNT_ID, {})).rejects.toThrow(NotFoundError);
+    });
+    await expect(getImportProfile(profile.id)).resolves.toEqual(profile);
+  });
+
+  it('should update and delete profiles', async () => {
+    const updated = await updateImportProfile(profile.id, { name: 'Sparkasse' });
+    expect(updated).toMatchObject({ name: 'Sparkasse', settings: profile.settings });
+
+    await expect(updateImportProfile('missing', { name: 'x' })).rejects.toThrow(NotFoundError);
+    await expect(deleteImportProfile(profile.id)).resolves.toBe(true);
+    await expect(deleteImportProfile(profile.id)).resolves.toBe(false);
+  });
+
+  it('should validate profile settings', () => {
+    const result = CreateImportProfileSchema.safeParse({
+      profile: { name: 'Bank', accountId: ACCOUNT_ID, settings: { mapping: { date: 'Date' } } },
+    });
+    expect(result.success).toBe(false);
+  });
+});
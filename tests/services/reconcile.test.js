@@ -0,0 +1,84 @@
+/**
+ * Account reconciliation tests (Actual API mocked).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+// Cleared transactions up to the statement date (the query result), balance 10000
+const cleared = [
+  { id: 'old', amount: 20000, is_parent: false, reconciled: true },
+  { id: 'rent', amount: -8000, is_parent: false, reconciled: false },
+  { id: 'split', amount: -2000, is_parent: true, reconciled: false },
+  { id: 'split/1', amount: -1500, is_parent: false, reconciled: false },
+  { id: 'split/2', amount: -500, is_parent: false, reconciled: false },
+];
+
+const mockApi = mockActualApi({
+  aqlQuery: jest.fn(async () => ({ data: cleared })),
+  getAccounts: jest.fn(async () => [{ id: 'acc-checking' }]),
+  addTransactions: jest.fn(async () => 'ok'),
+  updateTransaction: jest.fn(async () => []),
+  updateAccount: jest.fn(async () => undefined),
+  batchBudgetUpdates: jest.fn(async (fn) => fn()),
+});
+
+const { accountReconcile, shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { NotFoundError } = await import('../../src/errors/index.js');
+
+const reconciledIds = () => mockApi.updateTransaction.mock.calls.map(([id, fields]) => {
+  expect(fields).toEqual({ reconciled: true });
+  return id;
+});
+
+describe('Account Reconciliation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  it('should mark cleared transactions reconciled when the statement matches', async () => {
+    const result = await accountReconcile('acc-checking', { balance: 10000, date: '2025-03-31' });
+
+    expect(mockApi.aqlQuery.mock.calls[0][0].state).toMatchObject({
+      filter: { account: 'acc-checking', cleared: true, date: { $lte: '2025-03-31' } },
+      options: { splits: 'all' },
+    });
+    expect(result).toEqual({ clearedBalance: 10000, difference: 0, adjustment: null, reconciled: true, reconciledCount: 4 });
+    expect(reconciledIds()).toEqual(['rent', 'split', 'split/1', 'split/2']);
+    expect(mockApi.updateAccount).toHaveBeenCalledWith('acc-checking', { last_reconciled: expect.stringMatching(/^\d+$/) });
+  });
+
+  it('should report a difference without marking anything', async () => {
+    const result = await accountReconcile('acc-checking', { balance: 10340, date: '2025-03-31' });
+
+    expect(result).toMatchObject({ clearedBalance: 10000, difference: 340, reconciled: false, reconciledCount: 0 });
+    expect(mockApi.addTransactions).not.toHaveBeenCalled();
+    expect(mockApi.updateTransaction).not.toHaveBeenCalled();
+    expect(mockApi.updateAccount).not.toHaveBeenCalled();
+  });
+
+  it('should book the difference as an adjustment and reconcile it too', async () => {
+    const result = await accountReconcile('acc-checking', { balance: 9900, date: '2025-03-31', createAdjustment: true });
+
+    const [accountId, [added]] = mockApi.addTransactions.mock.calls[0];
+    expect(accountId).toBe('acc-checking');
+    expect(added).toMatchObject({ date: '2025-03-31', amount: -100, cleared: true, notes: 'Reconciliation balance adjustment' });
+    expect(result).toMatchObject({ clearedBalance: 10000, difference: 0, adjustment: { id: added.id, amount: -100 }, reconciled: true, reconciledCount: 5 });
+    expect(reconciledIds()).toContain(added.id);
+  });
+
+  it('should only check the balance when markReconciled is false', async () => {
+    const result = await accountReconcile('acc-checking', { balance: 10000, date: '2025-03-31', markReconciled: false });
+
+    expect(result).toMatchObject({ difference: 0, reconciled: false });
+    expect(mockApi.updateTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown accounts', async () => {
+    await expect(accountReconcile('missing', { balance: 0, date: '2025-03-31' })).rejects.toThrow(NotFoundError);
+    expect(mockApi.aqlQuery).not.toHaveBeenCalled();
+  });
+});
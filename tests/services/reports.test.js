@@ -0,0 +1,187 @@
+/**
+ * Report tests (Actual API mocked; aggregate query results as Actual returns them).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const accounts = [
+  { id: 'acc-checking', name: 'Checking', offbudget: false, closed: false },
+  { id: 'acc-mortgage', name: 'Mortgage', offbudget: true, closed: false },
+];
+
+// Balances before the range, then net change per account and day
+const opening = [
+  { account: 'acc-checking', amount: 100000 },
+  { account: 'acc-mortgage', amount: -5000000 },
+];
+const days = [
+  { account: 'acc-checking', date: '2025-01-03', amount: -2000 },
+  { account: 'acc-mortgage', date: '2025-01-15', amount: 20000 },
+  { account: 'acc-checking', date: '2025-01-31', amount: 250000 },
+  { account: 'acc-checking', date: '2025-02-10', amount: -1000 },
+  { account: 'acc-checking', date: '2025-03-02', amount: -500 },
+];
+
+// Cash flow: money in and out per day
+const income = [{ date: '2025-01-31', amount: 250000 }, { date: '2025-03-31', amount: 250000 }];
+const expenses = [{ date: '2025-01-03', amount: -2000 }, { date: '2025-01-20', amount: -3000 }, { date: '2025-03-02', amount: -500 }];
+
+// Spending: net amount per category and month (a refund makes "cat-fun" positive in February)
+const spending = {
+  '2025-03-01': [{ key: 'cat-food', amount: -40000 }, { key: 'cat-fun', amount: -5000 }, { key: null, amount: -1200 }],
+  '2025-02-01': [{ key: 'cat-food', amount: -35000 }, { key: 'cat-fun', amount: 1000 }, { key: 'cat-rent', amount: -90000 }],
+  '2024-03-01': [{ key: 'cat-food', amount: -30000 }],
+};
+const categories = [{ id: 'cat-food', name: 'Food' }, { id: 'cat-fun', name: 'Fun' }, { id: 'cat-rent', name: 'Rent' }];
+
+const mockApi = mockActualApi({
+  aqlQuery: jest.fn(async ({ state }) => {
+    if (state.table === 'categories') return { data: categories };
+    if (Array.isArray(state.groupBy) && state.groupBy[0] === 'category') {
+      return { data: spending[state.filter.$and[0].date.$gte] || [] };
+    }
+    if (state.groupBy === 'date') {
+      return { data: state.filter.$and.at(-1).amount.$gt === 0 ? income : expenses };
+    }
+    const rows = state.groupBy === 'account' ? opening : days;
+    const accountIds = state.filter.account?.$oneof;
+    return { data: accountIds ? rows.filter(row => accountIds.includes(row.account)) : rows };
+  }),
+  getAccounts: jest.fn(async () => accounts),
+});
+
+const { shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { balanceHistory, netWorthHistory, netWorthReport, cashFlowReport, spendingReport } = await import('../../src/services/reports.js');
+const { NotFoundError, ValidationError } = await import('../../src/errors/index.js');
+
+describe('Reports', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  describe('balanceHistory', () => {
+    it('should return the running balance at the end of each month', async () => {
+      const balances = await balanceHistory('acc-checking', { start: '2025-01-01', end: '2025-03-15', interval: 'month' });
+
+      expect(balances).toEqual([
+        { date: '2025-01-31', balance: 348000 },
+        { date: '2025-02-28', balance: 347000 },
+        { date: '2025-03-15', balance: 346500 },
+      ]);
+      const [before, inRange] = mockApi.aqlQuery.mock.calls.map(call => call[0].state);
+      expect(before.filter).toEqual({ account: { $oneof: ['acc-checking'] }, date: { $lt: '2025-01-01' } });
+      expect(inRange).toMatchObject({
+        filter: { account: { $oneof: ['acc-checking'] }, date: { $gte: '2025-01-01', $lte: '2025-03-15' } },
+        groupBy: ['account', 'date'],
+      });
+    });
+
+    it('should split weeks Monday to Sunday with partial weeks at the edges', async () => {
+      const balances = await balanceHistory('acc-checking', { start: '2025-01-01', end: '2025-01-14', interval: 'week' });
+
+      expect(balances).toEqual([
+        { date: '2025-01-05', balance: 98000 },
+        { date: '2025-01-12', balance: 98000 },
+        { date: '2025-01-14', balance: 98000 },
+      ]);
+    });
+
+    it('should reject unknown accounts and oversized ranges', async () => {
+      await expect(balanceHistory('missing', { start: '2025-01-01', end: '2025-01-31' })).rejects.toThrow(NotFoundError);
+      await expect(balanceHistory('acc-checking', { start: '2020-01-01', end: '2025-01-01', interval: 'day' })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('netWorthHistory', () => {
+    it('should split net worth into on-budget and off-budget accounts', async () => {
+      const balances = await netWorthHistory({ start: '2025-01-01', end: '2025-02-28', interval: 'month' });
+
+      expect(balances).toEqual([
+        { date: '2025-01-31', onBudget: 348000, offBudget: -4980000, total: -4632000 },
+        { date: '2025-02-28', onBudget: 347000, offBudget: -4980000, total: -4633000 },
+      ]);
+      expect(mockApi.aqlQuery.mock.calls[0][0].state.filter).toEqual({ date: { $lt: '2025-01-01' } });
+    });
+  });
+
+  describe('netWorthReport', () => {
+    it('should split balances into assets and liabilities per month', async () => {
+      const report = await netWorthReport({ start: '2025-01', end: '2025-02' });
+
+      expect(report).toEqual({
+        start: '2025-01-01',
+        end: '2025-02-28',
+        months: [
+          { month: '2025-01', assets: 348000, liabilities: -4980000, netWorth: -4632000 },
+          { month: '2025-02', assets: 347000, liabilities: -4980000, netWorth: -4633000 },
+        ],
+      });
+    });
+
+    it('should default to the twelve months up to this one', async () => {
+      const { months } = await netWorthReport({ accountIds: ['acc-checking'] });
+
+      expect(months).toHaveLength(12);
+      expect(months.at(-1).month).toBe(new Date().toISOString().slice(0, 7));
+      expect(months.every(month => month.liabilities === 0)).toBe(true);
+    });
+  });
+
+  describe('cashFlowReport', () => {
+    it('should total income and expenses per month, leaving out on-budget transfers', async () => {
+      const report = await cashFlowReport({ start: '2025-01', end: '2025-03' });
+
+      expect(report.months).toEqual([
+        { month: '2025-01', income: 250000, expenses: -5000, net: 245000 },
+        { month: '2025-02', income: 0, expenses: 0, net: 0 },
+        { month: '2025-03', income: 250000, expenses: -500, net: 249500 },
+      ]);
+      expect(report.totals).toEqual({ income: 500000, expenses: -5500, net: 494500 });
+      const conditions = mockApi.aqlQuery.mock.calls[0][0].state.filter.$and;
+      expect(conditions).toEqual(expect.arrayContaining([
+        { date: { $gte: '2025-01-01', $lte: '2025-03-31' } },
+        { 'account.offbudget': false },
+        { $or: [{ 'payee.transfer_acct': null }, { 'payee.transfer_acct.offbudget': true }] },
+      ]));
+    });
+
+    it('should filter by accounts and category groups', async () => {
+      await cashFlowReport({ start: '2025-01', end: '2025-01', accountIds: ['acc-mortgage'], categoryGroupIds: ['grp-bills'] });
+
+      const conditions = mockApi.aqlQuery.mock.calls[0][0].state.filter.$and;
+      expect(conditions).toContainEqual({ account: { $oneof: ['acc-mortgage'] } });
+      expect(conditions).toContainEqual({ 'category.group': { $oneof: ['grp-bills'] } });
+      expect(conditions).not.toContainEqual({ 'account.offbudget': false });
+    });
+  });
+
+  describe('spendingReport', () => {
+    it('should compare a month\'s spending with the month before and a year earlier', async () => {
+      const report = await spendingReport({ month: '2025-03' });
+
+      expect(report).toMatchObject({ month: '2025-03', previousMonth: '2025-02', previousYear: '2024-03', groupBy: 'category' });
+      expect(report.items).toEqual([
+        { id: 'cat-food', name: 'Food', amount: 40000, previousMonth: 35000, previousYear: 30000 },
+        { id: 'cat-fun', name: 'Fun', amount: 5000, previousMonth: -1000, previousYear: 0 },
+        { id: null, name: 'Uncategorized', amount: 1200, previousMonth: 0, previousYear: 0 },
+        { id: 'cat-rent', name: 'Rent', amount: 0, previousMonth: 90000, previousYear: 0 },
+      ]);
+      expect(report.total).toEqual({ amount: 46200, previousMonth: 124000, previousYear: 30000 });
+      const { filter, select } = mockApi.aqlQuery.mock.calls[0][0].state;
+      expect(filter.$and[0]).toEqual({ date: { $gte: '2025-03-01', $lte: '2025-03-31' } });
+      expect(filter.$and).toContainEqual({ $or: [{ category: null }, { 'category.is_income': false }] });
+      expect(select).toEqual([{ key: '$category' }, { amount: { $sum: '$amount' } }]);
+    });
+
+    it('should list the top groups and sum up the rest', async () => {
+      const report = await spendingReport({ month: '2025-03', limit: 1 });
+
+      expect(report.items.map(item => item.id)).toEqual(['cat-food']);
+      expect(report.other).toEqual({ amount: 6200, previousMonth: 89000, previousYear: 0 });
+    });
+  });
+});
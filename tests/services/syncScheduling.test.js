@@ -0,0 +1,91 @@
+/**
+ * Sync scheduling tests: reads inside the staleness window use the local cache,
+ * writes always sync.
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+process.env.ACTUAL_SYNC_STALENESS_MS = '1000';
+process.env.ACTUAL_SYNC_INTERVAL_MS = '1000';
+
+const mockApi = mockActualApi({
+  getAccounts: jest.fn(async () => []),
+  getPayees: jest.fn(async () => []),
+  updatePayee: jest.fn(async () => undefined),
+});
+
+const {
+  accountsList,
+  payeesList,
+  payeeUpdate,
+  getLastSyncAt,
+  getSyncStatus,
+  shutdownActualApi,
+} = await import('../../src/services/actualApi.js');
+const { runSyncCycle } = await import('../../src/services/syncScheduler.js');
+const { runInBudget } = await import('../../src/services/budgetContext.js');
+
+describe('Sync Scheduling', () => {
+  beforeEach(() => {
+    mockApi.sync.mockClear();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  it('should serve reads from the local cache right after the download', async () => {
+    await accountsList();
+    await payeesList();
+
+    expect(mockApi.downloadBudget).toHaveBeenCalledWith('test-sync-id');
+    expect(mockApi.sync).not.toHaveBeenCalled();
+    expect(getLastSyncAt()).toBeInstanceOf(Date);
+  });
+
+  it('should always sync before and after writes', async () => {
+    await payeeUpdate('payee-1', { name: 'Renamed' });
+
+    expect(mockApi.sync).toHaveBeenCalledTimes(2);
+  });
+
+  it('should sync reads once the local copy is stale', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+    try {
+      await payeesList();
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(mockApi.sync).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report the last sync time to the request context', async () => {
+    const onLastSync = jest.fn();
+    await runInBudget('test-sync-id', () => accountsList(), { onLastSync });
+
+    expect(onLastSync).toHaveBeenCalledWith(getLastSyncAt().toISOString());
+  });
+
+  it('should only sync budgets older than the interval in the background', async () => {
+    await runSyncCycle();
+    expect(mockApi.sync).not.toHaveBeenCalled();
+
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+    try {
+      await runSyncCycle();
+    } finally {
+      spy.mockRestore();
+    }
+    expect(mockApi.sync).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report sync status per budget', () => {
+    const status = getSyncStatus();
+
+    expect(status.stalenessMs).toBe(1000);
+    expect(status.budgets['test-sync-id'].lastSyncAt).toBe(getLastSyncAt().toISOString());
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Transaction export tests (Actual API mocked).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const accounts = [
+  { id: 'acc-savings', name: 'Savings', offbudget: false, closed: false },
+  { id: 'acc-checking', name: 'Checking', offbudget: false, closed: false },
+  { id: 'acc-old', name: 'Old card', offbudget: false, closed: true },
+];
+
+const transactions = [
+  { id: 'txn-1', account: 'acc-checking', date: '2025-01-05', amount: -1250, payee: 'payee-1', category: 'cat-1', notes: 'Milk, "fresh"', cleared: true },
+  { id: 'txn-2', account: 'acc-checking', date: '2025-01-07', amount: 250000, payee: 'payee-2', category: null, notes: '=SUM(A1)', cleared: false },
+  { id: 'txn-3', account: 'acc-savings', date: '2025-01-09', amount: 10000, payee: null, category: null, notes: null, imported_id: 'bank-9' },
+];
+
+const mockApi = mockActualApi({
+  // Account filter plus the cursor's "after id" condition (ids sort like dates here)
+  aqlQuery: jest.fn(async ({ state }) => {
+    const conditions = state.filter.$and;
+    const accountId = conditions.find(c => c.account)?.account;
+    const afterId = conditions.find(c => c.$or)?.$or[1].$and[1].id.$gt;
+    const rows = transactions.filter(t => t.account === accountId && (!afterId || t.id > afterId));
+    return { data: state.limit ? rows.slice(0, state.limit) : rows };
+  }),
+  getAccounts: jest.fn(async () => accounts),
+  getPayees: jest.fn(async () => [{ id: 'payee-1', name: 'Supermarket & Co' }, { id: 'payee-2', name: 'Employer' }]),
+  getCategories: jest.fn(async () => [{ id: 'cat-1', name: 'Groceries' }]),
+});
+
+const { transactionsExport, shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { exportTransactions } = await import('../../src/services/transactionExport.js');
+const { NotFoundError } = await import('../../src/errors/index.js');
+
+const collect = async (chunks) => {
+  let text = '';
+  for await (const chunk of chunks) text += chunk;
+  return text;
+};
+
+describe('Transaction Export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  describe('transactionsExport', () => {
+    it('should page through open on-budget accounts by name with split lines inline', async () => {
+      const pages = [];
+      for await (const page of transactionsExport({}, { pageSize: 1 })) pages.push(page);
+
+      expect(pages.map(p => [p.account.name, p.transactions.map(t => t.id)])).toEqual([
+        ['Checking', ['txn-1']],
+        ['Checking', ['txn-2']],
+        ['Savings', ['txn-3']],
+      ]);
+      expect(pages[0].transactions[0]).toMatchObject({ account_name: 'Checking', payee_name: 'Supermarket & Co', category_name: 'Groceries' });
+      expect(mockApi.aqlQuery.mock.calls[0][0].state.options).toEqual({ splits: 'inline' });
+    });
+
+    it('should export a requested account whatever its state', async () => {
+      const pages = [];
+      for await (const page of transactionsExport({ accountId: 'acc-old' })) pages.push(page);
+
+      expect(pages).toEqual([{ account: accounts[2], transactions: [] }]);
+    });
+
+    it('should reject unknown accounts before the first page', async () => {
+      await expect(transactionsExport({ accountId: 'missing' }).next()).rejects.toThrow(NotFoundError);
+      expect(mockApi.aqlQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportTransactions', () => {
+    it('should write CSV with quoting and spreadsheet formulas defused', async () => {
+      const csv = await collect(exportTransactions('csv', { accountId: 'acc-checking' }));
+
+      expect(csv.split('\n')).toEqual([
+        'date,account,payee,category,amount,notes,cleared,reconciled,id,parent_id,imported_id',
+        '2025-01-05,Checking,Supermarket & Co,Groceries,-12.50,"Milk, ""fresh""",true,false,txn-1,,',
+        '2025-01-07,Checking,Employer,,2500.00,\'=SUM(A1),false,false,txn-2,,',
+        '',
+      ]);
+    });
+
+    it('should write one JSON object per line', async () => {
+      const jsonl = await collect(exportTransactions('jsonl', {}));
+
+      const rows = jsonl.trim().split('\n').map(line => JSON.parse(line));
+      expect(rows.map(r => r.id)).toEqual(['txn-1', 'txn-2', 'txn-3']);
+      expect(rows[0]).toMatchObject({ amount: -1250, payee_name: 'Supermarket & Co' });
+    });
+
+    it('should write an OFX statement per account', async () => {
+      const ofx = await collect(exportTransactions('ofx', { end: '2025-01-31' }, { currency: 'EUR' }));
+
+      expect(ofx.match(/<STMTTRNRS>/g)).toHaveLength(2);
+      expect(ofx.match(/<\/STMTTRNRS>/g)).toHaveLength(2);
+      expect(ofx).toContain('<ACCTID>acc-checking</ACCTID>');
+      expect(ofx).toContain('<CURDEF>EUR</CURDEF>');
+      expect(ofx).toContain('<DTSTART>20250105</DTSTART>\n<DTEND>20250131</DTEND>');
+      expect(ofx).toContain('<TRNTYPE>DEBIT</TRNTYPE>\n<DTPOSTED>20250105</DTPOSTED>\n<TRNAMT>-12.50</TRNAMT>');
+      expect(ofx).toContain('<NAME>Supermarket &amp; Co</NAME>');
+      expect(ofx).toContain('<FITID>bank-9</FITID>');
+      expect(ofx.trim().endsWith('</BANKMSGSRSV1>\n</OFX>')).toBe(true);
+    });
+
+    it('should still write a complete file when nothing matches', async () => {
+      mockApi.getAccounts.mockResolvedValueOnce([]);
+
+      const ofx = await collect(exportTransactions('ofx', {}));
+
+      expect(ofx).toContain('<BANKMSGSRSV1>\n</BANKMSGSRSV1>\n</OFX>');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Transaction list filter and cursor tests.
+ */
+
+import {
+  buildTransactionFilter,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+} from '../../src/services/transactionQuery.js';
+import { ValidationError } from '../../src/errors/index.js';
+
+describe('Transaction Query', () => {
+  describe('buildTransactionFilter', () => {
+    it('should only include given filters', () => {
+      expect(buildTransactionFilter({ accountId: 'acc-1' })).toEqual({ $and: [{ account: 'acc-1' }] });
+    });
+
+    it('should combine all filters', () => {
+      const filter = buildTransactionFilter({
+        accountId: 'acc-1',
+        start: '2025-01-01',
+        end: '2025-01-31',
+        payee: 'payee-1',
+        category: 'cat-1',
+        minAmount: -5000,
+        maxAmount: 0,
+        cleared: false,
+        reconciled: true,
+        notes: 'coffee',
+      });
+
+      expect(filter.$and).toEqual([
+        { account: 'acc-1' },
+        { date: { $gte: '2025-01-01' } },
+        { date: { $lte: '2025-01-31' } },
+        { payee: 'payee-1' },
+        { category: 'cat-1' },
+        { amount: { $gte: -5000 } },
+        { amount: { $lte: 0 } },
+        { cleared: false },
+        { reconciled: true },
+        { notes: { $like: '%coffee%' } },
+      ]);
+    });
+
+    it('should match LIKE wildcards in notes literally', () => {
+      const [{ notes: { $regexp: pattern } }] = buildTransactionFilter({ notes: '50% Off?' }).$and;
+      // Actual runs $regexp as new RegExp(pattern).test(notes)
+      const matches = (notes) => new RegExp(pattern).test(notes);
+
+      expect(matches('Sale: 50% off? Yes')).toBe(true);
+      expect(matches('500 off')).toBe(false);
+      expect(matches('50% off!')).toBe(false);
+      expect(buildTransactionFilter({ notes: 'a_b' }).$and).toEqual([{ notes: { $like: '%a_b%' } }]);
+    });
+
+    it('should skip off-budget and closed accounts only when asked to', () => {
+      expect(buildTransactionFilter({ includeOffBudget: false, includeClosed: false }).$and).toEqual([
+        { 'account.offbudget': false },
+        { 'account.closed': false },
+      ]);
+      expect(buildTransactionFilter({ includeOffBudget: true, includeClosed: true }).$and).toEqual([]);
+    });
+  });
+
+  describe('cursors', () => {
+    const transaction = { id: 'txn-9', date: '2025-01-15', amount: -1250 };
+
+    it('should round-trip the sort position', () => {
+      const cursor = encodeCursor(transaction, 'date', 'desc');
+      expect(decodeCursor(cursor, 'date', 'desc')).toEqual({
+        sort: 'date', order: 'desc', value: '2025-01-15', id: 'txn-9',
+      });
+    });
+
+    it('should reject malformed cursors and cursors for another sort', () => {
+      const cursor = encodeCursor(transaction, 'date', 'desc');
+      expect(() => decodeCursor('not-a-cursor', 'date', 'desc')).toThrow(ValidationError);
+      expect(() => decodeCursor(cursor, 'amount', 'desc')).toThrow('different sort order');
+    });
+
+    it('should continue strictly after the cursor, breaking ties by id', () => {
+      expect(cursorFilter({ value: -1250, id: 'txn-9' }, 'amount', 'asc')).toEqual({
+        $or: [
+          { amount: { $gt: -1250 } },
+          { $and: [{ amount: -1250 }, { id: { $gt: 'txn-9' } }] },
+        ],
+      });
+    });
+  });
+});
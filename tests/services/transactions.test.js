@@ -0,0 +1,223 @@
+/**
+ * Transaction service tests (Actual API mocked).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const transactions = [
+  {
+    id: 'txn-split',
+    account: 'acc-1',
+    payee: 'payee-1',
+    category: null,
+    amount: -3000,
+    is_parent: true,
+    subtransactions: [
+      { id: 'txn-split/1', parent_id: 'txn-split', account: 'acc-1', payee: 'payee-1', category: 'cat-1', amount: -2000 },
+      { id: 'txn-split/2', parent_id: 'txn-split', account: 'acc-1', payee: 'payee-1', category: 'cat-2', amount: -1000 },
+    ],
+  },
+  { id: 'txn-plain', account: 'acc-1', payee: 'payee-1', category: 'cat-1', amount: -5000, date: '2025-01-10', is_parent: false },
+];
+
+const mockApi = mockActualApi({
+  aqlQuery: jest.fn(async ({ state }) => {
+    if (state.filter?.id?.$oneof) {
+      // splits: 'all' returns parents and split lines as separate rows
+      const rows = transactions.flatMap(t => [t, ...(t.subtransactions || [])]);
+      return { data: rows.filter(t => state.filter.id.$oneof.includes(t.id)) };
+    }
+    return {
+      // Like Actual's grouped splits: a split line id matches its parent
+      data: state.filter?.id
+        ? transactions.filter(t => t.id === state.filter.id || t.subtransactions?.some(c => c.id === state.filter.id))
+        : transactions,
+    };
+  }),
+  batchBudgetUpdates: jest.fn(async (fn) => {
+    await fn();
+  }),
+  updateTransaction: jest.fn(async () => []),
+  deleteTransaction: jest.fn(async () => []),
+  getAccounts: jest.fn(async () => [{ id: 'acc-1', name: 'Checking' }]),
+  getPayees: jest.fn(async () => [{ id: 'payee-1', name: 'Supermarket' }]),
+  getCategories: jest.fn(async () => [{ id: 'cat-1', name: 'Groceries' }, { id: 'cat-2', name: 'Household' }]),
+});
+
+const {
+  transactionGet,
+  transactionsSearch,
+  transactionSetSplits,
+  transactionUnsplit,
+  transactionsBulkUpdate,
+  transactionsBulkDelete,
+  shutdownActualApi,
+} = await import('../../src/services/actualApi.js');
+const { NotFoundError, ValidationError } = await import('../../src/errors/index.js');
+
+describe('Transaction Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  describe('transactionGet', () => {
+    it('should return the transaction with names resolved and splits embedded', async () => {
+      const transaction = await transactionGet('txn-split');
+
+      expect(transaction).toMatchObject({
+        id: 'txn-split',
+        account_name: 'Checking',
+        payee_name: 'Supermarket',
+        category_name: null,
+      });
+      expect(transaction.subtransactions.map(t => t.category_name)).toEqual(['Groceries', 'Household']);
+    });
+
+    it('should return null for unknown ids', async () => {
+      await expect(transactionGet('missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('transactionsSearch', () => {
+    it('should leave out off-budget and closed accounts by default', async () => {
+      await transactionsSearch({ notes: 'coffee' });
+
+      const { state } = mockApi.aqlQuery.mock.calls[0][0];
+      expect(state.filter.$and).toEqual(expect.arrayContaining([
+        { 'account.offbudget': false },
+        { 'account.closed': false },
+      ]));
+    });
+
+    it('should search a requested account whatever its state', async () => {
+      await transactionsSearch({ accountId: 'acc-1' });
+
+      const { state } = mockApi.aqlQuery.mock.calls[0][0];
+      expect(state.filter.$and).toEqual([{ account: 'acc-1' }]);
+    });
+
+    it('should fetch one extra row to detect the next page', async () => {
+      const result = await transactionsSearch({}, { limit: 1 });
+
+      const { state } = mockApi.aqlQuery.mock.calls[0][0];
+      expect(state.limit).toBe(2);
+      expect(result.transactions).toHaveLength(1);
+      expect(typeof result.nextCursor).toBe('string');
+    });
+  });
+
+  describe('transactionSetSplits', () => {
+    it('should turn a normal transaction into a split with full child rows', async () => {
+      const ids = await transactionSetSplits('txn-plain', [
+        { amount: -3000, category: 'cat-1' },
+        { amount: -2000, category: 'cat-2', notes: 'Soap' },
+      ]);
+
+      expect(ids).toHaveLength(2);
+      const [id, fields] = mockApi.updateTransaction.mock.calls[0];
+      expect(id).toBe('txn-plain');
+      expect(fields).toMatchObject({ is_parent: true, category: null, amount: -5000 });
+      expect(fields.subtransactions[1]).toMatchObject({
+        id: ids[1],
+        parent_id: 'txn-plain',
+        is_child: true,
+        account: 'acc-1',
+        date: '2025-01-10',
+        payee: 'payee-1',
+        category: 'cat-2',
+        notes: 'Soap',
+      });
+    });
+
+    it('should keep ids of edited lines and drop lines left out', async () => {
+      const ids = await transactionSetSplits('txn-split', [
+        { id: 'txn-split/1', amount: -1500 },
+        { amount: -1500, category: 'cat-2' },
+      ]);
+
+      expect(ids[0]).toBe('txn-split/1');
+      const { subtransactions } = mockApi.updateTransaction.mock.calls[0][1];
+      expect(subtransactions.map(line => line.id)).not.toContain('txn-split/2');
+      expect(subtransactions[0]).toMatchObject({ amount: -1500, category: 'cat-1' });
+    });
+
+    it('should reject lines that do not add up to the amount', async () => {
+      await expect(transactionSetSplits('txn-plain', [{ amount: -100 }])).rejects.toThrow(ValidationError);
+      await expect(transactionSetSplits('txn-plain', [{ amount: -100 }], -100)).resolves.toHaveLength(1);
+    });
+
+    it('should reject unknown line ids, split line ids and unknown transactions', async () => {
+      await expect(transactionSetSplits('txn-split', [{ id: 'other', amount: -3000 }])).rejects.toThrow('Unknown split line ids');
+      await expect(transactionSetSplits('txn-split/1', [{ amount: -2000 }])).rejects.toThrow('split line');
+      await expect(transactionSetSplits('missing', [{ amount: 0 }])).rejects.toThrow(NotFoundError);
+      expect(mockApi.updateTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transactionUnsplit', () => {
+    it('should delete every line and set the category', async () => {
+      await transactionUnsplit('txn-split', 'cat-1');
+
+      expect(mockApi.deleteTransaction.mock.calls.map(call => call[0])).toEqual(['txn-split/1', 'txn-split/2']);
+      expect(mockApi.updateTransaction).toHaveBeenCalledWith('txn-split', { category: 'cat-1' });
+    });
+
+    it('should reject transactions that are not split', async () => {
+      await expect(transactionUnsplit('txn-plain')).rejects.toThrow('not split');
+    });
+  });
+
+  describe('transactionsBulkUpdate', () => {
+    it('should report changes per id and write only what changes', async () => {
+      const results = await transactionsBulkUpdate({ ids: ['txn-plain', 'txn-split/1', 'missing'] }, { category: 'cat-1' });
+
+      expect(results).toEqual([
+        { id: 'txn-plain', status: 'unchanged', changes: {} },
+        { id: 'txn-split/1', status: 'unchanged', changes: {} },
+        expect.objectContaining({ id: 'missing', status: 'error' }),
+      ]);
+      expect(mockApi.updateTransaction).not.toHaveBeenCalled();
+
+      await transactionsBulkUpdate({ ids: ['txn-plain', 'txn-split/2'] }, { category: 'cat-2' });
+      expect(mockApi.batchBudgetUpdates).toHaveBeenCalledTimes(1);
+      expect(mockApi.updateTransaction.mock.calls).toEqual([['txn-plain', { category: 'cat-2' }]]);
+    });
+
+    it('should not write on a dry run', async () => {
+      const results = await transactionsBulkUpdate({ filters: { payee: 'payee-1' } }, { notes: 'Checked' }, { dryRun: true });
+
+      expect(results[0]).toMatchObject({ status: 'ok', changes: { notes: { from: null, to: 'Checked' } } });
+      const { state } = mockApi.aqlQuery.mock.calls[0][0];
+      expect(state.filter.$and).toEqual([{ payee: 'payee-1' }]);
+      expect(mockApi.updateTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to categorize a split parent', async () => {
+      const [result] = await transactionsBulkUpdate({ ids: ['txn-split'] }, { category: 'cat-1' });
+
+      expect(result).toMatchObject({ status: 'error', error: { code: 'VALIDATION_ERROR' } });
+    });
+  });
+
+  describe('transactionsBulkDelete', () => {
+    it('should delete matched transactions in one batch', async () => {
+      const results = await transactionsBulkDelete({ ids: ['txn-plain', 'missing'] });
+
+      expect(results.map(r => r.status)).toEqual(['ok', 'error']);
+      expect(results[0].transaction).toMatchObject({ amount: -5000, date: '2025-01-10' });
+      expect(mockApi.deleteTransaction.mock.calls).toEqual([['txn-plain']]);
+    });
+
+    it('should only list what would be deleted on a dry run', async () => {
+      const results = await transactionsBulkDelete({ filters: { category: 'cat-1' } }, { dryRun: true });
+
+      expect(results).toHaveLength(2);
+      expect(mockApi.deleteTransaction).not.toHaveBeenCalled();
+      expect(mockApi.batchBudgetUpdates).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Transfer service tests (Actual API mocked).
+ */
+
+import { mockActualApi } from '../helpers/actualApi.js';
+
+const transactions = [
+  { id: 'out-1', account: 'acc-checking', payee: 'payee-savings', amount: -5000, transfer_id: 'in-1' },
+  { id: 'in-1', account: 'acc-savings', payee: 'payee-checking', amount: 5000, transfer_id: 'out-1' },
+  { id: 'plain', account: 'acc-checking', payee: 'payee-shop', amount: -100, transfer_id: null },
+  { id: 'to-split', account: 'acc-checking', payee: 'payee-savings', amount: -700, transfer_id: 'split/1' },
+  { id: 'split/1', account: 'acc-savings', amount: 700, transfer_id: 'to-split', is_child: true, parent_id: 'split' },
+];
+
+const mockApi = mockActualApi({
+  aqlQuery: jest.fn(async ({ state }) => {
+    const found = transactions.find(t => t.id === state.filter.id);
+    // A transaction just added by transferCreate: Actual has linked it by now
+    return { data: found ? [found] : [{ id: state.filter.id, transfer_id: 'created-in' }] };
+  }),
+  getAccounts: jest.fn(async () => [{ id: 'acc-checking' }, { id: 'acc-savings' }, { id: 'acc-cash' }]),
+  getPayees: jest.fn(async () => [
+    { id: 'payee-checking', transfer_acct: 'acc-checking' },
+    { id: 'payee-savings', transfer_acct: 'acc-savings' },
+    { id: 'payee-cash', transfer_acct: 'acc-cash' },
+    { id: 'payee-shop' },
+  ]),
+  addTransactions: jest.fn(async () => 'ok'),
+  updateTransaction: jest.fn(async () => []),
+  deleteTransaction: jest.fn(async () => []),
+});
+
+const { transferCreate, transferUpdate, transferDelete, shutdownActualApi } = await import('../../src/services/actualApi.js');
+const { ConflictError, NotFoundError, ValidationError } = await import('../../src/errors/index.js');
+
+describe('Transfer Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await shutdownActualApi();
+  });
+
+  describe('transferCreate', () => {
+    it('should add the outgoing side with the transfer payee and return both ids', async () => {
+      const result = await transferCreate({
+        fromAccountId: 'acc-checking',
+        toAccountId: 'acc-savings',
+        amount: 2500,
+        date: '2025-03-01',
+        notes: 'Rainy day',
+      });
+
+      const [accountId, [transaction], options] = mockApi.addTransactions.mock.calls[0];
+      expect(accountId).toBe('acc-checking');
+      expect(transaction).toMatchObject({ amount: -2500, payee: 'payee-savings', date: '2025-03-01', notes: 'Rainy day' });
+      expect(options).toEqual({ runTransfers: true });
+      expect(result).toEqual({ fromTransactionId: transaction.id, toTransactionId: 'created-in' });
+    });
+
+    it('should reject unknown accounts', async () => {
+      await expect(transferCreate({ fromAccountId: 'acc-checking', toAccountId: 'missing', amount: 1, date: '2025-03-01' }))
+        .rejects.toThrow(NotFoundError);
+      expect(mockApi.addTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should remove the outgoing side when no linked transaction is created', async () => {
+      // A rule changed the payee, so Actual made no incoming side
+      mockApi.aqlQuery.mockImplementationOnce(async ({ state }) => ({ data: [{ id: state.filter.id, transfer_id: null }] }));
+
+      await expect(transferCreate({ fromAccountId: 'acc-checking', toAccountId: 'acc-savings', amount: 1, date: '2025-03-01' }))
+        .rejects.toThrow(ConflictError);
+      const [, [transaction]] = mockApi.addTransactions.mock.calls[0];
+      expect(mockApi.deleteTransaction).toHaveBeenCalledWith(transaction.id);
+    });
+  });
+
+  describe('transferUpdate', () => {
+    it('should write changes to the outgoing side whichever id is given', async () => {
+      const result = await transferUpdate('in-1', { amount: 6000, notes: 'More' });
+
+      expect(mockApi.updateTransaction).toHaveBeenCalledWith('out-1', { amount: -6000, notes: 'More' });
+      expect(result).toEqual({ fromTransactionId: 'out-1', toTransactionId: 'in-1' });
+    });
+
+    it('should move the incoming side by changing the transfer payee', async () => {
+      await transferUpdate('out-1', { toAccountId: 'acc-cash' });
+
+      expect(mockApi.updateTransaction).toHaveBeenCalledWith('out-1', { payee: 'payee-cash' });
+    });
+
+    it('should reject transfers to the same account', async () => {
+      await expect(transferUpdate('out-1', { fromAccountId: 'acc-savings' })).rejects.toThrow('same account');
+    });
+  });
+
+  describe('transferDelete', () => {
+    it('should delete the outgoing side, which removes the linked transaction', async () => {
+      await transferDelete('in-1');
+
+      expect(mockApi.deleteTransaction).toHaveBeenCalledTimes(1);
+      expect(mockApi.deleteTransaction).toHaveBeenCalledWith('out-1');
+    });
+
+    it('should reject transactions that are not transfers or are linked to a split line', async () => {
+      await expect(transferDelete('plain')).rejects.toThrow('not a transfer');
+      await expect(transferDelete('to-split')).rejects.toThrow(ValidationError);
+      expect(mockApi.deleteTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
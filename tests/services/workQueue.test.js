@@ -0,0 +1,107 @@
+/**
+ * Actual API work queue tests.
+ */
+
+process.env.ACTUAL_QUEUE_MAX_DEPTH = '3';
+process.env.ACTUAL_QUEUE_TIMEOUT_MS = '200';
+process.env.ACTUAL_OPERATION_TIMEOUT_MS = '200';
+
+const { enqueue, getQueueStats } = await import('../../src/services/workQueue.js');
+const { ServiceUnavailableError } = await import('../../src/errors/index.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Work Queue', () => {
+  it('should run operations on a budget in order, one at a time', async () => {
+    const events = [];
+    const op = (name, ms) => async () => {
+      events.push(`start:${name}`);
+      await delay(ms);
+      events.push(`end:${name}`);
+      return name;
+    };
+
+    const results = await Promise.all([
+      enqueue('budget-a', 'first', op('first', 20)),
+      enqueue('budget-a', 'second', op('second', 5)),
+      enqueue('budget-a', 'third', op('third', 1)),
+    ]);
+
+    expect(results).toEqual(['first', 'second', 'third']);
+    expect(events).toEqual([
+      'start:first', 'end:first',
+      'start:second', 'end:second',
+      'start:third', 'end:third',
+    ]);
+  });
+
+  it('should never run two budgets at the same time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const op = () => async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(5);
+      running--;
+    };
+
+    await Promise.all([
+      enqueue('budget-a', 'a1', op()),
+      enqueue('budget-b', 'b1', op()),
+      enqueue('budget-a', 'a2', op()),
+      enqueue('budget-b', 'b2', op()),
+    ]);
+
+    expect(maxRunning).toBe(1);
+  });
+
+  it('should keep going after a failed operation', async () => {
+    const failing = enqueue('budget-a', 'fails', async () => {
+      throw new Error('boom');
+    });
+    const next = enqueue('budget-a', 'next', async () => 'ok');
+
+    await expect(failing).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ok');
+  });
+
+  it('should reject operations when the queue is full', async () => {
+    const blocker = enqueue('budget-c', 'blocker', () => delay(50));
+    const waiting = [1, 2, 3].map(i => enqueue('budget-c', `waiting-${i}`, async () => i));
+
+    await expect(enqueue('budget-c', 'overflow', async () => 'never')).rejects.toBeInstanceOf(ServiceUnavailableError);
+    await blocker;
+    await expect(Promise.all(waiting)).resolves.toEqual([1, 2, 3]);
+  });
+
+  it('should reject operations that wait too long', async () => {
+    const blocker = enqueue('budget-d', 'blocker', () => delay(300)).catch(err => err);
+    const waiting = enqueue('budget-d', 'waiting', async () => 'never');
+
+    await expect(waiting).rejects.toThrow('Timed out waiting');
+    await blocker;
+  });
+
+  it('should reject operations that run too long but hold the slot until they finish', async () => {
+    const events = [];
+    const slow = enqueue('budget-e', 'slow', async () => {
+      await delay(300);
+      events.push('slow-finished');
+    });
+    await expect(slow).rejects.toThrow('operation timed out');
+
+    await enqueue('budget-e', 'after', async () => {
+      events.push('after');
+    }).catch(() => events.push('after-rejected'));
+
+    expect(events[0]).toBe('slow-finished');
+  });
+
+  it('should report queue state per budget', async () => {
+    const stats = getQueueStats();
+
+    expect(stats.concurrency).toBe(1);
+    expect(stats.maxDepth).toBe(3);
+    expect(stats.budgets['budget-a']).toEqual({ waiting: 0, running: 0 });
+  });
+});